@@ -20,8 +20,22 @@ const AppState = (function() {
     let state = {
         products: [],
         orders: [],
+        tickets: [],
+        customers: [],
+        refunds: [],
+        promos: [],
+        suppliers: [],
+        purchaseOrders: [],
+        stockLedger: [],
+        parkedCarts: [],
+        shifts: [],
+        users: [],
         cart: [],
-        settings: { taxEnabled: true, taxRate: 10, serviceName: 'Kasir', storeName: 'Servis Pusat' },
+        cartCustomerId: null,
+        cartDiscount: null,
+        cartVoucherCode: '',
+        catalog: { version: null, installedAt: null, lastUpdate: null },
+        settings: { taxEnabled: true, taxRate: 10, serviceName: 'Kasir', storeName: 'Servis Pusat', parkedCartExpiryMinutes: 120, autoSnapshotEnabled: true, snapshotEveryOrders: 20, catalogUpdateUrl: '', catalogPublicKey: '', syncBackend: '', syncUrl: '', syncToken: '', receiptHeader: '', receiptAddress: 'Jl. Veteran III Gg. Kp. Rw., RT.005/RW.002, Banjar Sari, Kec. Ciawi, Kabupaten Bogor, Jawa Barat 16720', receiptPhone: '+62-858-1378-6413', receiptFooter: 'Terima Kasih\nGaransi Servis 1 Minggu', invoicePaymentTerms: 'Pembayaran tunai atau transfer ke rekening toko.\nSisa tagihan (DP) dilunasi saat pengambilan barang/unit servis.', shareMessageTemplate: 'Halo {pelanggan},\nterima kasih telah berbelanja di {toko}.\n\nNo. Order: {order}\nTanggal: {tanggal}\nStatus: {status}\n\n{struk}', receiptFields: { date: true, cashier: true, customer: true, warranty: true, tax: true, tenders: true, refunds: true }, printerPaperWidth: 58, printerCodepage: 'cp858', printerTransport: 'file', printerBaudRate: 9600, printerLogo: '', printerQr: true, printerDrawerKick: false },
         ui: { currentFilter: 'all', searchTerm: '', currentPage: 1, itemsPerPage: 12 }
     };
     function getState() { return state; }
@@ -31,552 +45,3061 @@ const AppState = (function() {
 })();
 
 /**
- * Storage Service - Handles all data persistence
+ * Storage Service - Handles all data persistence (IndexedDB, one record per entry)
  */
 const StorageService = (function() {
-    const KEYS = { PRODUCTS: 'greattech_products', ORDERS: 'greattech_orders', SETTINGS: 'greattech_settings' };
+    const DB_NAME = 'greattech_pos';
+    const DB_VERSION = 2;
+    // Kunci localStorage versi lama, hanya dibaca sekali saat impor ke IndexedDB
+    const LEGACY_KEYS = { PRODUCTS: 'greattech_products', ORDERS: 'greattech_orders', SETTINGS: 'greattech_settings', TICKETS: 'greattech_tickets', CUSTOMERS: 'greattech_customers', REFUNDS: 'greattech_refunds', PROMOS: 'greattech_promos', SUPPLIERS: 'greattech_suppliers', PURCHASE_ORDERS: 'greattech_purchase_orders', STOCK_LEDGER: 'greattech_stock_ledger', CART: 'greattech_cart', PARKED_CARTS: 'greattech_parked_carts', SHIFTS: 'greattech_shifts', USERS: 'greattech_users' };
+    // Satu object store per koleksi AppState; label dipakai pada pesan error
+    const COLLECTIONS = {
+        products: { keyPath: 'id', legacyKey: LEGACY_KEYS.PRODUCTS, label: 'produk' },
+        orders: { keyPath: 'orderNumber', legacyKey: LEGACY_KEYS.ORDERS, label: 'transaksi' },
+        tickets: { keyPath: 'ticketNumber', legacyKey: LEGACY_KEYS.TICKETS, label: 'tiket servis' },
+        customers: { keyPath: 'id', legacyKey: LEGACY_KEYS.CUSTOMERS, label: 'pelanggan' },
+        refunds: { keyPath: 'refundNumber', legacyKey: LEGACY_KEYS.REFUNDS, label: 'refund' },
+        promos: { keyPath: 'id', legacyKey: LEGACY_KEYS.PROMOS, label: 'promo' },
+        suppliers: { keyPath: 'id', legacyKey: LEGACY_KEYS.SUPPLIERS, label: 'supplier' },
+        purchaseOrders: { keyPath: 'poNumber', legacyKey: LEGACY_KEYS.PURCHASE_ORDERS, label: 'purchase order' },
+        stockLedger: { keyPath: 'id', legacyKey: LEGACY_KEYS.STOCK_LEDGER, label: 'kartu stok' },
+        parkedCarts: { keyPath: 'id', legacyKey: LEGACY_KEYS.PARKED_CARTS, label: 'keranjang parkir' },
+        shifts: { keyPath: 'id', legacyKey: LEGACY_KEYS.SHIFTS, label: 'shift' },
+        users: { keyPath: 'id', legacyKey: LEGACY_KEYS.USERS, label: 'pengguna' }
+    };
     const defaultProducts = [
-        { id: 1, sku: 'SPR001', name: 'LCD iPhone 11', type: 'product', price: 750000, stock: 10, image: '.placeholder.com/80https://viax80/555555/FFFFFF?text=LCD' },
-        { id: 2, sku: 'SPR002', name: 'Baterai Xiaomi Redmi Note 9', type: 'product', price: 150000, stock: 25, image: 'https://via.placeholder.com/80x80/4CAF50/FFFFFF?text=BAT' },
-        { id: 3, sku: 'SPR003', name: 'SSD NVMe 512GB', type: 'product', price: 650000, stock: 5, image: 'https://via.placeholder.com/80x80/2196F3/FFFFFF?text=SSD' },
-        { id: 4, sku: 'SPR004', name: 'Flex Cable iPhone', type: 'product', price: 50000, stock: 50, image: 'https://via.placeholder.com/80x80/FF9800/FFFFFF?text=Cable' },
-        { id: 5, sku: 'SPR005', name: 'RAM DDR4 8GB', type: 'product', price: 450000, stock: 12, image: 'https://via.placeholder.com/80x80/9C27B0/FFFFFF?text=RAM' },
-        { id: 101, sku: 'SVC001', name: 'Servis Ganti LCD HP', type: 'service', price: 150000, duration: 60, image: 'https://via.placeholder.com/80x80/00BCD4/FFFFFF?text=Service' },
-        { id: 102, sku: 'SVC002', name: 'Instalasi Ulang Laptop', type: 'service', price: 200000, duration: 120, image: 'https://via.placeholder.com/80x80/607D8B/FFFFFF?text=Install' },
-        { id: 103, sku: 'SVC003', name: 'Cuci Full Laptop', type: 'service', price: 100000, duration: 90, image: 'https://via.placeholder.com/80x80/795548/FFFFFF?text=Clean' },
-        { id: 104, sku: 'SVC004', name: 'Cek Kerusakan HP/Laptop', type: 'service', price: 50000, duration: 30, image: 'https://via.placeholder.com/80x80/E91E63/FFFFFF?text=Check' },
+        { id: 1, sku: 'SPR001', name: 'LCD iPhone 11', type: 'product', price: 750000, costPrice: 525000, stock: 10, warrantyDays: 30, image: '.placeholder.com/80https://viax80/555555/FFFFFF?text=LCD' },
+        { id: 2, sku: 'SPR002', name: 'Baterai Xiaomi Redmi Note 9', type: 'product', price: 150000, costPrice: 105000, stock: 25, warrantyDays: 30, image: 'https://via.placeholder.com/80x80/4CAF50/FFFFFF?text=BAT' },
+        { id: 3, sku: 'SPR003', name: 'SSD NVMe 512GB', type: 'product', price: 650000, costPrice: 455000, stock: 5, warrantyDays: 30, image: 'https://via.placeholder.com/80x80/2196F3/FFFFFF?text=SSD' },
+        { id: 4, sku: 'SPR004', name: 'Flex Cable iPhone', type: 'product', price: 50000, costPrice: 35000, stock: 50, warrantyDays: 30, image: 'https://via.placeholder.com/80x80/FF9800/FFFFFF?text=Cable' },
+        { id: 5, sku: 'SPR005', name: 'RAM DDR4 8GB', type: 'product', price: 450000, costPrice: 315000, stock: 12, warrantyDays: 30, image: 'https://via.placeholder.com/80x80/9C27B0/FFFFFF?text=RAM' },
+        { id: 101, sku: 'SVC001', name: 'Servis Ganti LCD HP', type: 'service', price: 150000, costPrice: 45000, duration: 60, warrantyDays: 7, image: 'https://via.placeholder.com/80x80/00BCD4/FFFFFF?text=Service' },
+        { id: 102, sku: 'SVC002', name: 'Instalasi Ulang Laptop', type: 'service', price: 200000, costPrice: 60000, duration: 120, warrantyDays: 7, image: 'https://via.placeholder.com/80x80/607D8B/FFFFFF?text=Install' },
+        { id: 103, sku: 'SVC003', name: 'Cuci Full Laptop', type: 'service', price: 100000, costPrice: 30000, duration: 90, warrantyDays: 7, image: 'https://via.placeholder.com/80x80/795548/FFFFFF?text=Clean' },
+        { id: 104, sku: 'SVC004', name: 'Cek Kerusakan HP/Laptop', type: 'service', price: 50000, costPrice: 15000, duration: 30, warrantyDays: 7, image: 'https://via.placeholder.com/80x80/E91E63/FFFFFF?text=Check' },
     ];
-    function save(key, data) { try { localStorage.setItem(key, JSON.stringify(data)); return true; } catch (e) { console.error(`Failed to save ${key}:`, e); return false; } }
-    function load(key, defaultValue = null) { try { const data = localStorage.getItem(key); return data ? JSON.parse(data) : defaultValue; } catch (e) { console.error(`Failed to load ${key}:`, e); return defaultValue; } }
-    function loadInitialData() {
-        const products = load(KEYS.PRODUCTS, defaultProducts);
-        const orders = load(KEYS.ORDERS, []);
-        const settings = load(KEYS.SETTINGS, AppState.getState().settings);
-        AppState.setState({ products, orders, settings });
-    }
-    function saveProducts(products) { return save(KEYS.PRODUCTS, products); }
-    function saveOrders(orders) { return save(KEYS.ORDERS, orders); }
-    function saveSettings(settings) { return save(KEYS.SETTINGS, settings); }
-    return { loadInitialData, saveProducts, saveOrders, saveSettings };
-})();
+    const defaultCart = { items: [], customerId: null, discount: null, voucherCode: '' };
+    const defaultCatalog = { version: null, installedAt: null, lastUpdate: null };
 
-/**
- * UI Service - Handles all DOM manipulations and rendering
- */
-const UIService = (function() {
-    function showModal(modalId) { document.getElementById(modalId).style.display = 'block'; }
-    function hideModal(modalId) { document.getElementById(modalId).style.display = 'none'; }
-    function renderProductGrid(products) {
-        const grid = document.getElementById('productGrid'); grid.innerHTML = '';
-        if (products.length === 0) { grid.innerHTML = '<p style="text-align: center; color: #777; grid-column: 1/-1;">Tidak ada produk yang ditemukan.</p>'; return; }
-        products.forEach(product => {
-            const isOutOfStock = product.type === 'product' && product.stock <= 0;
-            const card = document.createElement('div'); card.className = `product-card ${isOutOfStock ? 'out-of-stock' : ''}`; card.dataset.productId = product.id;
-            const stockInfo = product.type === 'product' ? `<p class="stock">Stok: ${product.stock}</p>` : `<p class="stock">Durasi: ${product.duration} menit</p>`;
-            card.innerHTML = `<img src="${product.image}" alt="${product.name}"><h3>${product.name}</h3><p class="price">Rp ${product.price.toLocaleString('id-ID')}</p>${stockInfo}`;
-            grid.appendChild(card);
+    /**
+     * Schema migrations keyed by the version they upgrade to. They run in order inside
+     * the versionchange transaction, so a failing migration leaves the old schema intact.
+     */
+    const MIGRATIONS = {
+        1: (db) => {
+            Object.entries(COLLECTIONS).forEach(([name, { keyPath }]) => db.createObjectStore(name, { keyPath }));
+            db.createObjectStore('images'); // Blob gambar produk, key = id produk
+            db.createObjectStore('kv'); // settings, keranjang aktif dan metadata
+        },
+        2: (db) => {
+            // Snapshot otomatis: metadata terpisah dari isinya agar daftar cepat dimuat. Tidak ikut dihapus clearAll.
+            db.createObjectStore('snapshots', { keyPath: 'id' });
+            db.createObjectStore('snapshotData');
+        }
+    };
+
+    // Peringatan kuota ditampilkan sebelum browser mulai menolak penulisan
+    const QUOTA_WARNING_RATIO = 0.8;
+    const QUOTA_CRITICAL_RATIO = 0.95;
+    const QUOTA_CHECK_INTERVAL = 30000;
+
+    let db = null;
+    let lastQuotaCheck = 0;
+    let quotaWarningLevel = 0;
+    // Isi terakhir yang tersimpan per koleksi (key -> JSON), agar hanya record yang berubah yang ditulis
+    const lastSaved = {};
+    // Object URL untuk gambar produk yang disimpan sebagai Blob
+    const imageUrls = new Map();
+
+    function requestToPromise(request) { return new Promise((resolve, reject) => { request.onsuccess = () => resolve(request.result); request.onerror = () => reject(request.error); }); }
+    function transactionDone(tx) { return new Promise((resolve, reject) => { tx.oncomplete = () => resolve(); tx.onerror = () => reject(tx.error); tx.onabort = () => reject(tx.error || new Error('Transaksi dibatalkan')); }); }
+
+    function reportError(error, label, action = 'menyimpan') {
+        console.error(`Storage error (${label}):`, error);
+        const reason = error && error.name === 'QuotaExceededError' ? 'penyimpanan browser penuh' : (error && error.message) || 'database tidak tersedia';
+        UIService.showToast(`Gagal ${action} ${label}: ${reason}. Perubahan ${action === 'menyimpan' ? 'terakhir' : 'selanjutnya'} tidak tersimpan!`, 'error');
+        EventBus.emit('storageError', { label, error });
+    }
+
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) { reject(new Error('Browser tidak mendukung IndexedDB')); return; }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => { for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) MIGRATIONS[version](request.result, request.transaction); };
+            request.onblocked = () => UIService.showToast('Tutup tab GreatTech POS lainnya agar database dapat diperbarui.', 'warning');
+            request.onsuccess = () => {
+                const database = request.result;
+                database.onversionchange = () => { database.close(); UIService.showToast('Versi database baru tersedia. Muat ulang halaman.', 'warning'); };
+                resolve(database);
+            };
+            request.onerror = () => reject(request.error);
         });
     }
-    function renderPagination(totalItems, currentPage, itemsPerPage) {
-        const container = document.getElementById('paginationContainer'); container.innerHTML = '';
-        const totalPages = Math.ceil(totalItems / itemsPerPage); if (totalPages <= 1) return;
-        const prevBtn = createPaginationButton('Previous', currentPage > 1, () => AppState.updateState({ ui: { ...AppState.getState().ui, currentPage: currentPage - 1 } })); container.appendChild(prevBtn);
-        for (let i = 1; i <= totalPages; i++) { if (i === 1 || i === totalPages || (i >= currentPage - 1 && i <= currentPage + 1)) { const pageBtn = createPaginationButton(i, true, () => AppState.updateState({ ui: { ...AppState.getState().ui, currentPage: i } })); if (i === currentPage) pageBtn.classList.add('active'); container.appendChild(pageBtn); } else if (i === currentPage - 2 || i === currentPage + 2) { const dots = document.createElement('span'); dots.textContent = '...'; dots.className = 'pagination-info'; container.appendChild(dots); } }
-        const nextBtn = createPaginationButton('Next', currentPage < totalPages, () => AppState.updateState({ ui: { ...AppState.getState().ui, currentPage: currentPage + 1 } })); container.appendChild(nextBtn);
-        const info = document.createElement('span'); info.className = 'pagination-info'; info.textContent = `Page ${currentPage} of ${totalPages}`; container.appendChild(info);
+
+    // ==========================================================
+    // GAMBAR PRODUK (Blob)
+    // ==========================================================
+    function dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const mime = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+        const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type: mime });
     }
-    function createPaginationButton(text, enabled, onClick) { const button = document.createElement('button'); button.className = 'pagination-button'; button.textContent = text; button.disabled = !enabled; if (enabled) button.onclick = onClick; return button; }
-    function renderCart(cart) {
-        const container = document.getElementById('cartItems'); const clearBtn = document.getElementById('clearCartBtn');
-        if (cart.length === 0) { container.innerHTML = '<p style="text-align: center; color: #777;">Keranjang masih kosong.</p>'; clearBtn.style.display = 'none'; }
-        else {
-            clearBtn.style.display = 'flex';
-            container.innerHTML = cart.map(item => `
-                <div class="cart-item" data-cart-item-id="${item.id}">
-                    <div class="cart-item-info"><div class="cart-item-name">${item.name}</div><div class="cart-item-price">Rp ${item.price.toLocaleString('id-ID')} x ${item.quantity}</div></div>
-                    <div class="quantity-control"><button class="quantity-decrease">-</button><span>${item.quantity}</span><button class="quantity-increase">+</button></div>
-                </div>
-            `).join('');
-        }
-        updateCartSummary(cart);
+    function blobToDataUrl(blob) { return new Promise((resolve, reject) => { const reader = new FileReader(); reader.onload = () => resolve(reader.result); reader.onerror = () => reject(reader.error); reader.readAsDataURL(blob); }); }
+
+    // Item keranjang tidak menyimpan gambar: URL blob mati setelah muat ulang dan data URL lama memboroskan ruang
+    function withoutImages(items) { return (items || []).map(({ image, ...item }) => item); }
+
+    /**
+     * Products keep their image out of the record: new data URLs are written to the
+     * images store as Blobs, unchanged Blob images are left alone, anything else
+     * (placeholder URLs) removes a previously stored Blob.
+     */
+    function toStoredRecord(tx, name, record) {
+        if (name === 'parkedCarts') return { ...record, items: withoutImages(record.items) };
+        if (name !== 'products') return record;
+        const images = tx.objectStore('images'); const currentUrl = imageUrls.get(record.id);
+        if (currentUrl && record.image === currentUrl) return { ...record, image: null, imageStored: true };
+        if (currentUrl) { URL.revokeObjectURL(currentUrl); imageUrls.delete(record.id); }
+        if (typeof record.image === 'string' && record.image.startsWith('data:')) { images.put(dataUrlToBlob(record.image), record.id); return { ...record, image: null, imageStored: true }; }
+        images.delete(record.id);
+        return record;
     }
-    function updateCartSummary(cart) {
-        const state = AppState.getState(); const { settings } = state;
-        const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0); let tax = 0; let total = subtotal;
-        if (settings.taxEnabled) { tax = subtotal * (settings.taxRate / 100); total = subtotal + tax; document.getElementById('taxLabel').textContent = `Pajak (${settings.taxRate}%)`; document.getElementById('tax').textContent = `Rp ${tax.toLocaleString('id-ID')}`; document.getElementById('taxRow').style.display = 'flex'; }
-        else { document.getElementById('taxRow').style.display = 'none'; }
-        document.getElementById('subtotal').textContent = `Rp ${subtotal.toLocaleString('id-ID')}`; document.getElementById('total').textContent = `Rp ${total.toLocaleString('id-ID')}`; document.getElementById('payButton').disabled = cart.length === 0;
+
+    /**
+     * Products with images replaced by portable data URLs, for backups and exports.
+     */
+    function withEmbeddedImages(products) {
+        return Promise.all(products.map(product => {
+            if (!product.image || !product.image.startsWith('blob:')) return product;
+            return fetch(product.image).then(response => response.blob()).then(blobToDataUrl).then(image => ({ ...product, image }));
+        }));
     }
-    function updateUserInfo(settings) { const span = document.getElementById('userInfoSpan'); if (span) { span.textContent = `Kasir: ${settings.serviceName} | Toko: ${settings.storeName}`; } }
-    function showToast(message, type = 'success') {
-        const toast = document.getElementById('toast'); const toastMessage = document.getElementById('toastMessage'); const icon = toast.querySelector('i');
-        toastMessage.textContent = message; toast.className = `toast ${type}`;
-        if (type === 'success') icon.className = 'fas fa-check-circle'; else if (type === 'error') icon.className = 'fas fa-exclamation-circle'; else if (type === 'warning') icon.className = 'fas fa-exclamation-triangle';
-        toast.classList.add('show'); setTimeout(() => toast.classList.remove('show'), 3000);
+
+    // ==========================================================
+    // IMPOR SEKALI DARI LOCALSTORAGE
+    // ==========================================================
+    function readLegacy(key) { try { const data = localStorage.getItem(key); return data ? JSON.parse(data) : null; } catch (e) { console.error(`Failed to load ${key}:`, e); return null; } }
+
+    /**
+     * Copies the greattech_* localStorage keys into IndexedDB the first time the
+     * database is opened. The old keys are left in place as a fallback copy.
+     */
+    function importLegacyData() {
+        return requestToPromise(db.transaction('kv').objectStore('kv').get('meta')).then(meta => {
+            if (meta && meta.importedAt) return;
+            const tx = db.transaction([...Object.keys(COLLECTIONS), 'images', 'kv'], 'readwrite');
+            Object.entries(COLLECTIONS).forEach(([name, { legacyKey }]) => {
+                const records = readLegacy(legacyKey) || (name === 'products' ? defaultProducts : []);
+                records.forEach(record => tx.objectStore(name).put(toStoredRecord(tx, name, record)));
+            });
+            const settings = readLegacy(LEGACY_KEYS.SETTINGS); if (settings) tx.objectStore('kv').put(settings, 'settings');
+            const cart = readLegacy(LEGACY_KEYS.CART); if (cart) tx.objectStore('kv').put(cart, 'cart');
+            tx.objectStore('kv').put({ importedAt: new Date().toISOString(), schemaVersion: DB_VERSION }, 'meta');
+            return transactionDone(tx);
+        });
     }
-    function showLoading() { document.getElementById('loadingModal').style.display = 'block'; }
-    function hideLoading() { document.getElementById('loadingModal').style.display = 'none'; }
-    return { showModal, hideModal, renderProductGrid, renderPagination, renderCart, updateUserInfo, showToast, showLoading, hideLoading };
-})();
 
-/**
- * Product Service - Manages product data and logic
- */
-const ProductService = (function() {
-    function getFilteredProducts() {
-        const state = AppState.getState(); const { products, ui } = state; const { currentFilter, searchTerm } = ui;
-        return products.filter(p => {
-            const matchesFilter = currentFilter === 'all' || p.type === currentFilter;
-            const matchesSearch = p.name.toLowerCase().includes(searchTerm.toLowerCase()) || (p.sku && p.sku.toLowerCase().includes(searchTerm.toLowerCase()));
-            return matchesFilter && matchesSearch;
+    function rememberSaved(name, records) { const { keyPath } = COLLECTIONS[name]; lastSaved[name] = new Map(records.map(record => [record[keyPath], JSON.stringify(record)])); }
+
+    function readAll() {
+        const names = Object.keys(COLLECTIONS);
+        const tx = db.transaction([...names, 'images', 'kv']);
+        return Promise.all([
+            ...names.map(name => requestToPromise(tx.objectStore(name).getAll())),
+            requestToPromise(tx.objectStore('images').getAllKeys()), requestToPromise(tx.objectStore('images').getAll()),
+            requestToPromise(tx.objectStore('kv').get('settings')), requestToPromise(tx.objectStore('kv').get('cart')), requestToPromise(tx.objectStore('kv').get('catalog'))
+        ]).then(results => {
+            const data = {}; names.forEach((name, index) => { data[name] = results[index]; });
+            const [imageKeys, imageBlobs, settings, cart, catalog] = results.slice(names.length);
+            imageKeys.forEach((key, index) => { imageUrls.set(key, URL.createObjectURL(imageBlobs[index])); });
+            data.products = data.products.map(({ imageStored, ...product }) => imageStored ? { ...product, image: imageUrls.get(product.id) || null } : product);
+            data.parkedCarts = data.parkedCarts.map(parked => ({ ...parked, items: withoutImages(parked.items) }));
+            // Entri kartu stok diberi nomor urut global di akhir id (`${timestamp}-${urutan}`)
+            data.stockLedger.sort((a, b) => parseInt(String(a.id).split('-')[1]) - parseInt(String(b.id).split('-')[1]));
+            ['orders', 'tickets', 'refunds', 'shifts'].forEach(name => data[name].sort((a, b) => String(a.timestamp || a.createdAt || a.openedAt).localeCompare(String(b.timestamp || b.createdAt || b.openedAt))));
+            names.forEach(name => rememberSaved(name, data[name]));
+            return { ...data, settings: settings || {}, cart: cart ? { ...cart, items: withoutImages(cart.items) } : defaultCart, catalog: catalog || defaultCatalog };
         });
     }
-    function getPaginatedProducts() {
-        const state = AppState.getState(); const { ui } = state; const { currentPage, itemsPerPage } = ui;
-        const filtered = getFilteredProducts(); const startIndex = (currentPage - 1) * itemsPerPage; const endIndex = startIndex + itemsPerPage;
-        return { products: filtered.slice(startIndex, endIndex), totalItems: filtered.length };
+
+    /**
+     * Falls back to the legacy localStorage copy (read-only) when IndexedDB cannot be
+     * opened, so the shop can keep looking up data while the error is shown.
+     */
+    function readLegacyAll() {
+        const data = {}; Object.entries(COLLECTIONS).forEach(([name, { legacyKey }]) => { data[name] = readLegacy(legacyKey) || (name === 'products' ? defaultProducts : []); });
+        return { ...data, settings: readLegacy(LEGACY_KEYS.SETTINGS) || {}, cart: readLegacy(LEGACY_KEYS.CART) || defaultCart, catalog: defaultCatalog };
     }
-    function addProductToCart(productId) {
-        const state = AppState.getState(); const { products, cart } = state; const product = products.find(p => p.id === productId);
-        if (!product) return; if (product.type === 'product' && product.stock <= 0) { UIService.showToast('Produk ini sudah habis!', 'warning'); return; }
-        const existingItem = cart.find(item => item.id === productId);
-        if (existingItem) { if (product.type === 'product' && existingItem.quantity >= product.stock) { UIService.showToast('Stok tidak mencukupi!', 'warning'); return; } existingItem.quantity++; }
-        else { cart.push({ ...product, quantity: 1 }); }
-        if (product.type === 'product') { product.stock--; }
-        AppState.updateState({ cart, products }); StorageService.saveProducts(products); UIService.showToast(`${product.name} ditambahkan ke keranjang`, 'success');
+
+    function loadInitialData() {
+        return openDatabase()
+            .then(database => { db = database; return importLegacyData(); })
+            .then(readAll)
+            .catch(error => { db = null; reportError(error, 'database', 'membuka'); return readLegacyAll(); })
+            .then(data => {
+                const { settings, cart, catalog, ...collections } = data;
+                AppState.setState({ ...collections, catalog, settings: { ...AppState.getState().settings, ...settings }, cart: cart.items, cartCustomerId: cart.customerId, cartDiscount: cart.discount, cartVoucherCode: cart.voucherCode });
+            });
     }
-    function updateCartItemQuantity(itemId, change) {
-        const state = AppState.getState(); const { cart, products } = state; const item = cart.find(i => i.id === itemId); const product = products.find(p => p.id === itemId);
-        if (!item || !product) return;
-        if (product.type === 'product' && change > 0 && item.quantity >= product.stock) { UIService.showToast('Stok tidak mencukupi!', 'warning'); return; }
-        item.quantity += change; if (item.quantity <= 0) { const index = cart.findIndex(i => i.id === itemId); cart.splice(index, 1); }
-        if (product.type === 'product' && change < 0) { product.stock += Math.abs(change); }
-        AppState.updateState({ cart, products }); StorageService.saveProducts(products);
+
+    /**
+     * Writes only records that changed since the last save and deletes removed ones,
+     * all in one transaction. Resolves to false (after showing the error) on failure.
+     * Emits `dataSaved` first so listeners (sync) see every persisted change.
+     */
+    function saveCollection(name, records) {
+        const { keyPath, label } = COLLECTIONS[name];
+        EventBus.emit('dataSaved', { name, records });
+        if (!db) { reportError(null, label); return Promise.resolve(false); }
+        const previous = lastSaved[name] || new Map(); const next = new Map();
+        try {
+            const tx = db.transaction(name === 'products' ? [name, 'images'] : [name], 'readwrite'); const store = tx.objectStore(name);
+            records.forEach(record => {
+                const json = JSON.stringify(record); next.set(record[keyPath], json);
+                if (previous.get(record[keyPath]) !== json) store.put(toStoredRecord(tx, name, record));
+            });
+            previous.forEach((json, key) => { if (!next.has(key)) { store.delete(key); if (name === 'products') tx.objectStore('images').delete(key); } });
+            lastSaved[name] = next;
+            return transactionDone(tx).then(() => { checkQuota(); return true; }).catch(error => failCollection(name, previous, next, error));
+        } catch (error) { return Promise.resolve(failCollection(name, previous, next, error)); }
+    }
+    // Setelah gagal, semua key ditandai "belum tersimpan" sehingga penyimpanan berikutnya menulis ulang seluruh koleksi
+    function failCollection(name, previous, next, error) {
+        lastSaved[name] = new Map([...previous.keys(), ...next.keys()].map(key => [key, null]));
+        reportError(error, COLLECTIONS[name].label);
+        return false;
     }
-    function clearCart() { if (!confirm('Apakah Anda yakin ingin mengosongkan keranjang?')) return; const state = AppState.getState(); const { cart, products } = state; cart.forEach(item => { const product = products.find(p => p.id === item.id); if (product && product.type === 'product') { product.stock += item.quantity; } }); AppState.updateState({ cart: [], products }); StorageService.saveProducts(products); UIService.showToast('Keranjang dikosongkan', 'success'); }
-    return { getFilteredProducts, getPaginatedProducts, addProductToCart, updateCartItemQuantity, clearCart };
-})();
 
-/**
- * Settings Module - REFACTOR UNTUK KEMUDAHAN DAN STABILITAS
- */
-const SettingsModule = (function() {
-    let productImageData = null;
-    let serviceImageData = null;
-    let productIdForStockUpdate = null;
-    let stockActionType = 'add';
+    function saveValue(key, value, label) {
+        if (!db) { reportError(null, label); return Promise.resolve(false); }
+        try {
+            const tx = db.transaction('kv', 'readwrite'); tx.objectStore('kv').put(value, key);
+            return transactionDone(tx).then(() => true).catch(error => { reportError(error, label); return false; });
+        } catch (error) { reportError(error, label); return Promise.resolve(false); }
+    }
 
-    function showSettings() { UIService.showModal('settingsModal'); renderSettingsContent(); }
-    
-    function renderSettingsContent() {
-        document.querySelectorAll('.settings-tab').forEach(tab => {
-            tab.onclick = () => {
-                document.querySelectorAll('.settings-tab').forEach(t => t.classList.remove('active'));
-                document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-                tab.classList.add('active');
-                const tabId = tab.dataset.tab + '-tab';
-                document.getElementById(tabId).classList.add('active');
-                
-                if (tab.dataset.tab === 'product') { renderProductTab(); } 
-                else if (tab.dataset.tab === 'service') { renderServiceTab(); } 
-                else if (tab.dataset.tab === 'app') { renderAppTab(); }
-            };
-        });
-        renderProductTab(); // Render default tab
+    /**
+     * Empties every data store (including the import marker) and removes the legacy keys,
+     * so the next load starts from the default catalogue. Snapshots are kept so a wipe
+     * can be undone.
+     */
+    function clearAll() {
+        Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+        imageUrls.forEach(url => URL.revokeObjectURL(url)); imageUrls.clear();
+        Object.keys(lastSaved).forEach(name => { delete lastSaved[name]; });
+        if (!db) return Promise.resolve();
+        const storeNames = [...Object.keys(COLLECTIONS), 'images', 'kv'];
+        const tx = db.transaction(storeNames, 'readwrite'); storeNames.forEach(name => tx.objectStore(name).clear());
+        return transactionDone(tx);
     }
 
     // ==========================================================
-    // RENDER TAB PRODUK
+    // SNAPSHOT LOKAL
     // ==========================================================
-    function renderProductTab() {
-        resetProductForm();
-        const state = AppState.getState(); const { products } = state;
-        const productItems = products.filter(p => p.type === 'product');
-        const tbody = document.getElementById('productTableBody'); tbody.innerHTML = '';
-        productItems.forEach(product => {
-            const row = `<tr><td>${product.sku || '-'}</td><td>${product.name}</td><td>Rp ${product.price.toLocaleString('id-ID')}</td><td>${product.stock}</td><td class="actions"><button class="btn-success" onclick="SettingsModule.showAddStockModal(${product.id})">+ Stok</button><button class="btn-warning" onclick="SettingsModule.showSubtractStockModal(${product.id})">- Stok</button><button class="btn-edit" onclick="SettingsModule.populateProductFormForEdit(${product.id})">Edit</button><button class="btn-delete" onclick="SettingsModule.deleteItem(${product.id})">Hapus</button></td></tr>`;
-            tbody.innerHTML += row;
-        });
+    function saveSnapshot(meta, backup) {
+        if (!db) { reportError(null, 'snapshot'); return Promise.resolve(false); }
+        try {
+            const tx = db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+            tx.objectStore('snapshots').put(meta); tx.objectStore('snapshotData').put(backup, meta.id);
+            return transactionDone(tx).then(() => { checkQuota(); return true; }).catch(error => { reportError(error, 'snapshot'); return false; });
+        } catch (error) { reportError(error, 'snapshot'); return Promise.resolve(false); }
+    }
+    function listSnapshots() {
+        if (!db) return Promise.resolve([]);
+        return requestToPromise(db.transaction('snapshots').objectStore('snapshots').getAll()).then(list => list.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+    }
+    function getSnapshot(id) {
+        if (!db) return Promise.resolve(null);
+        return requestToPromise(db.transaction('snapshotData').objectStore('snapshotData').get(id)).then(backup => backup || null);
+    }
+    function deleteSnapshots(ids) {
+        if (!db || ids.length === 0) return Promise.resolve(true);
+        const tx = db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+        ids.forEach(id => { tx.objectStore('snapshots').delete(id); tx.objectStore('snapshotData').delete(id); });
+        return transactionDone(tx).then(() => true).catch(error => { reportError(error, 'snapshot', 'menghapus'); return false; });
     }
 
     // ==========================================================
-    // RENDER TAB JASA
+    // PEMAKAIAN PENYIMPANAN & KUOTA
     // ==========================================================
-    function renderServiceTab() {
-        resetServiceForm();
-        const state = AppState.getState(); const { products } = state;
-        const serviceItems = products.filter(p => p.type === 'service');
-        const tbody = document.getElementById('serviceTableBody'); tbody.innerHTML = '';
-        serviceItems.forEach(service => {
-            const row = `<tr><td>${service.sku || '-'}</td><td>${service.name}</td><td>Rp ${service.price.toLocaleString('id-ID')}</td><td>${service.duration} menit</td><td class="actions"><button class="btn-edit" onclick="SettingsModule.populateServiceFormForEdit(${service.id})">Edit</button><button class="btn-delete" onclick="SettingsModule.deleteItem(${service.id})">Hapus</button></td></tr>`;
-            tbody.innerHTML += row;
+    function estimateQuota() {
+        if (!navigator.storage || !navigator.storage.estimate) return Promise.resolve(null);
+        return navigator.storage.estimate().then(({ usage, quota }) => ({ usage, quota, ratio: quota ? usage / quota : 0 })).catch(() => null);
+    }
+
+    /**
+     * Warns once per level (80%, then 95% of the browser quota) so the shop can clean up
+     * before writes start failing. Throttled because it runs after every save.
+     */
+    function checkQuota(force = false) {
+        if (!force && Date.now() - lastQuotaCheck < QUOTA_CHECK_INTERVAL) return Promise.resolve(null);
+        lastQuotaCheck = Date.now();
+        return estimateQuota().then(estimate => {
+            if (!estimate) return null;
+            const level = estimate.ratio >= QUOTA_CRITICAL_RATIO ? 2 : estimate.ratio >= QUOTA_WARNING_RATIO ? 1 : 0;
+            if (level > quotaWarningLevel) UIService.showToast(`Penyimpanan ${Math.round(estimate.ratio * 100)}% penuh. Arsipkan transaksi lama atau kompres gambar di menu Penyimpanan.`, level === 2 ? 'error' : 'warning');
+            quotaWarningLevel = level;
+            return estimate;
         });
     }
 
-    function renderAppTab() {
-        const state = AppState.getState(); const { settings } = state;
-        document.getElementById('taxEnabled').value = settings.taxEnabled.toString();
-        document.getElementById('taxRate').value = settings.taxRate;
-        document.getElementById('cashierName').value = settings.serviceName;
-        document.getElementById('storeName').value = settings.storeName;
-        document.getElementById('taxRateGroup').style.display = settings.taxEnabled ? 'block' : 'none';
+    function getImageSizes() {
+        if (!db) return Promise.resolve(new Map());
+        const store = db.transaction('images').objectStore('images');
+        return Promise.all([requestToPromise(store.getAllKeys()), requestToPromise(store.getAll())]).then(([keys, blobs]) => new Map(keys.map((key, index) => [key, blobs[index].size])));
     }
-    
-    // ==========================================================
-    // FUNGSI FORM PRODUK
-    // ==========================================================
-    function resetProductForm() {
-        document.getElementById('productForm').reset();
-        document.getElementById('productId').value = '';
-        productImageData = null;
-        updateProductImagePreview(null);
-        document.getElementById('submitProductBtn').textContent = 'Tambah Produk';
+
+    /**
+     * Bytes per dataset as serialised into IndexedDB (product images counted separately
+     * as Blobs), plus the browser's own usage/quota estimate for the whole origin.
+     */
+    function getUsage() {
+        const state = AppState.getState();
+        const byteLength = (value) => new Blob([JSON.stringify(value)]).size;
+        const datasets = Object.entries(COLLECTIONS).map(([name, { label }]) => {
+            const records = name === 'products' ? state.products.map(product => /^(data|blob):/.test(product.image || '') ? { ...product, image: null } : product) : state[name];
+            return { name, label, count: records.length, bytes: byteLength(records) };
+        });
+        return Promise.all([getImageSizes(), checkQuota(true), listSnapshots()]).then(([imageSizes, estimate, snapshots]) => {
+            const imageBytes = [...imageSizes.values()].reduce((sum, size) => sum + size, 0)
+                + state.products.filter(product => (product.image || '').startsWith('data:')).reduce((sum, product) => sum + Math.round(product.image.length * 0.75), 0);
+            datasets.splice(1, 0, { name: 'images', label: 'gambar produk', count: state.products.filter(product => /^(data|blob):/.test(product.image || '')).length, bytes: imageBytes });
+            datasets.push({ name: 'settings', label: 'pengaturan & keranjang', count: 1, bytes: byteLength(state.settings) + byteLength(state.cart) });
+            datasets.push({ name: 'snapshots', label: 'snapshot otomatis', count: snapshots.length, bytes: snapshots.reduce((sum, snapshot) => sum + snapshot.bytes, 0) });
+            return { datasets, total: datasets.reduce((sum, dataset) => sum + dataset.bytes, 0), estimate };
+        });
     }
 
-    function populateProductFormForEdit(id) {
-        const state = AppState.getState(); const { products } = state; const product = products.find(p => p.id === id);
-        if (!product) return;
+    function isAvailable() { return !!db; }
+    function getCollections() { return Object.entries(COLLECTIONS).map(([name, { keyPath, label }]) => ({ name, keyPath, label })); }
+    function saveProducts(products) { return saveCollection('products', products); }
+    function saveOrders(orders) { return saveCollection('orders', orders); }
+    function saveSettings(settings) { EventBus.emit('dataSaved', { name: 'settings', records: settings }); return saveValue('settings', settings, 'pengaturan'); }
+    function saveTickets(tickets) { return saveCollection('tickets', tickets); }
+    function saveCustomers(customers) { return saveCollection('customers', customers); }
+    function saveRefunds(refunds) { return saveCollection('refunds', refunds); }
+    function savePromos(promos) { return saveCollection('promos', promos); }
+    function saveSuppliers(suppliers) { return saveCollection('suppliers', suppliers); }
+    function savePurchaseOrders(purchaseOrders) { return saveCollection('purchaseOrders', purchaseOrders); }
+    function saveStockLedger(stockLedger) { return saveCollection('stockLedger', stockLedger); }
+    function saveCart({ cart, cartCustomerId, cartDiscount, cartVoucherCode }) { return saveValue('cart', { items: withoutImages(cart), customerId: cartCustomerId, discount: cartDiscount, voucherCode: cartVoucherCode }, 'keranjang'); }
+    function saveParkedCarts(parkedCarts) { return saveCollection('parkedCarts', parkedCarts); }
+    function saveShifts(shifts) { return saveCollection('shifts', shifts); }
+    function saveCatalog(catalog) { return saveValue('catalog', catalog, 'versi katalog'); }
+    function loadSyncState() { return db ? requestToPromise(db.transaction('kv').objectStore('kv').get('sync')).then(state => state || null) : Promise.resolve(null); }
+    function saveSyncState(syncState) { return saveValue('sync', syncState, 'status sinkronisasi'); }
+    function saveUsers(users) { return saveCollection('users', users); }
+    return { loadInitialData, isAvailable, getCollections, saveCollection, getUsage, getImageSizes, checkQuota, withEmbeddedImages, clearAll, saveSnapshot, listSnapshots, getSnapshot, deleteSnapshots, saveProducts, saveOrders, saveSettings, saveTickets, saveCustomers, saveRefunds, savePromos, saveSuppliers, savePurchaseOrders, saveStockLedger, saveCart, saveParkedCarts, saveShifts, saveCatalog, loadSyncState, saveSyncState, saveUsers };
+})();
 
-        document.getElementById('productId').value = product.id;
-        document.getElementById('productSKU').value = product.sku || '';
-        document.getElementById('productName').value = product.name;
-        document.getElementById('productPrice').value = product.price;
-        document.getElementById('productStock').value = product.stock || 0;
-        
-        productImageData = product.image;
-        updateProductImagePreview(product.image);
-        document.getElementById('submitProductBtn').textContent = 'Update Produk';
-    }
+/**
+ * Backup Service - Versioned backup files: build, migrate, validate, diff and apply
+ */
+const BackupService = (function() {
+    const FORMAT = 'greattech-pos-backup';
+    const CURRENT_VERSION = 2;
+    // Field wajib per koleksi; record yang tidak lolos dilewati saat restore
+    const SCHEMAS = {
+        products: { id: 'number', name: 'string', type: 'string', price: 'number' },
+        orders: { orderNumber: 'string', timestamp: 'string', items: 'array', totalAmount: 'number' },
+        tickets: { ticketNumber: 'string', createdAt: 'string', status: 'string' },
+        customers: { id: 'number', name: 'string' },
+        refunds: { refundNumber: 'string', orderNumber: 'string', timestamp: 'string', items: 'array', totalAmount: 'number' },
+        promos: { id: 'number', name: 'string', kind: 'string' },
+        suppliers: { id: 'number', name: 'string' },
+        purchaseOrders: { poNumber: 'string', createdAt: 'string', lines: 'array' },
+        stockLedger: { id: 'string', productId: 'number', delta: 'number' },
+        parkedCarts: { id: 'number', items: 'array' },
+        shifts: { id: 'string', openedAt: 'string' },
+        users: { id: 'number', name: 'string', role: 'string' }
+    };
+    // Koleksi yang ikut pada mode gabung; sisanya milik perangkat masing-masing
+    const MERGE_DATASETS = ['products', 'orders', 'refunds'];
 
-    function handleProductFormSubmit(event) {
-        event.preventDefault();
-        const state = AppState.getState(); let { products } = state;
-        const id = document.getElementById('productId').value;
-        
-        const productData = {
-            id: id ? parseInt(id) : Date.now(),
-            sku: document.getElementById('productSKU').value,
-            name: document.getElementById('productName').value,
-            type: 'product',
-            price: parseInt(document.getElementById('productPrice').value),
-            stock: parseInt(document.getElementById('productStock').value) || 0,
-        };
+    /**
+     * Upgrades older backup files, keyed by the version they upgrade to. They run in
+     * order on import, so a file from any older version ends up in the current shape.
+     */
+    const MIGRATIONS = {
+        // 1.0: { version: '1.0', date, products, orders, settings } tanpa checksum
+        2: (backup) => ({ format: FORMAT, version: 2, createdAt: backup.date || null, datasets: { products: backup.products, orders: backup.orders }, settings: backup.settings || null, checksums: null })
+    };
 
-        const fileInput = document.getElementById('productImage');
-        const file = fileInput.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                productData.image = e.target.result;
-                saveItemData(productData, products, id, 'product');
-            };
-            reader.readAsDataURL(file);
-        } else {
-            if (id) {
-                const existingItem = products.find(p => p.id == id);
-                productData.image = productImageData || existingItem.image;
-            } else {
-                productData.image = `https://via.placeholder.com/80x80/cccccc/FFFFFF?text=${encodeURIComponent(document.getElementById('productName').value.substring(0, 5))}`;
-            }
-            saveItemData(productData, products, id, 'product');
-        }
+    function detectVersion(raw) {
+        if (raw.format === FORMAT) return Number.isInteger(raw.version) ? raw.version : null;
+        if (raw.version === '1.0' && Array.isArray(raw.products) && Array.isArray(raw.orders)) return 1;
+        return null;
     }
 
-    function updateProductImagePreview(imageSrc) {
-        const previewContainer = document.getElementById('productImagePreview');
-        if (imageSrc) {
-            previewContainer.innerHTML = `<img src="${imageSrc}" alt="Preview"><button type="button" class="remove-image-btn" onclick="event.stopPropagation(); SettingsModule.removeProductImage();">&times;</button>`;
-        } else {
-            previewContainer.innerHTML = `<i class="fas fa-image placeholder-icon"></i>`;
+    function checksum(value) {
+        return crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(value)))
+            .then(digest => Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join(''));
+    }
+
+    function checkRecord(record, keyPath, schema) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return 'bukan objek';
+        for (const [field, type] of Object.entries(schema)) {
+            const value = record[field];
+            const valid = type === 'array' ? Array.isArray(value) : type === 'number' ? Number.isFinite(value) : typeof value === type;
+            if (!valid) return `${field} tidak valid`;
         }
+        if (record[keyPath] === '') return `${keyPath} kosong`;
+        return null;
     }
-    function removeProductImage() { productImageData = null; document.getElementById('productImage').value = ''; updateProductImagePreview(null); }
 
     // ==========================================================
-    // FUNGSI FORM JASA
+    // MEMBUAT & MEMBACA FILE BACKUP
     // ==========================================================
-    function resetServiceForm() {
-        document.getElementById('serviceForm').reset();
-        document.getElementById('serviceId').value = '';
-        serviceImageData = null;
-        updateServiceImagePreview(null);
-        document.getElementById('submitServiceBtn').textContent = 'Tambah Jasa';
+    /**
+     * Builds a backup of every collection plus settings, with product images embedded
+     * and a SHA-256 checksum per dataset so edited or truncated files are detected.
+     */
+    function createBackup() {
+        const state = AppState.getState();
+        return StorageService.withEmbeddedImages(state.products).then(products => {
+            const datasets = {};
+            StorageService.getCollections().forEach(({ name }) => { datasets[name] = name === 'products' ? products : state[name]; });
+            const entries = [...Object.entries(datasets), ['settings', state.settings]];
+            return Promise.all(entries.map(([, value]) => checksum(value))).then(sums => ({
+                format: FORMAT,
+                version: CURRENT_VERSION,
+                createdAt: new Date().toISOString(),
+                storeName: state.settings.storeName,
+                counts: Object.fromEntries(Object.entries(datasets).map(([name, records]) => [name, records.length])),
+                checksums: Object.fromEntries(entries.map(([name], index) => [name, sums[index]])),
+                datasets,
+                settings: state.settings
+            }));
+        });
     }
 
-    function populateServiceFormForEdit(id) {
-        const state = AppState.getState(); const { products } = state; const service = products.find(p => p.id === id);
-        if (!service) return;
+    function verifyChecksums(backup) {
+        if (!backup.checksums) return Promise.resolve('missing');
+        const labels = new Map(StorageService.getCollections().map(({ name, label }) => [name, label])); labels.set('settings', 'pengaturan');
+        const names = [...labels.keys()].filter(name => (name === 'settings' ? backup.settings : backup.datasets[name]) !== undefined);
+        return Promise.all(names.map(name => checksum(name === 'settings' ? backup.settings : backup.datasets[name]))).then(sums => {
+            const mismatched = names.filter((name, index) => backup.checksums[name] !== sums[index]);
+            if (mismatched.length > 0) throw new Error(`Checksum tidak cocok untuk ${mismatched.map(name => labels.get(name)).join(', ')}. File mungkin rusak atau telah diubah.`);
+            return 'ok';
+        });
+    }
 
-        document.getElementById('serviceId').value = service.id;
-        document.getElementById('serviceSKU').value = service.sku || '';
-        document.getElementById('serviceName').value = service.name;
-        document.getElementById('servicePrice').value = service.price;
-        document.getElementById('serviceDuration').value = service.duration || 0;
-        
-        serviceImageData = service.image;
-        updateServiceImagePreview(service.image);
-        document.getElementById('submitServiceBtn').textContent = 'Update Jasa';
+    function readBackup(text) {
+        let raw;
+        try { raw = JSON.parse(text); } catch (error) { return Promise.reject(new Error('File bukan JSON yang valid.')); }
+        return validateBackup(raw);
     }
 
-    function handleServiceFormSubmit(event) {
-        event.preventDefault();
-        const state = AppState.getState(); let { products } = state;
-        const id = document.getElementById('serviceId').value;
-        
-        const serviceData = {
-            id: id ? parseInt(id) : Date.now(),
-            sku: document.getElementById('serviceSKU').value,
-            name: document.getElementById('serviceName').value,
-            type: 'service',
-            price: parseInt(document.getElementById('servicePrice').value),
-            duration: parseInt(document.getElementById('serviceDuration').value) || 0,
-        };
+    /**
+     * Migrates a parsed backup to the current version, verifies checksums and drops
+     * records that fail their schema. Rejects when the backup cannot be trusted at all;
+     * skipped records are reported in `issues`.
+     */
+    function validateBackup(raw) {
+        const sourceVersion = raw && typeof raw === 'object' ? detectVersion(raw) : null;
+        if (!sourceVersion) return Promise.reject(new Error('Format backup tidak dikenali.'));
+        if (sourceVersion > CURRENT_VERSION) return Promise.reject(new Error(`Backup versi ${sourceVersion} dibuat oleh aplikasi yang lebih baru.`));
+        let backup = raw;
+        for (let version = sourceVersion + 1; version <= CURRENT_VERSION; version++) backup = MIGRATIONS[version](backup);
+        if (!backup.datasets || typeof backup.datasets !== 'object') return Promise.reject(new Error('Backup tidak berisi data.'));
+        return verifyChecksums(backup).then(checksumStatus => {
+            const issues = []; const datasets = {};
+            StorageService.getCollections().forEach(({ name, keyPath, label }) => {
+                const records = backup.datasets[name]; if (records === undefined) return;
+                if (!Array.isArray(records)) { issues.push(`Data ${label} bukan daftar, seluruhnya dilewati.`); return; }
+                const seen = new Set();
+                datasets[name] = records.filter((record, index) => {
+                    const problem = checkRecord(record, keyPath, SCHEMAS[name]) || (seen.has(record[keyPath]) ? `${keyPath} ganda` : null);
+                    if (problem) { issues.push(`${label} #${index + 1}${record && record[keyPath] ? ` (${record[keyPath]})` : ''}: ${problem}`); return false; }
+                    seen.add(record[keyPath]); return true;
+                });
+            });
+            const settings = backup.settings && typeof backup.settings === 'object' && !Array.isArray(backup.settings) ? backup.settings : null;
+            return { backup: { ...backup, datasets, settings }, sourceVersion, checksumStatus, issues };
+        });
+    }
 
-        const fileInput = document.getElementById('serviceImage');
-        const file = fileInput.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                serviceData.image = e.target.result;
-                saveItemData(serviceData, products, id, 'service');
-            };
-            reader.readAsDataURL(file);
-        } else {
-            if (id) {
-                const existingItem = products.find(p => p.id == id);
-                serviceData.image = serviceImageData || existingItem.image;
-            } else {
-                serviceData.image = `https://via.placeholder.com/80x80/cccccc/FFFFFF?text=${encodeURIComponent(document.getElementById('serviceName').value.substring(0, 5))}`;
-            }
-            saveItemData(serviceData, products, id, 'service');
-        }
+    // ==========================================================
+    // PRATINJAU & PENERAPAN
+    // ==========================================================
+    // Gambar dibandingkan terpisah karena di perangkat tersimpan sebagai blob URL
+    function comparable(name, record) { return JSON.stringify(name === 'products' ? { ...record, image: undefined, imageStored: undefined } : record); }
+    function productKey(product) { return product.sku ? `sku:${product.sku.trim().toUpperCase()}` : `name:${product.type}:${product.name.trim().toLowerCase()}`; }
+
+    /**
+     * Records a merge would add: products whose SKU is new (with fresh local ids), orders
+     * whose number is new, and refunds of those orders. Line items are re-pointed at the
+     * local product ids so reports and refunds keep working.
+     */
+    function planMerge(backup) {
+        const state = AppState.getState(); const incoming = backup.datasets;
+        const productsByKey = new Map(state.products.map(product => [productKey(product), product]));
+        let nextId = Math.max(0, ...state.products.map(product => product.id)) + 1;
+        const idMap = new Map(); const products = [];
+        (incoming.products || []).forEach(product => {
+            const existing = productsByKey.get(productKey(product));
+            if (existing) { idMap.set(product.id, existing.id); return; }
+            const merged = { ...product, id: nextId++ };
+            idMap.set(product.id, merged.id); productsByKey.set(productKey(merged), merged); products.push(merged);
+        });
+        const remapItems = (record) => ({ ...record, items: record.items.map(item => idMap.has(item.id) ? { ...item, id: idMap.get(item.id) } : item) });
+        const orderNumbers = new Set(state.orders.map(order => order.orderNumber));
+        const orders = (incoming.orders || []).filter(order => !orderNumbers.has(order.orderNumber)).map(remapItems);
+        orders.forEach(order => orderNumbers.add(order.orderNumber));
+        const refundNumbers = new Set(state.refunds.map(refund => refund.refundNumber));
+        const refunds = (incoming.refunds || []).filter(refund => !refundNumbers.has(refund.refundNumber) && orderNumbers.has(refund.orderNumber)).map(remapItems);
+        return { products, orders, refunds };
     }
 
-    function updateServiceImagePreview(imageSrc) {
-        const previewContainer = document.getElementById('serviceImagePreview');
-        if (imageSrc) {
-            previewContainer.innerHTML = `<img src="${imageSrc}" alt="Preview"><button type="button" class="remove-image-btn" onclick="event.stopPropagation(); SettingsModule.removeServiceImage();">&times;</button>`;
-        } else {
-            previewContainer.innerHTML = `<i class="fas fa-image placeholder-icon"></i>`;
+    /**
+     * Per-dataset counts of what applying the backup would do: added, changed and removed
+     * records for a replace, or added and skipped (already present) records for a merge.
+     */
+    function diffBackup(backup, mode) {
+        const state = AppState.getState(); const collections = StorageService.getCollections();
+        if (mode === 'merge') {
+            const plan = planMerge(backup);
+            return collections.filter(({ name }) => MERGE_DATASETS.includes(name)).map(({ name, label }) => {
+                const incoming = (backup.datasets[name] || []).length;
+                return { name, label, incoming, added: plan[name].length, changed: 0, removed: 0, skipped: incoming - plan[name].length };
+            });
         }
+        return collections.filter(({ name }) => backup.datasets[name]).map(({ name, keyPath, label }) => {
+            const current = new Map(state[name].map(record => [record[keyPath], comparable(name, record)]));
+            const incoming = backup.datasets[name]; const incomingKeys = new Set(incoming.map(record => record[keyPath]));
+            let added = 0; let changed = 0;
+            incoming.forEach(record => {
+                if (!current.has(record[keyPath])) added++;
+                else if (current.get(record[keyPath]) !== comparable(name, record)) changed++;
+            });
+            return { name, label, incoming: incoming.length, added, changed, removed: [...current.keys()].filter(key => !incomingKeys.has(key)).length, skipped: 0 };
+        });
     }
-    function removeServiceImage() { serviceImageData = null; document.getElementById('serviceImage').value = ''; updateServiceImagePreview(null); }
 
-    // ==========================================================
-    // FUNGSI UMUM
-    // ==========================================================
-    function saveItemData(itemData, products, id, type) {
-        if (id) {
-            const index = products.findIndex(p => p.id == id);
-            if (index !== -1) products[index] = itemData;
+    /**
+     * Applies a validated backup. "replace" overwrites every collection present in the
+     * file (collections missing from older files are kept, except the stock ledger, which
+     * is rebased on the restored stock); "merge" only appends what planMerge finds.
+     * Resolves to true when every write succeeded.
+     */
+    function applyBackup(backup, mode) {
+        const state = AppState.getState(); let updates;
+        if (mode === 'merge') {
+            const plan = planMerge(backup); const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+            updates = { products: [...state.products, ...plan.products], orders: [...state.orders, ...plan.orders].sort(byTime), refunds: [...state.refunds, ...plan.refunds].sort(byTime) };
         } else {
-            products.push(itemData);
+            updates = { ...backup.datasets };
+            // Kartu stok mengikuti stok hasil restore: backup tanpa ledger (v1/lama) mendapat saldo awal baru dari ensureOpeningBalances
+            if (updates.products && !updates.stockLedger) updates.stockLedger = [];
+            if (backup.settings) updates.settings = { ...state.settings, ...backup.settings };
         }
-        AppState.updateState({ products }); StorageService.saveProducts(products);
-        if (type === 'product') renderProductTab(); else renderServiceTab();
-        UIService.showToast(`Item berhasil ${id ? 'diperbarui' : 'ditambahkan'}`, 'success');
+        AppState.setState(updates);
+        return Promise.all(Object.entries(updates).map(([name, value]) => name === 'settings' ? StorageService.saveSettings(value) : StorageService.saveCollection(name, value)))
+            .then(results => results.every(Boolean));
     }
 
-    function deleteItem(id) {
-        if (!confirm('Apakah Anda yakin ingin menghapus item ini?')) return;
-        const state = AppState.getState(); let { products } = state; products = products.filter(p => p.id !== id);
-        AppState.updateState({ products }); StorageService.saveProducts(products);
-        const activeTab = document.querySelector('.settings-tab.active').dataset.tab;
-        if (activeTab === 'product') renderProductTab(); else if (activeTab === 'service') renderServiceTab();
-        UIService.showToast('Item berhasil dihapus', 'success');
+    return { CURRENT_VERSION, createBackup, readBackup, validateBackup, diffBackup, applyBackup };
+})();
+
+/**
+ * Snapshot Service - Automatic local backups on a schedule and every N transactions
+ */
+const SnapshotService = (function() {
+    const CHECK_INTERVAL = 60 * 60 * 1000;
+    // Rotasi: snapshot terbaru per hari untuk 7 hari terakhir dan per minggu untuk 4 minggu terakhir
+    const DAILY_KEEP = 7;
+    const WEEKLY_KEEP = 4;
+    // Snapshot sebelum hapus/restore tidak ikut rotasi, hanya dibatasi jumlahnya per jenis
+    const PROTECTED_KEEP = 3;
+    const REASON_LABELS = { scheduled: 'Harian', transactions: 'Setelah transaksi', manual: 'Manual', 'pre-clear': 'Sebelum hapus data', 'pre-restore': 'Sebelum restore', 'pre-archive': 'Sebelum arsip transaksi' };
+
+    let latest = null;
+    let running = null;
+
+    function getReasonLabel(reason) { return REASON_LABELS[reason] || reason; }
+    function isProtected(snapshot) { return snapshot.reason.startsWith('pre-'); }
+    function isEnabled() { return AppState.getState().settings.autoSnapshotEnabled !== false; }
+
+    function weekKey(date) {
+        const monday = new Date(date); monday.setHours(0, 0, 0, 0); monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        return monday.toDateString();
     }
 
-    function handleAppSettingsFormSubmit(event) {
-        event.preventDefault();
-        const newSettings = {
-            taxEnabled: document.getElementById('taxEnabled').value === 'true',
-            taxRate: parseFloat(document.getElementById('taxRate').value),
-            serviceName: document.getElementById('cashierName').value.trim() || 'Kasir',
-            storeName: document.getElementById('storeName').value.trim() || 'Servis Pusat'
-        };
-        AppState.updateState({ settings: newSettings }); StorageService.saveSettings(newSettings); UIService.updateUserInfo(newSettings); UIService.renderCart(AppState.getState().cart); UIService.showToast('Pengaturan berhasil disimpan!', 'success');
+    /**
+     * Ids to delete so that only the newest snapshot of each of the last DAILY_KEEP days
+     * and WEEKLY_KEEP weeks remains. `snapshots` must be sorted newest first.
+     */
+    function selectExpired(snapshots) {
+        const keep = new Set(); const days = new Set(); const weeks = new Set(); const protectedCounts = {};
+        snapshots.forEach(snapshot => {
+            const date = new Date(snapshot.createdAt);
+            if (isProtected(snapshot)) {
+                protectedCounts[snapshot.reason] = (protectedCounts[snapshot.reason] || 0) + 1;
+                if (protectedCounts[snapshot.reason] <= PROTECTED_KEEP) keep.add(snapshot.id);
+                return;
+            }
+            const day = date.toDateString(); const week = weekKey(date);
+            if (!days.has(day) && days.size < DAILY_KEEP) { days.add(day); keep.add(snapshot.id); }
+            if (!weeks.has(week) && weeks.size < WEEKLY_KEEP) { weeks.add(week); keep.add(snapshot.id); }
+        });
+        return snapshots.filter(snapshot => !keep.has(snapshot.id)).map(snapshot => snapshot.id);
     }
 
-    // ==========================================================
-    // FUNGSI UNTUK STOK (Hanya untuk produk)
-    // ==========================================================
-    function showAddStockModal(productId) { stockActionType = 'add'; showStockModal(productId); }
-    function showSubtractStockModal(productId) { stockActionType = 'subtract'; showStockModal(productId); }
-    
-    function showStockModal(productId) {
-        const state = AppState.getState();
-        const product = state.products.find(p => p.id === productId);
-        if (!product || product.type !== 'product') {
-            UIService.showToast('Hanya produk fisik yang bisa diubah stoknya.', 'warning');
-            return;
-        }
-        productIdForStockUpdate = productId;
-        
-        const modalTitle = document.getElementById('stockModalTitle');
-        const modalInfo = document.getElementById('addStockModalInfo');
-        const inputLabel = document.getElementById('stockModalLabel');
-        const confirmBtn = document.getElementById('confirmAddStockBtn');
+    /**
+     * Stores a full backup (same format as the downloaded file) in IndexedDB, then rotates.
+     * Resolves to the snapshot metadata, or null when it could not be saved.
+     */
+    function takeSnapshot(reason) {
+        if (running) return running.then(() => takeSnapshot(reason));
+        if (!StorageService.isAvailable()) return Promise.resolve(null);
+        running = BackupService.createBackup().then(backup => {
+            const meta = {
+                id: `SNP-${Date.now()}`,
+                createdAt: backup.createdAt,
+                reason,
+                counts: { products: backup.counts.products, orders: backup.counts.orders, customers: backup.counts.customers },
+                bytes: new Blob([JSON.stringify(backup)]).size,
+                user: UserModule.getCurrentUserName()
+            };
+            return StorageService.saveSnapshot(meta, backup).then(saved => {
+                if (!saved) return null;
+                if (!isProtected(meta)) latest = meta;
+                return StorageService.listSnapshots().then(list => StorageService.deleteSnapshots(selectExpired(list))).then(() => meta);
+            });
+        }).catch(error => { console.error('Snapshot error:', error); return null; }).then(meta => { running = null; return meta; });
+        return running;
+    }
 
-        if (stockActionType === 'add') {
-            modalTitle.textContent = 'Tambah Stok Produk'; modalInfo.textContent = `Produk: ${product.name} | Stok Saat Ini: ${product.stock}`; inputLabel.textContent = 'Jumlah Stok yang Ditambahkan:'; confirmBtn.textContent = 'Tambah Stok';
-        } else {
-            modalTitle.textContent = 'Kurangi Stok Produk'; modalInfo.textContent = `Produk: ${product.name} | Stok Saat Ini: ${product.stock}`; inputLabel.textContent = 'Jumlah Stok yang Dikurangi:'; confirmBtn.textContent = 'Kurangi Stok';
-        }
-        document.getElementById('addStockAmount').value = '';
-        UIService.showModal('addStockModal');
+    function countOrdersSince(snapshot) {
+        const since = snapshot ? new Date(snapshot.createdAt) : new Date(0);
+        return AppState.getState().orders.filter(order => new Date(order.timestamp) > since).length;
     }
 
-    function confirmStockAdjustment() {
-        const amountToAdjust = parseInt(document.getElementById('addStockAmount').value);
-        if (isNaN(amountToAdjust) || amountToAdjust <= 0) { UIService.showToast('Jumlah stok tidak valid.', 'error'); return; }
-        const state = AppState.getState(); let { products } = state; const productIndex = products.findIndex(p => p.id === productIdForStockUpdate);
-        if (productIndex !== -1) {
-            let newStock = products[productIndex].stock; let actionMessage = '';
-            if (stockActionType === 'add') { newStock += amountToAdjust; actionMessage = `${amountToAdjust} stok berhasil ditambahkan`; }
-            else { if (amountToAdjust > products[productIndex].stock) { UIService.showToast('Jumlah pengurangan stok melebihi stok yang ada.', 'error'); return; } newStock -= amountToAdjust; actionMessage = `${amountToAdjust} stok berhasil dikurangi`; }
-            products[productIndex].stock = newStock;
-            AppState.updateState({ products }); StorageService.saveProducts(products);
-            renderProductTab();
-            UIService.hideModal('addStockModal');
-            UIService.showToast(`${actionMessage} untuk ${products[productIndex].name}. Stok baru: ${newStock}.`, 'success');
-        }
-        productIdForStockUpdate = null;
+    // Snapshot harian diambil saat aplikasi dibuka dan dicek ulang tiap jam
+    function checkSchedule() {
+        if (!isEnabled() || running) return;
+        if (!latest || new Date(latest.createdAt).toDateString() !== new Date().toDateString()) takeSnapshot('scheduled');
     }
 
-    return { 
-        showSettings, 
-        populateProductFormForEdit,
-        populateServiceFormForEdit,
-        deleteItem, 
-        handleProductFormSubmit, 
-        handleServiceFormSubmit,
-        handleAppSettingsFormSubmit,
-        removeProductImage,
-        removeServiceImage,
-        showAddStockModal,
-        showSubtractStockModal,
-        confirmStockAdjustment
-    };
-})();
+    function handleOrderCreated() {
+        const every = AppState.getState().settings.snapshotEveryOrders || 0;
+        if (!isEnabled() || every <= 0 || running) return;
+        if (countOrdersSince(latest) >= every) takeSnapshot('transactions');
+    }
+
+    function start() {
+        StorageService.listSnapshots().then(list => {
+            latest = list.find(snapshot => !isProtected(snapshot)) || null;
+            checkSchedule();
+            setInterval(checkSchedule, CHECK_INTERVAL);
+        });
+        EventBus.on('orderCreated', handleOrderCreated);
+    }
 
+    return { start, takeSnapshot, getReasonLabel };
+})();
 
 /**
- * Dashboard Module - Handles rendering of dashboard charts and metrics
+ * Sync Service - Shares products, orders, refunds, customers, tickets, settings and stock
+ * between counters through a pluggable backend, with an offline queue
+ *
+ * Stock is never sent as a value. Each device publishes its own running total of stock
+ * movements per SKU and every device computes stock = base + sum of all device totals,
+ * so two counters selling the same item at once add up instead of overwriting each
+ * other. All other records are last-writer-wins by `updatedAt`. The server contract is
+ * documented on createRestBackend.
  */
-const DashboardModule = (function() {
-    let revenueChartInstance = null;
-    let bestSellingChartInstance = null;
+const SyncService = (function() {
+    const SYNC_INTERVAL = 15000;
+    const FLUSH_DELAY = 2000;
+    const BATCH_SIZE = 100;
+    // Pengaturan yang dibagi antar kasir; sisanya (mis. koneksi sinkron) milik perangkat masing-masing
+    const SHARED_SETTINGS = ['taxEnabled', 'taxRate', 'serviceName', 'storeName', 'catalogUpdateUrl', 'catalogPublicKey', 'receiptHeader', 'receiptAddress', 'receiptPhone', 'receiptFooter', 'invoicePaymentTerms', 'shareMessageTemplate', 'receiptFields'];
+    // Rekaman biasa per kunci; id produk berbeda per perangkat, jadi baris item dipetakan ulang lewat SKU
+    const RECORD_TYPES = {
+        order: { collection: 'orders', keyOf: order => order.orderNumber, sortBy: 'timestamp', fromSynced: (order, idsBySku) => ({ ...order, items: remapLines(order.items, idsBySku) }), save: records => StorageService.saveOrders(records) },
+        refund: { collection: 'refunds', keyOf: refund => refund.refundNumber, sortBy: 'timestamp', fromSynced: (refund, idsBySku) => ({ ...refund, items: remapLines(refund.items, idsBySku) }), save: records => StorageService.saveRefunds(records) },
+        customer: { collection: 'customers', keyOf: customer => String(customer.id), trackDeletes: true, save: records => StorageService.saveCustomers(records) },
+        ticket: { collection: 'tickets', keyOf: ticket => ticket.ticketNumber, sortBy: 'createdAt', toSynced: toSyncedTicket, fromSynced: fromSyncedTicket, save: records => StorageService.saveTickets(records) }
+    };
+    const STATUS_LABELS = { off: 'Sinkron: Mati', syncing: 'Menyinkronkan...', ok: 'Tersinkron', offline: 'Offline', error: 'Gagal Sinkron' };
+    const backends = {};
 
-    function showDashboard() {
-        UIService.showModal('dashboardModal');
-        renderDashboard('today');
-        setupDashboardFilters();
+    let backend = null;
+    let sync = null;
+    // Bentuk terakhir yang dikirim/diterima per record, agar perubahan dari perangkat lain tidak dikirim balik
+    let known = { product: new Map(), settings: new Map(), order: new Map(), refund: new Map(), customer: new Map(), ticket: new Map() };
+    let seenLedger = new Set();
+    let paused = false;
+    let applying = false;
+    let running = null;
+    let flushTimer = null;
+    let status = 'off';
+    let lastError = '';
+
+    function normalizeSku(sku) { return String(sku || '').trim().toUpperCase(); }
+
+    // ==========================================================
+    // BACKEND
+    // ==========================================================
+    /**
+     * Registers a backend factory. A backend is `{ push(deviceId, changes), pull(deviceId, cursor) }`
+     * where pull resolves to `{ changes, cursor, hasMore? }`. The server must keep (or
+     * compact per key) every change so a new device can start from an empty cursor.
+     */
+    function registerBackend(name, label, factory) { backends[name] = { label, factory }; }
+    function getBackends() { return Object.entries(backends).map(([name, { label }]) => ({ name, label })); }
+
+    /**
+     * REST backend (also for a server on the local network). Wire contract:
+     *
+     * Every request carries `Authorization: Bearer <syncToken>` when a token is set. A change is
+     * `{ id, type, key, data, updatedAt, deviceId }`: `id` is unique per device (`<deviceId>-<seq>`),
+     * `type` is one of product | order | refund | customer | ticket | settings | stock, `key` is
+     * the record key (SKU, orderNumber, refundNumber, customer id, ticketNumber, 'settings', or
+     * `<SKU>@<deviceId>` for stock), `data` is the record or `null` for a deletion, and
+     * `updatedAt` is an ISO timestamp used for last-writer-wins.
+     *
+     * `POST {url}/changes` with body `{ deviceId, changes: [change, ...] }` (at most 100 per
+     * request). The server appends them to its log and answers any 2xx JSON, e.g. `{ ok: true }`.
+     * A retried batch may contain ids already stored; the server should ignore those.
+     *
+     * `GET {url}/changes?since=<cursor>&device=<deviceId>` answers
+     * `{ changes: [change, ...], cursor: '<opaque>', hasMore: true|false }` with the changes
+     * stored after `cursor`, oldest first. An empty `since` means from the beginning. The cursor
+     * is opaque to the client and is sent back unchanged; `hasMore: true` makes the client ask
+     * again straight away. The server may leave out changes from `device` (the client skips
+     * them anyway) and may compact the log to the newest change per `type` + `key`, but must
+     * keep at least that so a new device starting from an empty cursor gets every record.
+     */
+    function createRestBackend({ syncUrl, syncToken }) {
+        const baseUrl = syncUrl.replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json', ...(syncToken ? { Authorization: `Bearer ${syncToken}` } : {}) };
+        const request = (path, options) => fetch(`${baseUrl}${path}`, { ...options, headers, cache: 'no-store' })
+            .then(response => { if (!response.ok) throw new Error(`Server sinkron membalas ${response.status}`); return response.json(); });
+        return {
+            push: (deviceId, changes) => request('/changes', { method: 'POST', body: JSON.stringify({ deviceId, changes }) }),
+            pull: (deviceId, cursor) => request(`/changes?since=${encodeURIComponent(cursor || '')}&device=${encodeURIComponent(deviceId)}`, { method: 'GET' })
+        };
     }
+    registerBackend('rest', 'REST / server lokal', createRestBackend);
 
-    function setupDashboardFilters() {
-        document.querySelectorAll('.dashboard-filters button').forEach(button => {
-            button.replaceWith(button.cloneNode(true));
-        });
-        document.querySelectorAll('.dashboard-filters button').forEach(button => {
-            button.addEventListener('click', function() {
-                renderDashboard(this.dataset.filter);
-            });
+    // ==========================================================
+    // ANTREAN PERUBAHAN LOKAL
+    // ==========================================================
+    function persist() { return StorageService.saveSyncState(sync); }
+
+    // Satu entri per record di antrean: perubahan baru menggantikan yang lama selama belum terkirim
+    function enqueue(type, key, data) {
+        sync.queue = sync.queue.filter(change => !(change.type === type && change.key === key));
+        sync.queue.push({ id: `${sync.deviceId}-${++sync.seq}`, type, key, data, updatedAt: new Date().toISOString(), deviceId: sync.deviceId });
+        persist(); updateIndicator();
+        if (backend && !flushTimer) flushTimer = setTimeout(() => { flushTimer = null; syncNow(); }, FLUSH_DELAY);
+    }
+
+    function toSyncedProduct(product) {
+        const { id, stock, image, ...data } = product;
+        return /^https?:/.test(image || '') ? { ...data, image } : data;
+    }
+    function toSyncedSettings(settings) { return Object.fromEntries(SHARED_SETTINGS.map(key => [key, settings[key]])); }
+    function remapLines(lines, idsBySku) { return (lines || []).map(line => idsBySku.has(normalizeSku(line.sku)) ? { ...line, id: idsBySku.get(normalizeSku(line.sku)) } : line); }
+    // Jasa pada tiket dirujuk lewat id lokal, jadi SKU-nya ikut dikirim
+    function toSyncedTicket(ticket) {
+        const service = ticket.serviceId ? AppState.getState().products.find(p => p.id === ticket.serviceId) : null;
+        return service && normalizeSku(service.sku) ? { ...ticket, serviceSku: normalizeSku(service.sku) } : ticket;
+    }
+    function fromSyncedTicket({ serviceSku, ...ticket }, idsBySku) {
+        return { ...ticket, serviceId: serviceSku && idsBySku.has(serviceSku) ? idsBySku.get(serviceSku) : ticket.serviceId, parts: remapLines(ticket.parts, idsBySku) };
+    }
+    function toSyncedRecord(type, record) { return RECORD_TYPES[type].toSynced ? RECORD_TYPES[type].toSynced(record) : record; }
+    function recordEntries(type, records) { return records.map(record => ({ key: RECORD_TYPES[type].keyOf(record), data: toSyncedRecord(type, record) })); }
+
+    function captureRecords(type, entries, trackDeletes) {
+        const map = known[type]; const keys = new Set();
+        entries.forEach(({ key, data }) => {
+            keys.add(key); const json = JSON.stringify(data);
+            if (map.get(key) !== json) { map.set(key, json); enqueue(type, key, data); }
         });
+        if (trackDeletes) [...map.keys()].filter(key => !keys.has(key)).forEach(key => { map.delete(key); enqueue(type, key, null); });
     }
 
-    function renderDashboard(filter) {
-        const state = AppState.getState();
-        const { orders } = state;
-        const today = new Date();
-        let targetDate, dateLabel, ordersToRender;
+    function counterFor(key, deviceId) {
+        sync.counters[key] = sync.counters[key] || {};
+        return sync.counters[key][deviceId] = sync.counters[key][deviceId] || { total: 0, seq: 0 };
+    }
 
-        switch(filter) {
-            case 'today':
-                targetDate = today.toISOString().split('T')[0];
-                dateLabel = 'Hari Ini';
-                break;
-            case 'yesterday':
-                const yesterday = new Date(today);
-                yesterday.setDate(yesterday.getDate() - 1);
-                targetDate = yesterday.toISOString().split('T')[0];
-                dateLabel = 'Hari Kemarin';
-                break;
-            case 'week':
-                const weekStart = new Date(today);
-                weekStart.setDate(today.getDate() - today.getDay());
-                targetDate = weekStart.toISOString().split('T')[0];
-                dateLabel = 'Minggu Ini';
-                break;
-            case 'month':
-                const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
-                targetDate = monthStart.toISOString().split('T')[0];
-                dateLabel = 'Bulan Ini';
-                break;
-            default:
-                targetDate = today.toISOString().split('T')[0];
-                dateLabel = 'Hari Ini';
+    // Mutasi stok lokal (selain saldo awal dan hasil sinkron) menambah total milik perangkat ini
+    function captureStock(ledger) {
+        const touched = new Set();
+        ledger.forEach(entry => {
+            if (seenLedger.has(entry.id)) return; seenLedger.add(entry.id);
+            if (entry.reason === 'sync' || entry.reason === 'opening' || !entry.sku) return;
+            counterFor(normalizeSku(entry.sku), sync.deviceId).total += entry.delta; touched.add(normalizeSku(entry.sku));
+        });
+        touched.forEach(key => {
+            const counter = counterFor(key, sync.deviceId); counter.seq = sync.seq + 1;
+            enqueue('stock', `${key}@${sync.deviceId}`, { sku: key, deviceId: sync.deviceId, total: counter.total, seq: counter.seq });
+        });
+    }
+
+    function handleDataSaved({ name, records }) {
+        if (!sync || paused || applying) return;
+        if (name === 'stockLedger') captureStock(records);
+        else if (name === 'products') captureRecords('product', records.filter(product => normalizeSku(product.sku)).map(product => ({ key: normalizeSku(product.sku), data: toSyncedProduct(product) })), true);
+        else if (name === 'settings') captureRecords('settings', [{ key: 'settings', data: toSyncedSettings(records) }], false);
+        else {
+            const type = Object.keys(RECORD_TYPES).find(candidate => RECORD_TYPES[candidate].collection === name);
+            if (type) captureRecords(type, recordEntries(type, records), !!RECORD_TYPES[type].trackDeletes);
         }
+    }
 
-        if (filter === 'week' || filter === 'month') {
-            ordersToRender = orders.filter(order => new Date(order.timestamp) >= new Date(targetDate));
-        } else {
-            ordersToRender = orders.filter(order => order.timestamp.startsWith(targetDate));
+    function rememberCurrentState() {
+        const state = AppState.getState(); const { products, settings, stockLedger } = state;
+        known = {
+            product: new Map(products.filter(product => normalizeSku(product.sku)).map(product => [normalizeSku(product.sku), JSON.stringify(toSyncedProduct(product))])),
+            settings: new Map([['settings', JSON.stringify(toSyncedSettings(settings))]])
+        };
+        Object.entries(RECORD_TYPES).forEach(([type, { collection }]) => { known[type] = new Map(recordEntries(type, state[collection]).map(({ key, data }) => [key, JSON.stringify(data)])); });
+        seenLedger = new Set(stockLedger.map(entry => entry.id));
+    }
+
+    // ==========================================================
+    // MENERAPKAN PERUBAHAN DARI PERANGKAT LAIN
+    // ==========================================================
+    function stockTotal(key) { return Object.values(sync.counters[key] || {}).reduce((sum, counter) => sum + counter.total, 0); }
+
+    // Basis stok yang paling awal dipublikasikan menang, sehingga semua perangkat memakai angka yang sama
+    function acceptBase(key, base) {
+        const current = sync.bases[key];
+        if (!current || base.at < current.at || (base.at === current.at && base.deviceId < current.deviceId)) sync.bases[key] = base;
+    }
+
+    function reconcileStock(key) {
+        const product = AppState.getState().products.find(p => normalizeSku(p.sku) === key);
+        if (!product || product.type !== 'product' || !sync.bases[key]) return false;
+        const delta = sync.bases[key].value + stockTotal(key) - (product.stock || 0);
+        const entry = StockService.adjustStock(product, delta, 'sync', '', 'Sinkronisasi dari kasir lain');
+        if (entry) seenLedger.add(entry.id);
+        return !!entry;
+    }
+
+    function applyProduct(change, products, inCart) {
+        const index = products.findIndex(product => normalizeSku(product.sku) === change.key);
+        if (change.data === null) {
+            if (index !== -1 && !inCart.has(products[index].id)) products.splice(index, 1);
+            known.product.delete(change.key); return;
         }
+        const { stockBase, ...data } = change.data;
+        if (stockBase) acceptBase(change.key, stockBase);
+        if (index === -1) {
+            const product = { ...data, id: Math.max(0, ...products.map(p => p.id)) + 1, image: data.image || `https://via.placeholder.com/80x80/cccccc/FFFFFF?text=${encodeURIComponent(data.name.substring(0, 5))}` };
+            if (product.type === 'product') product.stock = 0;
+            products.push(product);
+        } else products[index] = { ...products[index], ...data };
+        known.product.set(change.key, JSON.stringify(toSyncedProduct(products[index === -1 ? products.length - 1 : index])));
+    }
 
-        let totalIncome = 0;
-        let totalTransactions = ordersToRender.length;
-        let totalItemsSold = 0;
+    function applyRecord(change, records, idsBySku) {
+        const { keyOf, sortBy, fromSynced } = RECORD_TYPES[change.type];
+        const index = records.findIndex(record => keyOf(record) === change.key);
+        if (change.data === null) {
+            if (index !== -1) records.splice(index, 1);
+            known[change.type].delete(change.key); return;
+        }
+        const record = fromSynced ? fromSynced(change.data, idsBySku) : change.data;
+        if (index === -1) { records.push(record); if (sortBy) records.sort((a, b) => String(a[sortBy]).localeCompare(String(b[sortBy]))); } else records[index] = record;
+        known[change.type].set(change.key, JSON.stringify(toSyncedRecord(change.type, record)));
+    }
 
-        ordersToRender.forEach(order => {
-            totalIncome += order.totalAmount;
-            order.items.forEach(item => {
-                totalItemsSold += item.quantity;
-            });
+    /**
+     * Applies a batch pulled from the backend. A record with a newer unsent local change
+     * keeps the local version (it is pushed next); otherwise the remote version wins and
+     * the local pending change is dropped. Both cases are counted as conflicts.
+     */
+    function applyRemoteChanges(changes, seenKeys) {
+        if (changes.length === 0) return 0;
+        const state = AppState.getState(); const { products } = state; let { settings } = state;
+        const inCart = new Set([...state.cart, ...state.parkedCarts.flatMap(parked => parked.items)].map(item => item.id));
+        const touched = new Set(); const changed = new Set(); let conflicts = 0;
+        changes.forEach(change => {
+            if (seenKeys) seenKeys.add(`${change.type}:${change.key}`);
+            if (change.type === 'stock') {
+                const counter = counterFor(change.data.sku, change.data.deviceId);
+                if (change.data.seq > counter.seq) { counter.total = change.data.total; counter.seq = change.data.seq; touched.add(change.data.sku); }
+                return;
+            }
+            const pending = sync.queue.find(local => local.type === change.type && local.key === change.key);
+            if (pending) {
+                conflicts++;
+                if (pending.updatedAt > change.updatedAt) return;
+                sync.queue = sync.queue.filter(local => local !== pending);
+            }
+            if (change.type === 'product') { applyProduct(change, products, inCart); touched.add(change.key); changed.add('products'); }
+            else if (RECORD_TYPES[change.type]) { const { collection } = RECORD_TYPES[change.type]; applyRecord(change, state[collection], new Map(products.map(product => [normalizeSku(product.sku), product.id]))); changed.add(collection); }
+            else if (change.type === 'settings') { settings = { ...settings, ...change.data }; known.settings.set('settings', JSON.stringify(toSyncedSettings(settings))); changed.add('settings'); }
         });
+        applying = true;
+        try {
+            const collections = Object.values(RECORD_TYPES).filter(({ collection }) => changed.has(collection));
+            AppState.updateState({ products, settings, ...Object.fromEntries(collections.map(({ collection }) => [collection, state[collection]])) });
+            touched.forEach(key => { if (reconcileStock(key)) changed.add('products'); });
+            if (changed.has('products')) { StorageService.saveProducts(products); StockService.ensureOpeningBalances(); }
+            collections.forEach(({ collection, save }) => save(state[collection]));
+            if (changed.has('settings')) { StorageService.saveSettings(settings); UIService.updateUserInfo(settings); }
+            seenLedger = new Set(AppState.getState().stockLedger.map(entry => entry.id));
+        } finally { applying = false; }
+        return conflicts;
+    }
 
-        const metricsContainer = document.getElementById('dashboardMetrics');
-        metricsContainer.innerHTML = `
-            <div class="metric-card">
-                <i class="fas fa-cash-register"></i>
-                <h3>${totalTransactions}</h3>
-                <p>Total Transaksi (${dateLabel})</p>
-            </div>
-            <div class="metric-card">
-                <i class="fas fa-money-bill-trend-up"></i>
-                <h3>Rp ${totalIncome.toLocaleString('id-ID')}</h3>
-                <p>Total Pendapatan (${dateLabel})</p>
-            </div>
-            <div class="metric-card">
-                <i class="fas fa-box"></i>
-                <h3>${totalItemsSold}</h3>
-                <p>Total Item Terjual (${dateLabel})</p>
-            </div>
-        `;
+    // ==========================================================
+    // SIKLUS SINKRON
+    // ==========================================================
+    // Basis stok dilampirkan saat produk dikirim: stok saat ini dikurangi total mutasi yang sudah tercatat
+    function withStockBase(change) {
+        if (change.type !== 'product' || !change.data || change.data.type !== 'product') return change;
+        const product = AppState.getState().products.find(p => normalizeSku(p.sku) === change.key);
+        if (!sync.bases[change.key] && product) sync.bases[change.key] = { value: (product.stock || 0) - stockTotal(change.key), at: change.updatedAt, deviceId: sync.deviceId };
+        return sync.bases[change.key] ? { ...change, data: { ...change.data, stockBase: sync.bases[change.key] } } : change;
+    }
 
-        document.querySelectorAll('.dashboard-filters button').forEach(btn => { 
-            btn.classList.remove('active'); 
-            if (btn.dataset.filter === filter) {
-                btn.classList.add('active');
-            }
+    function push() {
+        if (sync.queue.length === 0) return Promise.resolve();
+        const batch = sync.queue.slice(0, BATCH_SIZE); const sentIds = new Set(batch.map(change => change.id));
+        return backend.push(sync.deviceId, batch.map(withStockBase)).then(() => {
+            sync.queue = sync.queue.filter(change => !sentIds.has(change.id));
+            return persist().then(() => (sync.queue.length > 0 ? push() : null));
         });
+    }
 
-        renderRevenueChart();
-        renderBestSellingChart();
+    function pull(seenKeys, conflicts = 0) {
+        return backend.pull(sync.deviceId, sync.cursor).then(response => {
+            conflicts += applyRemoteChanges((response.changes || []).filter(change => change.deviceId !== sync.deviceId), seenKeys);
+            if (response.cursor !== undefined) sync.cursor = response.cursor;
+            return response.hasMore ? pull(seenKeys, conflicts) : conflicts;
+        });
     }
 
-    function renderRevenueChart() {
-        const ctx = document.getElementById('revenueChart').getContext('2d');
-        if (revenueChartInstance) { revenueChartInstance.destroy(); }
-        const state = AppState.getState(); const { orders } = state;
-        const labels = []; const data = []; const today = new Date();
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today); date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            const dayOrders = orders.filter(order => order.timestamp.startsWith(dateStr));
-            const dayRevenue = dayOrders.reduce((sum, order) => sum + order.totalAmount, 0);
-            labels.push(date.toLocaleDateString('id-ID', { weekday: 'short', day: 'numeric' }));
-            data.push(dayRevenue);
-        }
+    // Sinkron pertama: data server diterapkan dulu, lalu data lokal yang belum ada di server dikirim
+    function enqueueMissing(seenKeys) {
+        const state = AppState.getState(); const { products, settings } = state;
+        products.filter(product => normalizeSku(product.sku) && !seenKeys.has(`product:${normalizeSku(product.sku)}`)).forEach(product => enqueue('product', normalizeSku(product.sku), toSyncedProduct(product)));
+        Object.entries(RECORD_TYPES).forEach(([type, { collection }]) => recordEntries(type, state[collection]).filter(({ key }) => !seenKeys.has(`${type}:${key}`)).forEach(({ key, data }) => enqueue(type, key, data)));
+        if (!seenKeys.has('settings:settings')) enqueue('settings', 'settings', toSyncedSettings(settings));
+    }
+
+    function syncNow() {
+        if (!backend || !sync) return Promise.resolve(false);
+        if (running) return running;
+        if (!navigator.onLine) { setStatus('offline'); return Promise.resolve(false); }
+        setStatus('syncing');
+        const seenKeys = sync.initialized ? null : new Set();
+        running = (sync.initialized ? push() : Promise.resolve())
+            .then(() => pull(seenKeys))
+            .then(conflicts => {
+                if (!sync.initialized) { enqueueMissing(seenKeys); sync.initialized = true; return push().then(() => conflicts); }
+                return conflicts;
+            })
+            .then(conflicts => {
+                sync.lastSyncAt = new Date().toISOString(); lastError = '';
+                if (conflicts > 0) UIService.showToast(`${conflicts} perubahan bentrok dengan kasir lain dan diselesaikan (versi terbaru dipakai).`, 'warning');
+                return persist().then(() => { setStatus('ok'); return true; });
+            })
+            .catch(error => { console.error('Sync error:', error); lastError = error.message; persist(); setStatus(navigator.onLine ? 'error' : 'offline'); return false; })
+            .then(result => { running = null; return result; });
+        return running;
+    }
+
+    // ==========================================================
+    // STATUS & KONFIGURASI
+    // ==========================================================
+    function setStatus(next) { status = next; updateIndicator(); }
+
+    function updateIndicator() {
+        const label = document.getElementById('syncStatus'); if (!label) return;
+        const pending = sync ? sync.queue.length : 0;
+        let text = STATUS_LABELS[status];
+        if (status === 'ok' && sync.lastSyncAt) text = `Sinkron ${new Date(sync.lastSyncAt).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' })}`;
+        if (status !== 'off' && pending > 0) text += ` (${pending} antre)`;
+        label.textContent = text;
+        const button = document.getElementById('syncBtn');
+        button.className = `sync-${status}`;
+        button.title = lastError || (sync && sync.lastSyncAt ? `Terakhir sinkron ${new Date(sync.lastSyncAt).toLocaleString('id-ID')}` : 'Belum pernah sinkron');
+    }
+
+    /**
+     * (Re)creates the backend from settings. Called at startup and whenever the sync
+     * settings are saved.
+     */
+    function configure() {
+        const { settings } = AppState.getState(); const entry = backends[settings.syncBackend];
+        backend = entry && settings.syncUrl ? entry.factory(settings) : null;
+        if (!backend) { setStatus('off'); return; }
+        syncNow();
+    }
+
+    function handleIndicatorClick() {
+        if (!backend) { UIService.showToast('Sinkronisasi belum diatur. Pilih backend di Pengaturan.', 'warning'); return; }
+        syncNow();
+    }
+
+    // Dipanggil sebelum data lokal diganti seluruhnya (restore/hapus) agar penggantian itu tidak dikirim sebagai penghapusan
+    function pause() { paused = true; }
+
+    /**
+     * After local data was replaced, forget what was synced and start over as a new
+     * device: everything is pulled again and local-only records are pushed.
+     */
+    function reset() {
+        paused = false;
+        if (!sync) return Promise.resolve();
+        sync = { ...sync, cursor: null, initialized: false, queue: [], counters: {}, bases: {} };
+        rememberCurrentState();
+        return persist().then(() => (backend ? syncNow() : null));
+    }
+
+    function start() {
+        return StorageService.loadSyncState().then(saved => {
+            sync = saved || { deviceId: `DEV-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, cursor: null, initialized: false, seq: 0, queue: [], counters: {}, bases: {}, lastSyncAt: null };
+            rememberCurrentState();
+            EventBus.on('dataSaved', handleDataSaved);
+            window.addEventListener('online', () => syncNow());
+            window.addEventListener('offline', () => { if (backend) setStatus('offline'); });
+            setInterval(() => syncNow(), SYNC_INTERVAL);
+            configure();
+        });
+    }
+
+    return { start, configure, syncNow, pause, reset, registerBackend, getBackends, handleIndicatorClick };
+})();
+
+/**
+ * Export Service - Writes rows of cells (first row = header) as CSV or XLSX downloads
+ *
+ * CSV follows RFC 4180 with a UTF-8 BOM so Excel reads accented names. XLSX is a
+ * single-sheet SpreadsheetML package in an uncompressed ZIP, which every spreadsheet
+ * app opens and needs no library.
+ */
+const ExportService = (function() {
+    const MIME_TYPES = { csv: 'text/csv;charset=utf-8', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' };
+    const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const NS = { main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main', rel: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships', pkg: 'http://schemas.openxmlformats.org/package/2006/relationships' };
+    // Tanggal DOS 1980-01-01 untuk semua entri ZIP
+    const ZIP_DATE = 0x21;
+    let crcTable = null;
+
+    // ==========================================================
+    // CSV
+    // ==========================================================
+    // Field dikutip bila mengandung koma, kutip atau baris baru; kutip di dalamnya digandakan
+    function escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    function toCsv(rows) {
+        return new Blob(['\uFEFF' + rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n'], { type: MIME_TYPES.csv });
+    }
+
+    // ==========================================================
+    // XLSX
+    // ==========================================================
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1; crcTable[n] = c >>> 0; }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Packs { name: text } entries into a ZIP using the "stored" method (no compression).
+     * Returns the parts for a Blob.
+     */
+    function zip(files) {
+        const encoder = new TextEncoder(); const parts = []; const central = []; let offset = 0;
+        Object.entries(files).forEach(([fileName, content]) => {
+            const name = encoder.encode(fileName); const data = encoder.encode(content); const crc = crc32(data);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true); local.setUint16(4, 20, true); local.setUint16(12, ZIP_DATE, true);
+            local.setUint32(14, crc, true); local.setUint32(18, data.length, true); local.setUint32(22, data.length, true); local.setUint16(26, name.length, true);
+            parts.push(new Uint8Array(local.buffer), name, data);
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true); entry.setUint16(4, 20, true); entry.setUint16(6, 20, true); entry.setUint16(14, ZIP_DATE, true);
+            entry.setUint32(16, crc, true); entry.setUint32(20, data.length, true); entry.setUint32(24, data.length, true); entry.setUint16(28, name.length, true); entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); end.setUint16(8, central.length / 2, true); end.setUint16(10, central.length / 2, true);
+        end.setUint32(12, centralSize, true); end.setUint32(16, offset, true);
+        return [...parts, ...central, new Uint8Array(end.buffer)];
+    }
+
+    function escapeXml(value) {
+        return String(value).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+    // 0 -> A, 25 -> Z, 26 -> AA
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        return name;
+    }
+
+    // Angka ditulis sebagai angka agar bisa dijumlah; baris pertama (header) bergaya tebal
+    function renderCell(value, ref, header) {
+        const style = header ? ' s="1"' : '';
+        if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+        if (value === null || value === undefined || value === '') return '';
+        return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    function toXlsx(rows, sheetName) {
+        const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => renderCell(value, `${columnName(c)}${r + 1}`, r === 0)).join('')}</row>`).join('');
+        const files = {
+            '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+            '_rels/.rels': `${XML_HEADER}<Relationships xmlns="${NS.pkg}"><Relationship Id="rId1" Type="${NS.rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+            'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="${NS.main}" xmlns:r="${NS.rel}"><sheets><sheet name="${escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+            'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="${NS.pkg}"><Relationship Id="rId1" Type="${NS.rel}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${NS.rel}/styles" Target="styles.xml"/></Relationships>`,
+            'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="${NS.main}"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`,
+            'xl/worksheets/sheet1.xml': `${XML_HEADER}<worksheet xmlns="${NS.main}"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${sheetRows}</sheetData></worksheet>`
+        };
+        return new Blob(zip(files), { type: MIME_TYPES.xlsx });
+    }
+
+    // ==========================================================
+    // UNDUH
+    // ==========================================================
+    function download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a'); link.href = url; link.download = filename;
+        document.body.appendChild(link); link.click(); document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Downloads rows as `<baseName>.csv` or `<baseName>.xlsx`.
+     */
+    function exportRows(rows, baseName, format, sheetName = 'Data') {
+        download(format === 'xlsx' ? toXlsx(rows, sheetName) : toCsv(rows), `${baseName}.${format === 'xlsx' ? 'xlsx' : 'csv'}`);
+    }
+
+    return { toCsv, toXlsx, exportRows };
+})();
+
+/**
+ * UI Service - Handles all DOM manipulations and rendering
+ */
+const UIService = (function() {
+    function showModal(modalId) { const modal = document.getElementById(modalId); modal.parentNode.appendChild(modal); modal.style.display = 'block'; } // Pindah ke akhir container agar modal terbaru selalu di atas
+    function hideModal(modalId) { document.getElementById(modalId).style.display = 'none'; }
+    function renderProductGrid(products) {
+        const grid = document.getElementById('productGrid'); grid.innerHTML = '';
+        if (products.length === 0) { grid.innerHTML = '<p style="text-align: center; color: #777; grid-column: 1/-1;">Tidak ada produk yang ditemukan.</p>'; return; }
+        products.forEach(product => {
+            const available = ProductService.getAvailableStock(product);
+            const isOutOfStock = product.type === 'product' && available <= 0;
+            const card = document.createElement('div'); card.className = `product-card ${isOutOfStock ? 'out-of-stock' : ''}`; card.dataset.productId = product.id;
+            const stockInfo = product.type === 'product' ? `<p class="stock">Stok: ${available}${available !== product.stock ? ` <small>(${product.stock - available} di keranjang)</small>` : ''}</p>` : `<p class="stock">Durasi: ${product.duration} menit</p>`;
+            card.innerHTML = `<img src="${product.image}" alt="${product.name}"><h3>${product.name}</h3><p class="price">Rp ${product.price.toLocaleString('id-ID')}</p>${stockInfo}`;
+            grid.appendChild(card);
+        });
+    }
+    function renderPagination(totalItems, currentPage, itemsPerPage) {
+        const container = document.getElementById('paginationContainer'); container.innerHTML = '';
+        const totalPages = Math.ceil(totalItems / itemsPerPage); if (totalPages <= 1) return;
+        const prevBtn = createPaginationButton('Previous', currentPage > 1, () => AppState.updateState({ ui: { ...AppState.getState().ui, currentPage: currentPage - 1 } })); container.appendChild(prevBtn);
+        for (let i = 1; i <= totalPages; i++) { if (i === 1 || i === totalPages || (i >= currentPage - 1 && i <= currentPage + 1)) { const pageBtn = createPaginationButton(i, true, () => AppState.updateState({ ui: { ...AppState.getState().ui, currentPage: i } })); if (i === currentPage) pageBtn.classList.add('active'); container.appendChild(pageBtn); } else if (i === currentPage - 2 || i === currentPage + 2) { const dots = document.createElement('span'); dots.textContent = '...'; dots.className = 'pagination-info'; container.appendChild(dots); } }
+        const nextBtn = createPaginationButton('Next', currentPage < totalPages, () => AppState.updateState({ ui: { ...AppState.getState().ui, currentPage: currentPage + 1 } })); container.appendChild(nextBtn);
+        const info = document.createElement('span'); info.className = 'pagination-info'; info.textContent = `Page ${currentPage} of ${totalPages}`; container.appendChild(info);
+    }
+    function createPaginationButton(text, enabled, onClick) { const button = document.createElement('button'); button.className = 'pagination-button'; button.textContent = text; button.disabled = !enabled; if (enabled) button.onclick = onClick; return button; }
+    function renderCart(cart) {
+        const container = document.getElementById('cartItems'); const clearBtn = document.getElementById('clearCartBtn');
+        if (cart.length === 0) { container.innerHTML = '<p style="text-align: center; color: #777;">Keranjang masih kosong.</p>'; clearBtn.style.display = 'none'; }
+        else {
+            clearBtn.style.display = 'flex';
+            const { lines } = PricingService.calculateCart(cart);
+            container.innerHTML = lines.map(({ item, lineDiscountAmount }) => `
+                <div class="cart-item" data-cart-item-id="${item.id}">
+                    <div class="cart-item-info"><div class="cart-item-name">${item.name}</div><div class="cart-item-price">Rp ${item.price.toLocaleString('id-ID')} x ${item.quantity}</div>${item.discount ? `<div class="cart-item-discount">Diskon ${PricingService.formatDiscount(item.discount)} (-Rp ${lineDiscountAmount.toLocaleString('id-ID')})</div>` : ''}</div>
+                    <div class="quantity-control"><button class="line-discount" title="Diskon item"><i class="fas fa-tag"></i></button><button class="quantity-decrease">-</button><span>${item.quantity}</span><button class="quantity-increase">+</button></div>
+                </div>
+            `).join('');
+        }
+        updateCartSummary(cart);
+    }
+    function updateCartSummary(cart) {
+        const state = AppState.getState(); const { settings, cartDiscount, cartVoucherCode } = state;
+        const { subtotal, discountTotal, appliedPromos, cartDiscountAmount, tax, total } = PricingService.calculateCart(cart);
+        const discountDetails = appliedPromos.map(promo => `${promo.name}: -Rp ${promo.amount.toLocaleString('id-ID')}`);
+        if (cartDiscount) discountDetails.push(`Diskon keranjang ${PricingService.formatDiscount(cartDiscount)}: -Rp ${cartDiscountAmount.toLocaleString('id-ID')}`);
+        document.getElementById('discountRow').style.display = discountTotal > 0 ? 'flex' : 'none'; document.getElementById('discount').textContent = `-Rp ${discountTotal.toLocaleString('id-ID')}`;
+        document.getElementById('appliedPromos').innerHTML = discountDetails.map(detail => `<div>${detail}</div>`).join('');
+        document.getElementById('voucherCodeInput').value = cartVoucherCode;
+        if (settings.taxEnabled) { document.getElementById('taxLabel').textContent = `Pajak (${settings.taxRate}%)`; document.getElementById('tax').textContent = `Rp ${tax.toLocaleString('id-ID')}`; document.getElementById('taxRow').style.display = 'flex'; }
+        else { document.getElementById('taxRow').style.display = 'none'; }
+        document.getElementById('subtotal').textContent = `Rp ${subtotal.toLocaleString('id-ID')}`; document.getElementById('total').textContent = `Rp ${total.toLocaleString('id-ID')}`; document.getElementById('payButton').disabled = cart.length === 0;
+    }
+    function renderCustomerPicker(customers, selectedId) {
+        const select = document.getElementById('cartCustomerSelect');
+        select.innerHTML = '<option value="">Pelanggan Umum</option>' + customers.map(c => `<option value="${c.id}" ${c.id === selectedId ? 'selected' : ''}>${c.name}${c.phone ? ` (${c.phone})` : ''}</option>`).join('');
+    }
+    function updateUserInfo(settings) { const span = document.getElementById('userInfoSpan'); const user = UserModule.getCurrentUser(); if (span) { span.textContent = `${user ? UserModule.getRoleLabel(user.role) : 'Kasir'}: ${UserModule.getCurrentUserName()} | Toko: ${settings.storeName}`; } }
+    function showToast(message, type = 'success') {
+        const toast = document.getElementById('toast'); const toastMessage = document.getElementById('toastMessage'); const icon = toast.querySelector('i');
+        toastMessage.textContent = message; toast.className = `toast ${type}`;
+        if (type === 'success') icon.className = 'fas fa-check-circle'; else if (type === 'error') icon.className = 'fas fa-exclamation-circle'; else if (type === 'warning') icon.className = 'fas fa-exclamation-triangle';
+        toast.classList.add('show'); setTimeout(() => toast.classList.remove('show'), 3000);
+    }
+    function showLoading() { document.getElementById('loadingModal').style.display = 'block'; }
+    function hideLoading() { document.getElementById('loadingModal').style.display = 'none'; }
+    return { showModal, hideModal, renderProductGrid, renderPagination, renderCart, renderCustomerPicker, updateUserInfo, showToast, showLoading, hideLoading };
+})();
+
+/**
+ * Stock Service - Single entry point for stock changes, recorded in a persistent movement ledger
+ */
+const StockService = (function() {
+    const REASONS = {
+        opening: 'Saldo Awal',
+        initial: 'Stok Awal',
+        cart: 'Reservasi Keranjang (lama)',
+        sale: 'Penjualan',
+        return: 'Retur',
+        adjustment: 'Penyesuaian Manual',
+        damaged: 'Rusak',
+        po_receipt: 'Penerimaan PO',
+        edit: 'Edit Produk',
+        warranty: 'Klaim Garansi',
+        void: 'Void Transaksi',
+        sync: 'Sinkronisasi Perangkat'
+    };
+
+    function getReasonLabel(reason) { return REASONS[reason] || reason; }
+    function getCurrentUserName() { return UserModule.getCurrentUserName(); }
+
+    /**
+     * Applies a stock delta to a product and appends a ledger entry. The caller is
+     * responsible for persisting products; the ledger is saved here.
+     */
+    function adjustStock(product, delta, reason, reference = '', note = '') {
+        if (!product || product.type !== 'product' || !delta) return null;
+        product.stock = (product.stock || 0) + delta;
+        const { stockLedger } = AppState.getState();
+        const entry = { id: `${Date.now()}-${stockLedger.length}`, timestamp: new Date().toISOString(), productId: product.id, sku: product.sku, productName: product.name, delta, balance: product.stock, reason, reference, note, user: getCurrentUserName() };
+        stockLedger.push(entry);
+        AppState.updateState({ stockLedger }); StorageService.saveStockLedger(stockLedger);
+        return entry;
+    }
+
+    /**
+     * Products that existed before the ledger get an opening entry so the running
+     * balance can always be reconstructed from the ledger alone.
+     */
+    function ensureOpeningBalances() {
+        const { products, stockLedger } = AppState.getState();
+        const tracked = new Set(stockLedger.map(entry => entry.productId));
+        products.filter(p => p.type === 'product' && !tracked.has(p.id)).forEach(product => {
+            stockLedger.push({ id: `${Date.now()}-${stockLedger.length}`, timestamp: new Date().toISOString(), productId: product.id, sku: product.sku, productName: product.name, delta: product.stock || 0, balance: product.stock || 0, reason: 'opening', reference: '', note: '', user: getCurrentUserName() });
+        });
+        AppState.updateState({ stockLedger }); StorageService.saveStockLedger(stockLedger);
+    }
+
+    function getProductMovements(productId) { return AppState.getState().stockLedger.filter(entry => entry.productId === productId); }
+    function reconstructBalance(productId) { return getProductMovements(productId).reduce((sum, entry) => sum + entry.delta, 0); }
+
+    function showStockCard(productId) {
+        const product = AppState.getState().products.find(p => p.id === productId); if (!product) return;
+        let runningBalance = 0;
+        const rowsHTML = getProductMovements(productId).map(entry => {
+            runningBalance += entry.delta;
+            const mismatch = runningBalance !== entry.balance;
+            return `<tr class="${mismatch ? 'ledger-mismatch' : ''}"><td>${new Date(entry.timestamp).toLocaleString('id-ID')}</td><td>${getReasonLabel(entry.reason)}</td><td>${entry.reference || '-'}${entry.note ? `<br><small>${entry.note}</small>` : ''}</td><td class="${entry.delta < 0 ? 'ledger-out' : 'ledger-in'}">${entry.delta > 0 ? '+' : ''}${entry.delta}</td><td>${entry.balance}</td><td>${runningBalance}</td><td>${entry.user || '-'}</td></tr>`;
+        }).join('');
+        const difference = product.stock - runningBalance;
+        document.getElementById('stockCardContent').innerHTML = `
+            <h2>Kartu Stok: ${product.name}</h2>
+            <div class="ticket-info">
+                <div class="receipt-item"><span>Stok Tercatat (produk)</span><span>${product.stock}</span></div>
+                <div class="receipt-item"><span>Saldo Rekonstruksi (ledger)</span><span>${runningBalance}</span></div>
+                <div class="receipt-item" style="font-weight: bold;"><span>Status</span><span>${difference === 0 ? 'Sesuai' : `<span style="color: var(--danger-color);">Selisih ${difference > 0 ? '+' : ''}${difference}</span>`}</span></div>
+            </div>
+            <table class="history-table"><thead><tr><th>Waktu</th><th>Alasan</th><th>Referensi</th><th>Mutasi</th><th>Saldo</th><th>Saldo Berjalan</th><th>User</th></tr></thead><tbody>${rowsHTML || '<tr><td colspan="7" style="text-align:center;">Belum ada mutasi.</td></tr>'}</tbody></table>
+        `;
+        UIService.showModal('stockCardModal');
+    }
+
+    function showReconciliation() {
+        const { products } = AppState.getState();
+        const rowsHTML = products.filter(p => p.type === 'product').map(product => {
+            const ledgerBalance = reconstructBalance(product.id); const difference = product.stock - ledgerBalance;
+            return `<tr class="${difference !== 0 ? 'ledger-mismatch' : ''}"><td>${product.sku || '-'}</td><td>${product.name}</td><td>${product.stock}</td><td>${ledgerBalance}</td><td>${difference === 0 ? 'Sesuai' : `${difference > 0 ? '+' : ''}${difference}`}</td><td><input type="number" class="stock-count-input" data-product-id="${product.id}" min="0" placeholder="-"></td><td><button class="btn-edit" onclick="StockService.showStockCard(${product.id})">Kartu Stok</button></td></tr>`;
+        }).join('');
+        document.getElementById('stockCardContent').innerHTML = `
+            <h2>Kesesuaian Stok</h2>
+            <table class="history-table"><thead><tr><th>SKU</th><th>Nama</th><th>Stok Produk</th><th>Saldo Ledger</th><th>Selisih</th><th>Stok Fisik</th><th>Aksi</th></tr></thead><tbody>${rowsHTML}</tbody></table>
+            <div class="product-form">
+                <div class="form-group full-width"><label for="stockCountNote">Keterangan Stok Opname</label><input type="text" id="stockCountNote" placeholder="mis. Opname akhir bulan"></div>
+                <div class="form-group full-width"><button type="button" onclick="StockService.applyStockCount()">Simpan Stok Opname</button></div>
+            </div>
+        `;
+        UIService.showModal('stockCardModal');
+    }
+
+    /**
+     * Stock count (opname): every product with a filled "Stok Fisik" field is set to the
+     * counted quantity through an 'adjustment' movement, so the ledger explains the change.
+     * Blank fields mean "not counted" and are left alone.
+     */
+    function applyStockCount() {
+        if (!UserModule.requirePermission('stock.adjust')) return;
+        const note = document.getElementById('stockCountNote').value.trim();
+        if (!note) { UIService.showToast('Keterangan stok opname wajib diisi.', 'error'); return; }
+        const { products } = AppState.getState(); const counts = [];
+        for (const input of document.querySelectorAll('.stock-count-input')) {
+            if (input.value === '') continue;
+            const counted = parseInt(input.value);
+            if (isNaN(counted) || counted < 0) { UIService.showToast('Stok fisik tidak valid.', 'error'); return; }
+            counts.push({ product: products.find(p => p.id === parseInt(input.dataset.productId)), counted });
+        }
+        if (counts.length === 0) { UIService.showToast('Isi stok fisik minimal satu produk.', 'warning'); return; }
+        const changed = counts.filter(({ product, counted }) => product && counted !== product.stock);
+        changed.forEach(({ product, counted }) => adjustStock(product, counted - product.stock, 'adjustment', 'Stok Opname', `${note} (hitung fisik ${counted})`));
+        AppState.updateState({ products }); showReconciliation(); SettingsModule.renderProductTab();
+        StorageService.saveProducts(products).then(saved => { if (saved) UIService.showToast(changed.length > 0 ? `Stok opname disimpan: ${changed.length} produk disesuaikan` : 'Stok opname sesuai, tidak ada penyesuaian', 'success'); });
+    }
+
+    return { REASONS, getReasonLabel, adjustStock, ensureOpeningBalances, getProductMovements, reconstructBalance, showStockCard, showReconciliation, applyStockCount };
+})();
+
+/**
+ * Product Service - Manages product data and logic
+ */
+const ProductService = (function() {
+    function getFilteredProducts() {
+        const state = AppState.getState(); const { products, ui } = state; const { currentFilter, searchTerm } = ui;
+        return products.filter(p => {
+            const matchesFilter = currentFilter === 'all' || p.type === currentFilter;
+            const matchesSearch = p.name.toLowerCase().includes(searchTerm.toLowerCase()) || (p.sku && p.sku.toLowerCase().includes(searchTerm.toLowerCase()));
+            return matchesFilter && matchesSearch;
+        });
+    }
+    function getPaginatedProducts() {
+        const state = AppState.getState(); const { ui } = state; const { currentPage, itemsPerPage } = ui;
+        const filtered = getFilteredProducts(); const startIndex = (currentPage - 1) * itemsPerPage; const endIndex = startIndex + itemsPerPage;
+        return { products: filtered.slice(startIndex, endIndex), totalItems: filtered.length };
+    }
+    /**
+     * Cart quantities are reservations only: stock is deducted at checkout, so the
+     * available amount is the stored stock minus what the active and parked carts hold.
+     */
+    function getReservedQuantity(productId, cart = AppState.getState().cart) { return cart.filter(item => item.id === productId).reduce((sum, item) => sum + item.quantity, 0); }
+    function getParkedReservedQuantity(productId) { return AppState.getState().parkedCarts.reduce((sum, parked) => sum + getReservedQuantity(productId, parked.items), 0); }
+    function getAvailableStock(product, cart) { return product.type === 'product' ? product.stock - getReservedQuantity(product.id, cart) - getParkedReservedQuantity(product.id) : Infinity; }
+    // Gambar tetap di data produk; keranjang cukup merujuk lewat id
+    function toCartItem({ image, ...product }) { return product; }
+    function addProductToCart(productId) {
+        const state = AppState.getState(); const { products, cart } = state; const product = products.find(p => p.id === productId);
+        if (!product) return; if (getAvailableStock(product, cart) <= 0) { UIService.showToast(product.stock <= 0 ? 'Produk ini sudah habis!' : 'Stok tidak mencukupi!', 'warning'); return; }
+        const existingItem = cart.find(item => item.id === productId);
+        if (existingItem) { existingItem.quantity++; }
+        else { cart.push({ ...toCartItem(product), quantity: 1 }); }
+        AppState.updateState({ cart }); UIService.showToast(`${product.name} ditambahkan ke keranjang`, 'success');
+    }
+    function updateCartItemQuantity(itemId, change) {
+        const state = AppState.getState(); const { cart, products } = state; const item = cart.find(i => i.id === itemId); const product = products.find(p => p.id === itemId);
+        if (!item || !product) return;
+        if (change > 0 && getAvailableStock(product, cart) < change) { UIService.showToast('Stok tidak mencukupi!', 'warning'); return; }
+        item.quantity += change; if (item.quantity <= 0) { const index = cart.findIndex(i => i.id === itemId); cart.splice(index, 1); }
+        AppState.updateState({ cart });
+    }
+    function clearCart() { if (!confirm('Apakah Anda yakin ingin mengosongkan keranjang?')) return; AppState.updateState({ cart: [], cartCustomerId: null, cartDiscount: null, cartVoucherCode: '' }); UIService.showToast('Keranjang dikosongkan', 'success'); }
+
+    /**
+     * Drops cart lines whose product no longer exists and trims quantities to the
+     * available stock. Used when a persisted cart is restored after a reload.
+     */
+    function validateRestoredCart() {
+        const state = AppState.getState(); const { products } = state; const validated = []; let changed = false;
+        state.cart.forEach(item => {
+            const product = products.find(p => p.id === item.id);
+            if (!product) { changed = true; return; }
+            const available = getAvailableStock(product, validated);
+            const quantity = Math.min(item.quantity, available);
+            if (quantity !== item.quantity) changed = true;
+            if (quantity > 0) validated.push({ ...item, quantity });
+        });
+        if (changed) { AppState.updateState({ cart: validated }); UIService.showToast('Sebagian item keranjang disesuaikan dengan stok terbaru.', 'warning'); }
+    }
+    function setCartItemDiscount(itemId) {
+        const state = AppState.getState(); const { cart } = state; const item = cart.find(i => i.id === itemId); if (!item) return;
+        const input = prompt(`Diskon untuk ${item.name} (contoh: 10% atau 5000, kosongkan untuk menghapus):`, item.discount ? (item.discount.type === 'percent' ? `${item.discount.value}%` : item.discount.value) : '');
+        if (input === null) return;
+        const discount = PricingService.parseDiscountInput(input);
+        if (discount === undefined) { UIService.showToast('Format diskon tidak valid.', 'error'); return; }
+        if (discount && discount.type === 'nominal' && discount.value > item.price * item.quantity) { UIService.showToast('Diskon melebihi harga item.', 'error'); return; }
+        item.discount = discount; AppState.updateState({ cart });
+    }
+    function setCartDiscount() {
+        const { cartDiscount } = AppState.getState();
+        const input = prompt('Diskon keranjang (contoh: 10% atau 25000, kosongkan untuk menghapus):', cartDiscount ? (cartDiscount.type === 'percent' ? `${cartDiscount.value}%` : cartDiscount.value) : '');
+        if (input === null) return;
+        const discount = PricingService.parseDiscountInput(input);
+        if (discount === undefined) { UIService.showToast('Format diskon tidak valid.', 'error'); return; }
+        AppState.updateState({ cartDiscount: discount });
+    }
+    function applyVoucher(code) {
+        const state = AppState.getState(); const voucherCode = code.trim().toUpperCase();
+        if (!voucherCode) { AppState.updateState({ cartVoucherCode: '' }); return; }
+        const { voucherError } = PricingService.calculateCart(state.cart, { voucherCode });
+        if (voucherError) { UIService.showToast(voucherError, 'error'); return; }
+        AppState.updateState({ cartVoucherCode: voucherCode }); UIService.showToast(`Voucher ${voucherCode} diterapkan`, 'success');
+    }
+    return { getFilteredProducts, getPaginatedProducts, getReservedQuantity, getParkedReservedQuantity, getAvailableStock, toCartItem, addProductToCart, updateCartItemQuantity, clearCart, validateRestoredCart, setCartItemDiscount, setCartDiscount, applyVoucher };
+})();
+
+/**
+ * Pricing Service - Calculates line discounts, promo rules, cart discount and tax for a cart
+ */
+const PricingService = (function() {
+    /**
+     * Parses user input such as "10%" or "5000" into a discount object.
+     */
+    function parseDiscountInput(input) {
+        const value = String(input).trim();
+        if (!value) return null;
+        const isPercent = value.endsWith('%');
+        const amount = isPercent ? parseFloat(value.slice(0, -1).replace(',', '.')) : parseFloat(value.replace(/[.,\s]/g, ''));
+        if (isNaN(amount) || amount <= 0 || (isPercent && amount > 100)) return undefined;
+        return { type: isPercent ? 'percent' : 'nominal', value: amount };
+    }
+    function formatDiscount(discount) { return discount.type === 'percent' ? `${discount.value}%` : `Rp ${discount.value.toLocaleString('id-ID')}`; }
+    function discountAmount(discount, base) {
+        if (!discount || base <= 0) return 0;
+        const amount = discount.type === 'percent' ? base * (discount.value / 100) : discount.value;
+        return Math.round(Math.min(amount, base));
+    }
+    function getLineDiscount(item) { return discountAmount(item.discount, item.price * item.quantity); }
+    // Format rupiah bersama untuk struk, PDF, printer dan laporan; nominal negatif menjadi "-Rp x"
+    function formatMoney(amount) { return `${amount < 0 ? '-' : ''}Rp ${Math.abs(amount).toLocaleString('id-ID')}`; }
+
+    function isPromoActive(promo, now = new Date()) {
+        if (!promo.active) return false;
+        // Tanggal promo berasal dari input tanggal lokal, jadi dibandingkan dengan tanggal lokal (bukan UTC)
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+        if (promo.startDate && today < promo.startDate) return false;
+        if (promo.endDate && today > promo.endDate) return false;
+        return true;
+    }
+
+    // Spreads an order-level discount over lines proportionally to their current net value
+    function allocate(lines, amount) {
+        const base = lines.reduce((sum, line) => sum + line.netAmount, 0); if (base <= 0 || amount <= 0) return;
+        let remaining = amount;
+        lines.forEach((line, index) => {
+            const share = index === lines.length - 1 ? remaining : Math.round(amount * (line.netAmount / base));
+            const applied = Math.min(share, line.netAmount);
+            line.netAmount -= applied; line.discountAmount += applied; remaining -= applied;
+        });
+    }
+
+    /**
+     * Calculates the full breakdown for a cart. Order of application:
+     * line discounts, bundle promos, voucher, cart discount, then tax on the net amount.
+     */
+    function calculateCart(cart, options = {}) {
+        const state = AppState.getState(); const { settings, promos } = state;
+        const cartDiscount = options.cartDiscount !== undefined ? options.cartDiscount : state.cartDiscount;
+        const voucherCode = options.voucherCode !== undefined ? options.voucherCode : state.cartVoucherCode;
+        const lines = cart.map(item => {
+            const gross = item.price * item.quantity;
+            const lineDiscount = getLineDiscount(item);
+            return { item, grossAmount: gross, lineDiscountAmount: lineDiscount, discountAmount: lineDiscount, netAmount: gross - lineDiscount };
+        });
+        const subtotal = lines.reduce((sum, line) => sum + line.grossAmount, 0);
+        const lineDiscountTotal = lines.reduce((sum, line) => sum + line.lineDiscountAmount, 0);
+        const appliedPromos = [];
+
+        promos.filter(promo => promo.kind === 'bundle' && isPromoActive(promo)).forEach(promo => {
+            const bundleLines = lines.filter(line => promo.productIds.includes(line.item.id));
+            const matched = promo.productIds.every(id => bundleLines.some(line => line.item.id === id));
+            if (!matched) return;
+            const amount = discountAmount(promo.discount, bundleLines.reduce((sum, line) => sum + line.netAmount, 0));
+            if (amount <= 0) return;
+            allocate(bundleLines, amount); appliedPromos.push({ id: promo.id, name: promo.name, amount });
+        });
+
+        let voucherError = null;
+        if (voucherCode) {
+            const voucher = promos.find(promo => promo.kind === 'voucher' && promo.code.toUpperCase() === voucherCode.toUpperCase());
+            if (!voucher) { voucherError = 'Kode voucher tidak ditemukan.'; }
+            else if (!isPromoActive(voucher)) { voucherError = 'Voucher tidak aktif atau sudah kedaluwarsa.'; }
+            else {
+                const amount = discountAmount(voucher.discount, lines.reduce((sum, line) => sum + line.netAmount, 0));
+                if (amount > 0) { allocate(lines, amount); appliedPromos.push({ id: voucher.id, name: `Voucher ${voucher.code}`, amount }); }
+            }
+        }
+
+        const cartDiscountAmount = discountAmount(cartDiscount, lines.reduce((sum, line) => sum + line.netAmount, 0));
+        allocate(lines, cartDiscountAmount);
+
+        const netSubtotal = lines.reduce((sum, line) => sum + line.netAmount, 0);
+        const discountTotal = subtotal - netSubtotal;
+        const tax = settings.taxEnabled ? netSubtotal * (settings.taxRate / 100) : 0;
+        return { lines, subtotal, lineDiscountTotal, appliedPromos, cartDiscountAmount, discountTotal, netSubtotal, tax, total: netSubtotal + tax, voucherError };
+    }
+
+    /**
+     * Net (after all discounts) amount of an order line; older orders have no discounts.
+     */
+    function getLineNet(item) { return item.netAmount !== undefined ? item.netAmount : item.price * item.quantity; }
+
+    return { parseDiscountInput, formatDiscount, formatMoney, getLineDiscount, isPromoActive, calculateCart, getLineNet };
+})();
+
+/**
+ * Payment Service - Split tenders, down payments (DP) and outstanding balances
+ */
+const PaymentService = (function() {
+    const METHOD_LABELS = { cash: 'Tunai', ewallet: 'E-Wallet', transfer: 'Transfer Bank' };
+    function getMethodLabel(method) { return METHOD_LABELS[method] || method; }
+
+    /**
+     * Tenders of an order. Orders from before split payments only carry paymentMethod
+     * and were always paid in full with a single method.
+     */
+    function getTenders(order) {
+        if (order.tenders) return order.tenders;
+        return [{ method: order.paymentMethod, amount: order.totalAmount, reference: '', timestamp: order.timestamp }];
+    }
+    function getBalanceDue(order) { return order.balanceDue || 0; }
+    function formatMethods(order) { return [...new Set(getTenders(order).map(tender => getMethodLabel(tender.method)))].join(' + '); }
+    function formatTender(tender) { return `${getMethodLabel(tender.method)}${tender.reference ? ` (${tender.reference})` : ''}`; }
+
+    /**
+     * Change can only be given out of cash; non-cash tenders are capped at the remaining amount.
+     */
+    function summarizeTenders(tenders, total) {
+        const paid = tenders.reduce((sum, tender) => sum + tender.amount, 0);
+        const cashPaid = tenders.filter(tender => tender.method === 'cash').reduce((sum, tender) => sum + tender.amount, 0);
+        const change = Math.min(Math.max(paid - total, 0), cashPaid);
+        return { paid, cashPaid, change, remaining: Math.max(total - paid, 0) };
+    }
+
+    /**
+     * Money actually received per method for tenders that pass the filter (DP settlements
+     * count on the day and in the shift they were paid). Change is netted out of cash.
+     * `isInRange` receives the tender or order itself, so it can check `timestamp` or `shiftId`.
+     */
+    function summarizeReceipts(orders, isInRange) {
+        const totals = { cash: 0, ewallet: 0, transfer: 0 };
+        orders.forEach(order => {
+            getTenders(order).forEach(tender => { if (isInRange(tender)) totals[tender.method] = (totals[tender.method] || 0) + tender.amount; });
+            if (order.changeAmount && isInRange(order)) totals.cash -= order.changeAmount;
+        });
+        return totals;
+    }
+
+    return { METHOD_LABELS, getMethodLabel, getTenders, getBalanceDue, formatMethods, formatTender, summarizeTenders, summarizeReceipts };
+})();
+
+/**
+ * User Module - Local user accounts with roles, PIN login and quick user switch
+ */
+const UserModule = (function() {
+    const ROLES = { owner: 'Pemilik', cashier: 'Kasir', technician: 'Teknisi' };
+    const PERMISSIONS = {
+        owner: ['sale', 'order.void', 'order.refund', 'product.edit', 'stock.adjust', 'settings.manage', 'users.manage', 'purchase.manage', 'shift.manage', 'ticket.manage', 'customer.manage', 'data.backup', 'data.restore', 'data.clear'],
+        cashier: ['sale', 'shift.manage', 'ticket.manage', 'customer.manage'],
+        // Teknisi mengerjakan tiket servis dan boleh menagihkannya, tanpa mengelola kas shift atau data pelanggan
+        technician: ['sale', 'ticket.manage']
+    };
+    let currentUser = null;
+    let selectedLoginUserId = null;
+
+    function persistUsers(users) { AppState.updateState({ users }); return StorageService.saveUsers(users); }
+    function getRoleLabel(role) { return ROLES[role] || role; }
+    function getCurrentUser() { return currentUser; }
+    function getCurrentUserName() { return currentUser ? currentUser.name : AppState.getState().settings.serviceName; }
+    // Snapshot disimpan pada transaksi agar nama tetap benar walau akun diubah kemudian
+    function getCurrentUserSnapshot() { return currentUser ? { id: currentUser.id, name: currentUser.name, role: currentUser.role } : null; }
+
+    function can(permission) { return !!currentUser && PERMISSIONS[currentUser.role].includes(permission); }
+    function requirePermission(permission) {
+        if (can(permission)) return true;
+        UIService.showToast(`Akses ditolak untuk peran ${currentUser ? getRoleLabel(currentUser.role) : '-'}.`, 'error');
+        return false;
+    }
+
+    /**
+     * PINs are stored as SHA-256 over the user id (as salt) and the PIN, not as plain text.
+     * A 4-6 digit PIN is still found from its hash in moments, so anything carrying
+     * `pinHash` (backups, snapshots) must be kept as private as the PINs themselves.
+     * Rejects where `crypto.subtle` is missing (page not served over HTTPS or localhost).
+     */
+    function hashPin(userId, pin) {
+        if (!window.crypto || !crypto.subtle) return Promise.reject(new Error('crypto.subtle tidak tersedia'));
+        return crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${userId}:${pin}`))
+            .then(digest => Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join(''));
+    }
+    function reportPinError(error) {
+        console.error('PIN hash error:', error);
+        UIService.showToast('PIN tidak dapat diproses di browser ini. Buka aplikasi lewat HTTPS atau localhost.', 'error');
+    }
+    function isValidPin(pin) { return /^\d{4,6}$/.test(pin); }
+
+    // ==========================================================
+    // LOGIN & GANTI USER
+    // ==========================================================
+    function lock() {
+        currentUser = null; selectedLoginUserId = null;
+        EventBus.emit('userChanged', null);
+        document.querySelectorAll('.modal').forEach(modal => { modal.style.display = 'none'; });
+        renderLogin(); UIService.showModal('loginModal');
+    }
+
+    function renderLogin() {
+        const { users, settings } = AppState.getState();
+        const activeUsers = users.filter(user => user.active);
+        const container = document.getElementById('loginContent');
+        if (activeUsers.length === 0) {
+            container.innerHTML = `
+                <p>Belum ada akun. Buat akun <strong>Pemilik</strong> terlebih dahulu.</p>
+                <div class="product-form">
+                    <div class="form-group full-width"><label for="setupOwnerName">Nama</label><input type="text" id="setupOwnerName" value="${settings.serviceName}"></div>
+                    <div class="form-group"><label for="setupOwnerPin">PIN (4-6 angka)</label><input type="password" id="setupOwnerPin" inputmode="numeric" maxlength="6"></div>
+                    <div class="form-group"><label for="setupOwnerPinConfirm">Ulangi PIN</label><input type="password" id="setupOwnerPinConfirm" inputmode="numeric" maxlength="6"></div>
+                    <div class="form-group full-width"><button type="button" onclick="UserModule.createFirstOwner()">Buat Akun & Masuk</button></div>
+                </div>
+            `;
+            return;
+        }
+        container.innerHTML = `
+            <div class="login-users">${activeUsers.map(user => `<button type="button" class="login-user ${user.id === selectedLoginUserId ? 'selected' : ''}" onclick="UserModule.selectLoginUser(${user.id})"><i class="fas fa-user-circle"></i><span>${user.name}</span><small>${getRoleLabel(user.role)}</small></button>`).join('')}</div>
+            <div class="login-pin" style="display: ${selectedLoginUserId ? 'flex' : 'none'};">
+                <input type="password" id="loginPin" inputmode="numeric" maxlength="6" placeholder="PIN" onkeyup="if (event.key === 'Enter') UserModule.login()">
+                <button type="button" onclick="UserModule.login()">Masuk</button>
+            </div>
+        `;
+        if (selectedLoginUserId) document.getElementById('loginPin').focus();
+    }
+
+    function selectLoginUser(id) { selectedLoginUserId = id; renderLogin(); }
+
+    function signIn(user) {
+        currentUser = user; selectedLoginUserId = null;
+        UIService.hideModal('loginModal'); EventBus.emit('userChanged', user);
+        UIService.showToast(`Selamat datang, ${user.name}`, 'success');
+    }
+
+    function login() {
+        const user = AppState.getState().users.find(u => u.id === selectedLoginUserId && u.active); if (!user) return;
+        const pinInput = document.getElementById('loginPin');
+        hashPin(user.id, pinInput.value).then(pinHash => {
+            if (pinHash !== user.pinHash) { pinInput.value = ''; UIService.showToast('PIN salah.', 'error'); return; }
+            signIn(user);
+        }).catch(reportPinError);
+    }
+
+    function createFirstOwner() {
+        if (AppState.getState().users.some(user => user.active)) return;
+        const name = document.getElementById('setupOwnerName').value.trim();
+        const pin = document.getElementById('setupOwnerPin').value;
+        if (!name) { UIService.showToast('Nama wajib diisi.', 'error'); return; }
+        if (!isValidPin(pin)) { UIService.showToast('PIN harus 4-6 angka.', 'error'); return; }
+        if (pin !== document.getElementById('setupOwnerPinConfirm').value) { UIService.showToast('Konfirmasi PIN tidak sama.', 'error'); return; }
+        const user = { id: Date.now(), name, role: 'owner', pinHash: '', active: true, createdAt: new Date().toISOString() };
+        hashPin(user.id, pin).then(pinHash => {
+            user.pinHash = pinHash;
+            const users = AppState.getState().users; users.push(user); persistUsers(users);
+            signIn(user);
+        }).catch(reportPinError);
+    }
+
+    // ==========================================================
+    // KELOLA PENGGUNA (Tab Pengaturan)
+    // ==========================================================
+    function renderUserTab() {
+        resetUserForm();
+        const { users } = AppState.getState();
+        document.getElementById('userTableBody').innerHTML = users.map(user => `<tr><td>${user.name}${currentUser && user.id === currentUser.id ? ' (Anda)' : ''}</td><td>${getRoleLabel(user.role)}</td><td>${user.active ? 'Aktif' : 'Nonaktif'}</td><td class="actions"><button class="btn-edit" onclick="UserModule.populateUserFormForEdit(${user.id})">Edit</button><button class="${user.active ? 'btn-delete' : 'btn-success'}" onclick="UserModule.toggleUserActive(${user.id})">${user.active ? 'Nonaktifkan' : 'Aktifkan'}</button></td></tr>`).join('');
+    }
+
+    function resetUserForm() {
+        document.getElementById('userForm').reset();
+        document.getElementById('userId').value = '';
+        document.getElementById('userPin').required = true;
+        document.getElementById('submitUserBtn').textContent = 'Tambah Pengguna';
+    }
+
+    function populateUserFormForEdit(id) {
+        const user = AppState.getState().users.find(u => u.id === id); if (!user) return;
+        document.getElementById('userId').value = user.id;
+        document.getElementById('userName').value = user.name;
+        document.getElementById('userRole').value = user.role;
+        document.getElementById('userPin').value = '';
+        document.getElementById('userPin').required = false;
+        document.getElementById('submitUserBtn').textContent = 'Update Pengguna';
+    }
+
+    // Minimal satu pemilik aktif harus tersisa agar pengaturan tidak terkunci
+    function leavesNoOwner(users, changedUser) { return !users.some(user => user.id !== changedUser.id && user.active && user.role === 'owner') && !(changedUser.active && changedUser.role === 'owner'); }
+
+    function handleUserFormSubmit(event) {
+        event.preventDefault();
+        if (!requirePermission('users.manage')) return;
+        const { users } = AppState.getState();
+        const id = document.getElementById('userId').value;
+        const pin = document.getElementById('userPin').value;
+        const existing = id ? users.find(u => u.id === parseInt(id)) : null;
+        const userData = { ...(existing || { id: Date.now(), active: true, createdAt: new Date().toISOString() }), name: document.getElementById('userName').value.trim(), role: document.getElementById('userRole').value };
+        if (!userData.name) { UIService.showToast('Nama wajib diisi.', 'error'); return; }
+        if ((pin || !existing) && !isValidPin(pin)) { UIService.showToast('PIN harus 4-6 angka.', 'error'); return; }
+        if (existing && leavesNoOwner(users, userData)) { UIService.showToast('Harus ada minimal satu pemilik aktif.', 'error'); return; }
+        (pin ? hashPin(userData.id, pin) : Promise.resolve(userData.pinHash)).then(pinHash => {
+            userData.pinHash = pinHash;
+            if (existing) users[users.indexOf(existing)] = userData; else users.push(userData);
+            const saving = persistUsers(users);
+            if (currentUser && currentUser.id === userData.id) { currentUser = userData; EventBus.emit('userChanged', userData); }
+            renderUserTab();
+            saving.then(saved => { if (saved) UIService.showToast(`Pengguna berhasil ${existing ? 'diperbarui' : 'ditambahkan'}`, 'success'); });
+        }).catch(reportPinError);
+    }
+
+    function toggleUserActive(id) {
+        if (!requirePermission('users.manage')) return;
+        const { users } = AppState.getState(); const user = users.find(u => u.id === id); if (!user) return;
+        if (currentUser && user.id === currentUser.id) { UIService.showToast('Tidak dapat menonaktifkan akun yang sedang dipakai.', 'warning'); return; }
+        if (user.active && leavesNoOwner(users, { ...user, active: false })) { UIService.showToast('Harus ada minimal satu pemilik aktif.', 'error'); return; }
+        user.active = !user.active;
+        persistUsers(users); renderUserTab();
+    }
+
+    return { ROLES, getRoleLabel, getCurrentUser, getCurrentUserName, getCurrentUserSnapshot, can, requirePermission, lock, selectLoginUser, login, createFirstOwner, renderUserTab, populateUserFormForEdit, handleUserFormSubmit, toggleUserActive };
+})();
+
+/**
+ * Parked Cart Module - Holds carts aside so the next customer can be served, with expiry
+ */
+const ParkedCartModule = (function() {
+    function persistParkedCarts(parkedCarts) { AppState.updateState({ parkedCarts }); return StorageService.saveParkedCarts(parkedCarts); }
+    function getExpiryMinutes() { return AppState.getState().settings.parkedCartExpiryMinutes || 0; }
+
+    function parkCurrentCart(label) {
+        if (!UserModule.requirePermission('sale')) return false;
+        const state = AppState.getState(); const { cart, parkedCarts, cartCustomerId, cartDiscount, cartVoucherCode } = state;
+        if (cart.length === 0) { UIService.showToast('Keranjang masih kosong.', 'warning'); return false; }
+        if (label === undefined) {
+            const customer = CustomerModule.getCustomerSnapshot(cartCustomerId);
+            label = prompt('Label untuk keranjang yang diparkir:', customer ? customer.name : `Pelanggan ${parkedCarts.length + 1}`);
+            if (label === null) return false;
+        }
+        const now = new Date(); const expiryMinutes = getExpiryMinutes();
+        parkedCarts.push({
+            id: Date.now(),
+            label: label.trim() || `Pelanggan ${parkedCarts.length + 1}`,
+            parkedAt: now.toISOString(),
+            expiresAt: expiryMinutes > 0 ? new Date(now.getTime() + expiryMinutes * 60000).toISOString() : null,
+            items: cart,
+            customerId: cartCustomerId,
+            discount: cartDiscount,
+            voucherCode: cartVoucherCode
+        });
+        persistParkedCarts(parkedCarts).then(saved => { if (saved) UIService.showToast('Keranjang berhasil diparkir', 'success'); });
+        AppState.updateState({ cart: [], cartCustomerId: null, cartDiscount: null, cartVoucherCode: '' });
+        return true;
+    }
+
+    function resumeParkedCart(id) {
+        if (!UserModule.requirePermission('sale')) return;
+        const state = AppState.getState(); const parked = state.parkedCarts.find(c => c.id === id); if (!parked) return;
+        if (state.cart.length > 0) {
+            if (!confirm('Keranjang saat ini akan diparkir terlebih dahulu. Lanjutkan?')) return;
+            if (!parkCurrentCart(`Diparkir otomatis ${new Date().toLocaleTimeString('id-ID')}`)) return;
+        }
+        const parkedCarts = AppState.getState().parkedCarts.filter(c => c.id !== id);
+        persistParkedCarts(parkedCarts);
+        AppState.updateState({ cart: parked.items, cartCustomerId: parked.customerId, cartDiscount: parked.discount, cartVoucherCode: parked.voucherCode });
+        ProductService.validateRestoredCart();
+        UIService.hideModal('parkedCartsModal');
+        UIService.showToast(`Keranjang "${parked.label}" dilanjutkan`, 'success');
+    }
+
+    function deleteParkedCart(id) {
+        if (!UserModule.requirePermission('sale')) return;
+        if (!confirm('Hapus keranjang parkir ini? Item yang dicadangkan akan dilepas.')) return;
+        persistParkedCarts(AppState.getState().parkedCarts.filter(c => c.id !== id)).then(saved => { if (saved) UIService.showToast('Keranjang parkir dihapus', 'success'); });
+        renderParkedCarts();
+    }
+
+    /**
+     * Removes parked carts past their expiry, releasing the stock they were holding.
+     */
+    function releaseExpiredCarts() {
+        const { parkedCarts } = AppState.getState(); const now = new Date().toISOString();
+        const expired = parkedCarts.filter(c => c.expiresAt && c.expiresAt <= now);
+        if (expired.length === 0) return;
+        persistParkedCarts(parkedCarts.filter(c => !expired.includes(c)));
+        UIService.showToast(`Keranjang parkir kedaluwarsa dilepas: ${expired.map(c => c.label).join(', ')}`, 'warning');
+    }
+
+    function showParkedCarts() { releaseExpiredCarts(); renderParkedCarts(); UIService.showModal('parkedCartsModal'); }
+
+    function renderParkedCarts() {
+        const { parkedCarts } = AppState.getState();
+        const tbody = document.getElementById('parkedCartsTableBody'); tbody.innerHTML = '';
+        if (parkedCarts.length === 0) { tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;">Tidak ada keranjang yang diparkir.</td></tr>'; return; }
+        parkedCarts.forEach(parked => {
+            const { total } = PricingService.calculateCart(parked.items, { cartDiscount: parked.discount, voucherCode: parked.voucherCode });
+            tbody.innerHTML += `<tr><td><strong>${parked.label}</strong><br><small>${new Date(parked.parkedAt).toLocaleTimeString('id-ID')}</small></td><td>${parked.items.map(item => `${item.name}(${item.quantity})`).join(', ')}</td><td>Rp ${total.toLocaleString('id-ID')}</td><td>${parked.expiresAt ? new Date(parked.expiresAt).toLocaleString('id-ID') : 'Tidak kedaluwarsa'}</td><td class="actions"><button class="btn-success" onclick="ParkedCartModule.resumeParkedCart(${parked.id})">Lanjutkan</button><button class="btn-delete" onclick="ParkedCartModule.deleteParkedCart(${parked.id})">Hapus</button></td></tr>`;
+        });
+    }
+
+    return { parkCurrentCart, resumeParkedCart, deleteParkedCart, releaseExpiredCarts, showParkedCarts };
+})();
+
+/**
+ * Settings Module - REFACTOR UNTUK KEMUDAHAN DAN STABILITAS
+ */
+const SettingsModule = (function() {
+    let productImageData = null;
+    let printerLogoData = null;
+    let serviceImageData = null;
+    let productIdForStockUpdate = null;
+    let stockActionType = 'add';
+
+    function showSettings() { UIService.showModal('settingsModal'); renderSettingsContent(); }
+    
+    function renderSettingsContent() {
+        document.querySelectorAll('#settingsModal .settings-tab').forEach(tab => {
+            tab.onclick = () => {
+                document.querySelectorAll('#settingsModal .settings-tab').forEach(t => t.classList.remove('active'));
+                document.querySelectorAll('#settingsModal .tab-content').forEach(c => c.classList.remove('active'));
+                tab.classList.add('active');
+                const tabId = tab.dataset.tab + '-tab';
+                document.getElementById(tabId).classList.add('active');
+                
+                if (tab.dataset.tab === 'product') { renderProductTab(); } 
+                else if (tab.dataset.tab === 'service') { renderServiceTab(); } 
+                else if (tab.dataset.tab === 'promo') { renderPromoTab(); }
+                else if (tab.dataset.tab === 'receipt') { renderReceiptTab(); }
+                else if (tab.dataset.tab === 'app') { renderAppTab(); }
+                else if (tab.dataset.tab === 'user') { UserModule.renderUserTab(); }
+            };
+        });
+        renderProductTab(); // Render default tab
+    }
+
+    // ==========================================================
+    // RENDER TAB PRODUK
+    // ==========================================================
+    function renderProductTab() {
+        resetProductForm();
+        const state = AppState.getState(); const { products } = state;
+        const productItems = products.filter(p => p.type === 'product');
+        const tbody = document.getElementById('productTableBody'); tbody.innerHTML = '';
+        productItems.forEach(product => {
+            const row = `<tr><td>${product.sku || '-'}</td><td>${product.name}</td><td>Rp ${product.price.toLocaleString('id-ID')}</td><td>Rp ${(product.costPrice || 0).toLocaleString('id-ID')}</td><td>${product.stock}</td><td>${product.warrantyDays ? `${product.warrantyDays} hari` : '-'}</td><td class="actions"><button class="btn-success" onclick="SettingsModule.showAddStockModal(${product.id})">+ Stok</button><button class="btn-warning" onclick="SettingsModule.showSubtractStockModal(${product.id})">- Stok</button><button class="btn-edit" onclick="StockService.showStockCard(${product.id})">Kartu Stok</button><button class="btn-edit" onclick="SettingsModule.populateProductFormForEdit(${product.id})">Edit</button><button class="btn-delete" onclick="SettingsModule.deleteItem(${product.id})">Hapus</button></td></tr>`;
+            tbody.innerHTML += row;
+        });
+    }
+
+    // ==========================================================
+    // RENDER TAB JASA
+    // ==========================================================
+    function renderServiceTab() {
+        resetServiceForm();
+        const state = AppState.getState(); const { products } = state;
+        const serviceItems = products.filter(p => p.type === 'service');
+        const tbody = document.getElementById('serviceTableBody'); tbody.innerHTML = '';
+        serviceItems.forEach(service => {
+            const row = `<tr><td>${service.sku || '-'}</td><td>${service.name}</td><td>Rp ${service.price.toLocaleString('id-ID')}</td><td>Rp ${(service.costPrice || 0).toLocaleString('id-ID')}</td><td>${service.duration} menit</td><td>${service.warrantyDays ? `${service.warrantyDays} hari` : '-'}</td><td class="actions"><button class="btn-edit" onclick="SettingsModule.populateServiceFormForEdit(${service.id})">Edit</button><button class="btn-delete" onclick="SettingsModule.deleteItem(${service.id})">Hapus</button></td></tr>`;
+            tbody.innerHTML += row;
+        });
+    }
+
+    // ==========================================================
+    // RENDER TAB PROMO
+    // ==========================================================
+    function renderPromoTab() {
+        resetPromoForm();
+        const state = AppState.getState(); const { promos, products } = state;
+        document.getElementById('promoProducts').innerHTML = products.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+        const tbody = document.getElementById('promoTableBody'); tbody.innerHTML = '';
+        promos.forEach(promo => {
+            const target = promo.kind === 'voucher' ? `Kode: <strong>${promo.code}</strong>` : promo.productIds.map(id => (products.find(p => p.id === id) || { name: '(dihapus)' }).name).join(' + ');
+            const period = promo.startDate || promo.endDate ? `${promo.startDate || '...'} s/d ${promo.endDate || '...'}` : 'Tanpa batas';
+            const row = `<tr><td>${promo.name}</td><td>${target}</td><td>${PricingService.formatDiscount(promo.discount)}</td><td>${period}</td><td>${PricingService.isPromoActive(promo) ? 'Aktif' : 'Nonaktif'}</td><td class="actions"><button class="btn-edit" onclick="SettingsModule.populatePromoFormForEdit(${promo.id})">Edit</button><button class="btn-delete" onclick="SettingsModule.deletePromo(${promo.id})">Hapus</button></td></tr>`;
+            tbody.innerHTML += row;
+        });
+    }
+
+    function renderAppTab() {
+        const state = AppState.getState(); const { settings } = state;
+        document.getElementById('taxEnabled').value = settings.taxEnabled.toString();
+        document.getElementById('taxRate').value = settings.taxRate;
+        document.getElementById('cashierName').value = settings.serviceName;
+        document.getElementById('storeName').value = settings.storeName;
+        document.getElementById('parkedCartExpiry').value = settings.parkedCartExpiryMinutes;
+        document.getElementById('autoSnapshotEnabled').value = (settings.autoSnapshotEnabled !== false).toString();
+        document.getElementById('snapshotEveryOrders').value = settings.snapshotEveryOrders || 0;
+        document.getElementById('catalogUpdateUrl').value = settings.catalogUpdateUrl || '';
+        document.getElementById('catalogPublicKey').value = settings.catalogPublicKey || '';
+        document.getElementById('syncBackend').innerHTML = '<option value="">Mati</option>' + SyncService.getBackends().map(backend => `<option value="${backend.name}">${backend.label}</option>`).join('');
+        document.getElementById('syncBackend').value = settings.syncBackend || '';
+        document.getElementById('syncUrl').value = settings.syncUrl || '';
+        document.getElementById('syncToken').value = settings.syncToken || '';
+        document.getElementById('printerCodepage').value = settings.printerCodepage;
+        document.getElementById('printerTransport').value = settings.printerTransport;
+        document.getElementById('printerBaudRate').value = settings.printerBaudRate;
+        document.getElementById('printerQr').value = (settings.printerQr !== false).toString();
+        document.getElementById('printerDrawerKick').value = (!!settings.printerDrawerKick).toString();
+        document.getElementById('taxRateGroup').style.display = settings.taxEnabled ? 'block' : 'none';
+    }
+    
+    // ==========================================================
+    // RENDER TAB TEMPLATE STRUK
+    // ==========================================================
+    function renderReceiptTab() {
+        const { settings } = AppState.getState(); const fields = settings.receiptFields || {};
+        document.getElementById('receiptHeader').value = settings.receiptHeader || '';
+        document.getElementById('receiptAddress').value = settings.receiptAddress || '';
+        document.getElementById('receiptPhone').value = settings.receiptPhone || '';
+        document.getElementById('receiptFooter').value = settings.receiptFooter || '';
+        document.getElementById('invoicePaymentTerms').value = settings.invoicePaymentTerms || '';
+        document.getElementById('shareMessageTemplate').value = settings.shareMessageTemplate || '';
+        document.getElementById('printerPaperWidth').value = settings.printerPaperWidth;
+        document.getElementById('receiptFieldOptions').innerHTML = Object.entries(HistoryModule.RECEIPT_FIELDS).map(([key, label]) => `<label><input type="checkbox" name="receiptField" value="${key}" ${fields[key] !== false ? 'checked' : ''}> ${label}</label>`).join('');
+        document.getElementById('printerLogo').value = '';
+        updatePrinterLogoPreview(settings.printerLogo || null);
+    }
+
+    function readReceiptTemplateForm() {
+        const shown = new Set(Array.from(document.querySelectorAll('input[name="receiptField"]:checked')).map(input => input.value));
+        return {
+            receiptHeader: document.getElementById('receiptHeader').value.trim(),
+            receiptAddress: document.getElementById('receiptAddress').value.trim(),
+            receiptPhone: document.getElementById('receiptPhone').value.trim(),
+            receiptFooter: document.getElementById('receiptFooter').value.trim(),
+            invoicePaymentTerms: document.getElementById('invoicePaymentTerms').value.trim(),
+            shareMessageTemplate: document.getElementById('shareMessageTemplate').value.trim(),
+            receiptFields: Object.keys(HistoryModule.RECEIPT_FIELDS).reduce((fields, key) => ({ ...fields, [key]: shown.has(key) }), {}),
+            printerPaperWidth: parseInt(document.getElementById('printerPaperWidth').value),
+            printerLogo: printerLogoData || ''
+        };
+    }
+
+    // Transaksi contoh agar semua bagian struk terlihat di pratinjau
+    function buildSampleOrder(settings) {
+        const timestamp = new Date().toISOString(); const warrantyUntil = new Date(); warrantyUntil.setDate(warrantyUntil.getDate() + 30);
+        const subtotal = 550000; const discountAmount = 10000; const taxAmount = settings.taxEnabled ? Math.round((subtotal - discountAmount) * settings.taxRate / 100) : 0;
+        const totalAmount = subtotal - discountAmount + taxAmount; const paid = Math.ceil(totalAmount / 50000) * 50000;
+        return {
+            orderNumber: 'POS-CONTOH', timestamp, subtotal, discountAmount, taxAmount, totalAmount, discounts: { lines: discountAmount },
+            items: [{ name: 'Ganti LCD', price: 450000, quantity: 1, warrantyUntil: warrantyUntil.toISOString() }, { name: 'Tempered Glass', price: 50000, quantity: 2, discount: { type: 'percent', value: 10 } }],
+            tenders: [{ method: 'cash', amount: paid, reference: '', timestamp }], changeAmount: paid - totalAmount,
+            cashier: UserModule.getCurrentUserSnapshot(), customer: { name: 'Pelanggan Contoh', phone: '0812-0000-0000' }
+        };
+    }
+
+    function updateReceiptPreview() {
+        const preview = document.getElementById('receiptPreview');
+        if (!preview || !document.getElementById('receipt-tab').classList.contains('active')) return;
+        const settings = { ...AppState.getState().settings, ...readReceiptTemplateForm() };
+        const order = buildSampleOrder(settings);
+        preview.innerHTML = HistoryModule.renderReceiptHTML(order, HistoryModule.getReceiptTemplate(order, settings));
+        preview.className = `receipt-content receipt-preview paper-${settings.printerPaperWidth}`;
+    }
+
+    function handleReceiptTemplateFormSubmit(event) {
+        event.preventDefault();
+        if (!UserModule.requirePermission('settings.manage')) return;
+        const newSettings = { ...AppState.getState().settings, ...readReceiptTemplateForm() };
+        AppState.updateState({ settings: newSettings }); StorageService.saveSettings(newSettings).then(saved => { if (saved) UIService.showToast('Template struk berhasil disimpan!', 'success'); });
+    }
+
+    // ==========================================================
+    // FUNGSI FORM PRODUK
+    // ==========================================================
+    function resetProductForm() {
+        document.getElementById('productForm').reset();
+        document.getElementById('productId').value = '';
+        productImageData = null;
+        updateProductImagePreview(null);
+        document.getElementById('submitProductBtn').textContent = 'Tambah Produk';
+    }
+
+    function populateProductFormForEdit(id) {
+        const state = AppState.getState(); const { products } = state; const product = products.find(p => p.id === id);
+        if (!product) return;
+
+        document.getElementById('productId').value = product.id;
+        document.getElementById('productSKU').value = product.sku || '';
+        document.getElementById('productName').value = product.name;
+        document.getElementById('productPrice').value = product.price;
+        document.getElementById('productStock').value = product.stock || 0;
+        document.getElementById('productWarranty').value = product.warrantyDays || 0;
+        document.getElementById('productCost').value = product.costPrice || 0;
+        
+        productImageData = product.image;
+        updateProductImagePreview(product.image);
+        document.getElementById('submitProductBtn').textContent = 'Update Produk';
+    }
+
+    function handleProductFormSubmit(event) {
+        event.preventDefault();
+        if (!UserModule.requirePermission('product.edit')) return;
+        const state = AppState.getState(); let { products } = state;
+        const id = document.getElementById('productId').value;
+        
+        const productData = {
+            id: id ? parseInt(id) : Date.now(),
+            sku: document.getElementById('productSKU').value,
+            name: document.getElementById('productName').value,
+            type: 'product',
+            price: parseInt(document.getElementById('productPrice').value),
+            stock: parseInt(document.getElementById('productStock').value) || 0,
+            costPrice: parseInt(document.getElementById('productCost').value) || 0,
+            warrantyDays: parseInt(document.getElementById('productWarranty').value) || 0,
+        };
+
+        const fileInput = document.getElementById('productImage');
+        const file = fileInput.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onload = function(e) {
+                productData.image = e.target.result;
+                saveItemData(productData, products, id, 'product');
+            };
+            reader.readAsDataURL(file);
+        } else {
+            if (id) {
+                const existingItem = products.find(p => p.id == id);
+                productData.image = productImageData || existingItem.image;
+            } else {
+                productData.image = `https://via.placeholder.com/80x80/cccccc/FFFFFF?text=${encodeURIComponent(document.getElementById('productName').value.substring(0, 5))}`;
+            }
+            saveItemData(productData, products, id, 'product');
+        }
+    }
+
+    function updateProductImagePreview(imageSrc) {
+        const previewContainer = document.getElementById('productImagePreview');
+        if (imageSrc) {
+            previewContainer.innerHTML = `<img src="${imageSrc}" alt="Preview"><button type="button" class="remove-image-btn" onclick="event.stopPropagation(); SettingsModule.removeProductImage();">&times;</button>`;
+        } else {
+            previewContainer.innerHTML = `<i class="fas fa-image placeholder-icon"></i>`;
+        }
+    }
+    function removeProductImage() { productImageData = null; document.getElementById('productImage').value = ''; updateProductImagePreview(null); }
+    function updatePrinterLogoPreview(imageSrc) {
+        printerLogoData = imageSrc;
+        const previewContainer = document.getElementById('printerLogoPreview');
+        if (imageSrc) {
+            previewContainer.innerHTML = `<img src="${imageSrc}" alt="Logo"><button type="button" class="remove-image-btn" onclick="event.stopPropagation(); SettingsModule.removePrinterLogo();">&times;</button>`;
+        } else {
+            previewContainer.innerHTML = `<i class="fas fa-image placeholder-icon"></i>`;
+        }
+        updateReceiptPreview();
+    }
+    function removePrinterLogo() { document.getElementById('printerLogo').value = ''; updatePrinterLogoPreview(null); }
+
+    // ==========================================================
+    // FUNGSI FORM JASA
+    // ==========================================================
+    function resetServiceForm() {
+        document.getElementById('serviceForm').reset();
+        document.getElementById('serviceId').value = '';
+        serviceImageData = null;
+        updateServiceImagePreview(null);
+        document.getElementById('submitServiceBtn').textContent = 'Tambah Jasa';
+    }
+
+    function populateServiceFormForEdit(id) {
+        const state = AppState.getState(); const { products } = state; const service = products.find(p => p.id === id);
+        if (!service) return;
+
+        document.getElementById('serviceId').value = service.id;
+        document.getElementById('serviceSKU').value = service.sku || '';
+        document.getElementById('serviceName').value = service.name;
+        document.getElementById('servicePrice').value = service.price;
+        document.getElementById('serviceDuration').value = service.duration || 0;
+        document.getElementById('serviceWarranty').value = service.warrantyDays || 0;
+        document.getElementById('serviceCost').value = service.costPrice || 0;
+        
+        serviceImageData = service.image;
+        updateServiceImagePreview(service.image);
+        document.getElementById('submitServiceBtn').textContent = 'Update Jasa';
+    }
+
+    function handleServiceFormSubmit(event) {
+        event.preventDefault();
+        if (!UserModule.requirePermission('product.edit')) return;
+        const state = AppState.getState(); let { products } = state;
+        const id = document.getElementById('serviceId').value;
+        
+        const serviceData = {
+            id: id ? parseInt(id) : Date.now(),
+            sku: document.getElementById('serviceSKU').value,
+            name: document.getElementById('serviceName').value,
+            type: 'service',
+            price: parseInt(document.getElementById('servicePrice').value),
+            duration: parseInt(document.getElementById('serviceDuration').value) || 0,
+            costPrice: parseInt(document.getElementById('serviceCost').value) || 0,
+            warrantyDays: parseInt(document.getElementById('serviceWarranty').value) || 0,
+        };
+
+        const fileInput = document.getElementById('serviceImage');
+        const file = fileInput.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onload = function(e) {
+                serviceData.image = e.target.result;
+                saveItemData(serviceData, products, id, 'service');
+            };
+            reader.readAsDataURL(file);
+        } else {
+            if (id) {
+                const existingItem = products.find(p => p.id == id);
+                serviceData.image = serviceImageData || existingItem.image;
+            } else {
+                serviceData.image = `https://via.placeholder.com/80x80/cccccc/FFFFFF?text=${encodeURIComponent(document.getElementById('serviceName').value.substring(0, 5))}`;
+            }
+            saveItemData(serviceData, products, id, 'service');
+        }
+    }
+
+    function updateServiceImagePreview(imageSrc) {
+        const previewContainer = document.getElementById('serviceImagePreview');
+        if (imageSrc) {
+            previewContainer.innerHTML = `<img src="${imageSrc}" alt="Preview"><button type="button" class="remove-image-btn" onclick="event.stopPropagation(); SettingsModule.removeServiceImage();">&times;</button>`;
+        } else {
+            previewContainer.innerHTML = `<i class="fas fa-image placeholder-icon"></i>`;
+        }
+    }
+    function removeServiceImage() { serviceImageData = null; document.getElementById('serviceImage').value = ''; updateServiceImagePreview(null); }
+
+    // ==========================================================
+    // FUNGSI FORM PROMO
+    // ==========================================================
+    function resetPromoForm() {
+        document.getElementById('promoForm').reset();
+        document.getElementById('promoId').value = '';
+        togglePromoKindFields();
+        document.getElementById('submitPromoBtn').textContent = 'Tambah Promo';
+    }
+
+    function togglePromoKindFields() {
+        const isVoucher = document.getElementById('promoKind').value === 'voucher';
+        document.getElementById('promoCodeGroup').style.display = isVoucher ? 'block' : 'none';
+        document.getElementById('promoProductsGroup').style.display = isVoucher ? 'none' : 'block';
+    }
+
+    function populatePromoFormForEdit(id) {
+        const state = AppState.getState(); const promo = state.promos.find(p => p.id === id);
+        if (!promo) return;
+        document.getElementById('promoId').value = promo.id;
+        document.getElementById('promoName').value = promo.name;
+        document.getElementById('promoKind').value = promo.kind;
+        document.getElementById('promoCode').value = promo.code || '';
+        Array.from(document.getElementById('promoProducts').options).forEach(option => { option.selected = (promo.productIds || []).includes(parseInt(option.value)); });
+        document.getElementById('promoDiscount').value = promo.discount.type === 'percent' ? `${promo.discount.value}%` : promo.discount.value;
+        document.getElementById('promoStartDate').value = promo.startDate || '';
+        document.getElementById('promoEndDate').value = promo.endDate || '';
+        document.getElementById('promoActive').value = promo.active.toString();
+        togglePromoKindFields();
+        document.getElementById('submitPromoBtn').textContent = 'Update Promo';
+    }
+
+    function handlePromoFormSubmit(event) {
+        event.preventDefault();
+        if (!UserModule.requirePermission('settings.manage')) return;
+        const state = AppState.getState(); const { promos } = state;
+        const id = document.getElementById('promoId').value;
+        const kind = document.getElementById('promoKind').value;
+        const discount = PricingService.parseDiscountInput(document.getElementById('promoDiscount').value);
+        if (!discount) { UIService.showToast('Nilai diskon tidak valid. Contoh: 10% atau 5000', 'error'); return; }
+        const promoData = {
+            id: id ? parseInt(id) : Date.now(),
+            name: document.getElementById('promoName').value.trim(),
+            kind,
+            code: kind === 'voucher' ? document.getElementById('promoCode').value.trim().toUpperCase() : '',
+            productIds: kind === 'bundle' ? Array.from(document.getElementById('promoProducts').selectedOptions).map(option => parseInt(option.value)) : [],
+            discount,
+            startDate: document.getElementById('promoStartDate').value,
+            endDate: document.getElementById('promoEndDate').value,
+            active: document.getElementById('promoActive').value === 'true'
+        };
+        if (kind === 'voucher' && !promoData.code) { UIService.showToast('Kode voucher wajib diisi.', 'error'); return; }
+        if (kind === 'voucher' && promos.some(p => p.kind === 'voucher' && p.code === promoData.code && p.id !== promoData.id)) { UIService.showToast('Kode voucher sudah digunakan.', 'error'); return; }
+        if (kind === 'bundle' && promoData.productIds.length < 2) { UIService.showToast('Pilih minimal 2 item untuk promo bundling.', 'error'); return; }
+        if (promoData.startDate && promoData.endDate && promoData.startDate > promoData.endDate) { UIService.showToast('Tanggal mulai melewati tanggal berakhir.', 'error'); return; }
+        if (id) {
+            const index = promos.findIndex(p => p.id === promoData.id);
+            if (index !== -1) promos[index] = promoData;
+        } else {
+            promos.push(promoData);
+        }
+        AppState.updateState({ promos }); StorageService.savePromos(promos).then(saved => { if (saved) UIService.showToast(`Promo berhasil ${id ? 'diperbarui' : 'ditambahkan'}`, 'success'); });
+        renderPromoTab();
+    }
+
+    function deletePromo(id) {
+        if (!UserModule.requirePermission('settings.manage')) return;
+        if (!confirm('Apakah Anda yakin ingin menghapus promo ini?')) return;
+        const state = AppState.getState(); const promos = state.promos.filter(p => p.id !== id);
+        AppState.updateState({ promos }); StorageService.savePromos(promos).then(saved => { if (saved) UIService.showToast('Promo berhasil dihapus', 'success'); });
+        renderPromoTab();
+    }
+
+    // ==========================================================
+    // FUNGSI UMUM
+    // ==========================================================
+    function saveItemData(itemData, products, id, type) {
+        // Stok diubah lewat StockService agar tercatat di kartu stok
+        const targetStock = itemData.stock;
+        if (id) {
+            const index = products.findIndex(p => p.id == id);
+            if (index !== -1) { if (type === 'product') itemData.stock = products[index].stock; products[index] = itemData; }
+            if (type === 'product') StockService.adjustStock(itemData, targetStock - itemData.stock, 'edit');
+        } else {
+            if (type === 'product') itemData.stock = 0;
+            products.push(itemData);
+            if (type === 'product') StockService.adjustStock(itemData, targetStock, 'initial');
+        }
+        AppState.updateState({ products }); StorageService.saveProducts(products).then(saved => { if (saved) UIService.showToast(`Item berhasil ${id ? 'diperbarui' : 'ditambahkan'}`, 'success'); });
+        if (type === 'product') renderProductTab(); else renderServiceTab();
+    }
+
+    function deleteItem(id) {
+        if (!UserModule.requirePermission('product.edit')) return;
+        if (!confirm('Apakah Anda yakin ingin menghapus item ini?')) return;
+        const state = AppState.getState(); let { products } = state;
+        StockService.adjustStock(products.find(p => p.id === id), -((products.find(p => p.id === id) || {}).stock || 0), 'edit', '', 'Produk dihapus');
+        products = products.filter(p => p.id !== id);
+        AppState.updateState({ products }); StorageService.saveProducts(products).then(saved => { if (saved) UIService.showToast('Item berhasil dihapus', 'success'); });
+        const activeTab = document.querySelector('#settingsModal .settings-tab.active').dataset.tab;
+        if (activeTab === 'product') renderProductTab(); else if (activeTab === 'service') renderServiceTab();
+    }
+
+    function handleAppSettingsFormSubmit(event) {
+        event.preventDefault();
+        if (!UserModule.requirePermission('settings.manage')) return;
+        const newSettings = {
+            ...AppState.getState().settings,
+            taxEnabled: document.getElementById('taxEnabled').value === 'true',
+            taxRate: parseFloat(document.getElementById('taxRate').value),
+            serviceName: document.getElementById('cashierName').value.trim() || 'Kasir',
+            storeName: document.getElementById('storeName').value.trim() || 'Servis Pusat',
+            parkedCartExpiryMinutes: Math.max(parseInt(document.getElementById('parkedCartExpiry').value) || 0, 0),
+            autoSnapshotEnabled: document.getElementById('autoSnapshotEnabled').value === 'true',
+            snapshotEveryOrders: Math.max(parseInt(document.getElementById('snapshotEveryOrders').value) || 0, 0),
+            catalogUpdateUrl: document.getElementById('catalogUpdateUrl').value.trim(),
+            catalogPublicKey: document.getElementById('catalogPublicKey').value.trim(),
+            syncBackend: document.getElementById('syncBackend').value,
+            syncUrl: document.getElementById('syncUrl').value.trim(),
+            syncToken: document.getElementById('syncToken').value.trim(),
+            printerCodepage: document.getElementById('printerCodepage').value,
+            printerTransport: document.getElementById('printerTransport').value,
+            printerBaudRate: parseInt(document.getElementById('printerBaudRate').value) || 9600,
+            printerQr: document.getElementById('printerQr').value === 'true',
+            printerDrawerKick: document.getElementById('printerDrawerKick').value === 'true'
+        };
+        const syncChanged = ['syncBackend', 'syncUrl', 'syncToken'].some(key => newSettings[key] !== AppState.getState().settings[key]);
+        const printerChanged = ['printerTransport', 'printerBaudRate'].some(key => newSettings[key] !== AppState.getState().settings[key]);
+        AppState.updateState({ settings: newSettings }); UIService.updateUserInfo(newSettings); UIService.renderCart(AppState.getState().cart);
+        StorageService.saveSettings(newSettings).then(saved => { if (saved) UIService.showToast('Pengaturan berhasil disimpan!', 'success'); });
+        if (syncChanged) SyncService.configure();
+        if (printerChanged) ReceiptPrinterModule.resetConnection();
+    }
+
+    // ==========================================================
+    // FUNGSI UNTUK STOK (Hanya untuk produk)
+    // ==========================================================
+    function showAddStockModal(productId) { stockActionType = 'add'; showStockModal(productId); }
+    function showSubtractStockModal(productId) { stockActionType = 'subtract'; showStockModal(productId); }
+    
+    function showStockModal(productId) {
+        if (!UserModule.requirePermission('stock.adjust')) return;
+        const state = AppState.getState();
+        const product = state.products.find(p => p.id === productId);
+        if (!product || product.type !== 'product') {
+            UIService.showToast('Hanya produk fisik yang bisa diubah stoknya.', 'warning');
+            return;
+        }
+        productIdForStockUpdate = productId;
+        
+        const modalTitle = document.getElementById('stockModalTitle');
+        const modalInfo = document.getElementById('addStockModalInfo');
+        const inputLabel = document.getElementById('stockModalLabel');
+        const confirmBtn = document.getElementById('confirmAddStockBtn');
+
+        if (stockActionType === 'add') {
+            modalTitle.textContent = 'Tambah Stok Produk'; modalInfo.textContent = `Produk: ${product.name} | Stok Saat Ini: ${product.stock}`; inputLabel.textContent = 'Jumlah Stok yang Ditambahkan:'; confirmBtn.textContent = 'Tambah Stok';
+        } else {
+            modalTitle.textContent = 'Kurangi Stok Produk'; modalInfo.textContent = `Produk: ${product.name} | Stok Saat Ini: ${product.stock}`; inputLabel.textContent = 'Jumlah Stok yang Dikurangi:'; confirmBtn.textContent = 'Kurangi Stok';
+        }
+        document.getElementById('stockAdjustReason').innerHTML = stockActionType === 'add'
+            ? '<option value="adjustment">Penyesuaian Manual</option><option value="return">Retur</option>'
+            : '<option value="adjustment">Penyesuaian Manual</option><option value="damaged">Rusak</option>';
+        document.getElementById('addStockAmount').value = '';
+        document.getElementById('stockAdjustNote').value = '';
+        UIService.showModal('addStockModal');
+    }
+
+    function confirmStockAdjustment() {
+        if (!UserModule.requirePermission('stock.adjust')) return;
+        const amountToAdjust = parseInt(document.getElementById('addStockAmount').value);
+        if (isNaN(amountToAdjust) || amountToAdjust <= 0) { UIService.showToast('Jumlah stok tidak valid.', 'error'); return; }
+        const state = AppState.getState(); let { products } = state; const productIndex = products.findIndex(p => p.id === productIdForStockUpdate);
+        if (productIndex !== -1) {
+            let newStock = products[productIndex].stock; let actionMessage = '';
+            if (stockActionType === 'add') { newStock += amountToAdjust; actionMessage = `${amountToAdjust} stok berhasil ditambahkan`; }
+            else { if (amountToAdjust > products[productIndex].stock) { UIService.showToast('Jumlah pengurangan stok melebihi stok yang ada.', 'error'); return; } newStock -= amountToAdjust; actionMessage = `${amountToAdjust} stok berhasil dikurangi`; }
+            StockService.adjustStock(products[productIndex], newStock - products[productIndex].stock, document.getElementById('stockAdjustReason').value, '', document.getElementById('stockAdjustNote').value.trim());
+            const productName = products[productIndex].name;
+            AppState.updateState({ products }); renderProductTab();
+            UIService.hideModal('addStockModal');
+            StorageService.saveProducts(products).then(saved => { if (saved) UIService.showToast(`${actionMessage} untuk ${productName}. Stok baru: ${newStock}.`, 'success'); });
+        }
+        productIdForStockUpdate = null;
+    }
+
+    return { 
+        showSettings, 
+        populateProductFormForEdit,
+        populateServiceFormForEdit,
+        deleteItem, 
+        handleProductFormSubmit, 
+        handleServiceFormSubmit,
+        handleAppSettingsFormSubmit,
+        handlePromoFormSubmit,
+        populatePromoFormForEdit,
+        deletePromo,
+        togglePromoKindFields,
+        removeProductImage,
+        removeServiceImage,
+        updatePrinterLogoPreview,
+        removePrinterLogo,
+        updateReceiptPreview,
+        handleReceiptTemplateFormSubmit,
+        showAddStockModal,
+        showSubtractStockModal,
+        confirmStockAdjustment,
+        renderProductTab
+    };
+})();
+
+
+/**
+ * Purchase Module - Manages suppliers, purchase orders (PO) and stock-in from PO receipts
+ */
+const PurchaseModule = (function() {
+    const PO_STATUSES = {
+        draft: 'Draft',
+        ordered: 'Dipesan',
+        partial: 'Diterima Sebagian',
+        received: 'Diterima'
+    };
+    let draftLines = [];
+    let activePONumber = null;
+
+    function persistSuppliers(suppliers) { AppState.updateState({ suppliers }); return StorageService.saveSuppliers(suppliers); }
+    function persistPurchaseOrders(purchaseOrders) { AppState.updateState({ purchaseOrders }); return StorageService.savePurchaseOrders(purchaseOrders); }
+    function findPO(poNumber) { return AppState.getState().purchaseOrders.find(po => po.poNumber === poNumber); }
+    function getPOTotal(po) { return po.lines.reduce((sum, line) => sum + (line.quantity * line.unitCost), 0); }
+    function getReceivedValue(po) { return po.lines.reduce((sum, line) => sum + (line.receivedQuantity * line.unitCost), 0); }
+    function getPaidAmount(po) { return (po.payments || []).reduce((sum, payment) => sum + payment.amount, 0); }
+    // Hutang diakui saat barang diterima, bukan saat PO dibuat
+    function getOutstanding(po) { return Math.max(getReceivedValue(po) - getPaidAmount(po), 0); }
+
+    function showPurchases() {
+        if (!UserModule.requirePermission('purchase.manage')) return;
+        UIService.showModal('purchaseModal');
+        document.querySelectorAll('#purchaseModal .settings-tab').forEach(tab => {
+            tab.onclick = () => switchTab(tab.dataset.tab);
+        });
+        switchTab('po');
+    }
+
+    function switchTab(tabName) {
+        document.querySelectorAll('#purchaseModal .settings-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tabName));
+        document.querySelectorAll('#purchaseModal .tab-content').forEach(c => c.classList.toggle('active', c.id === `${tabName}-tab`));
+        if (tabName === 'po') renderPOTab();
+        else if (tabName === 'supplier') renderSupplierTab();
+        else if (tabName === 'payable') renderPayableTab();
+    }
+
+    // ==========================================================
+    // SUPPLIER
+    // ==========================================================
+    function renderSupplierTab() {
+        document.getElementById('supplierForm').reset(); document.getElementById('supplierId').value = '';
+        document.getElementById('submitSupplierBtn').textContent = 'Tambah Supplier';
+        const { suppliers } = AppState.getState();
+        const tbody = document.getElementById('supplierTableBody'); tbody.innerHTML = '';
+        if (suppliers.length === 0) { tbody.innerHTML = '<tr><td colspan="4" style="text-align:center;">Belum ada supplier.</td></tr>'; return; }
+        suppliers.forEach(supplier => {
+            tbody.innerHTML += `<tr><td>${supplier.name}</td><td>${supplier.phone || '-'}</td><td>${supplier.address || '-'}</td><td class="actions"><button class="btn-edit" onclick="PurchaseModule.populateSupplierFormForEdit(${supplier.id})">Edit</button><button class="btn-delete" onclick="PurchaseModule.deleteSupplier(${supplier.id})">Hapus</button></td></tr>`;
+        });
+    }
+
+    function populateSupplierFormForEdit(id) {
+        const supplier = AppState.getState().suppliers.find(s => s.id === id); if (!supplier) return;
+        document.getElementById('supplierId').value = supplier.id;
+        document.getElementById('supplierName').value = supplier.name;
+        document.getElementById('supplierPhone').value = supplier.phone || '';
+        document.getElementById('supplierAddress').value = supplier.address || '';
+        document.getElementById('submitSupplierBtn').textContent = 'Update Supplier';
+    }
+
+    function handleSupplierFormSubmit(event) {
+        event.preventDefault();
+        if (!UserModule.requirePermission('purchase.manage')) return;
+        const state = AppState.getState(); const { suppliers } = state;
+        const id = document.getElementById('supplierId').value;
+        const supplierData = {
+            id: id ? parseInt(id) : Date.now(),
+            name: document.getElementById('supplierName').value.trim(),
+            phone: document.getElementById('supplierPhone').value.trim(),
+            address: document.getElementById('supplierAddress').value.trim()
+        };
+        if (id) {
+            const index = suppliers.findIndex(s => s.id === supplierData.id);
+            if (index !== -1) suppliers[index] = supplierData;
+        } else {
+            suppliers.push(supplierData);
+        }
+        persistSuppliers(suppliers).then(saved => { if (saved) UIService.showToast(`Supplier berhasil ${id ? 'diperbarui' : 'ditambahkan'}`, 'success'); }); renderSupplierTab();
+    }
+
+    function deleteSupplier(id) {
+        if (!UserModule.requirePermission('purchase.manage')) return;
+        const state = AppState.getState();
+        if (state.purchaseOrders.some(po => po.supplierId === id && po.status !== 'received')) { UIService.showToast('Supplier masih memiliki PO yang belum selesai.', 'warning'); return; }
+        if (!confirm('Apakah Anda yakin ingin menghapus supplier ini?')) return;
+        persistSuppliers(state.suppliers.filter(s => s.id !== id)).then(saved => { if (saved) UIService.showToast('Supplier berhasil dihapus', 'success'); }); renderSupplierTab();
+    }
+
+    // ==========================================================
+    // PURCHASE ORDER
+    // ==========================================================
+    function renderPOTab() {
+        const { suppliers, products, purchaseOrders } = AppState.getState();
+        draftLines = [];
+        document.getElementById('poSupplier').innerHTML = suppliers.length === 0 ? '<option value="">- Tambahkan supplier dulu -</option>' : suppliers.map(s => `<option value="${s.id}">${s.name}</option>`).join('');
+        document.getElementById('poProduct').innerHTML = products.filter(p => p.type === 'product').map(p => `<option value="${p.id}">${p.sku ? `${p.sku} - ` : ''}${p.name}</option>`).join('');
+        document.getElementById('poNotes').value = '';
+        fillDefaultCost();
+        renderDraftLines();
+        const tbody = document.getElementById('poTableBody'); tbody.innerHTML = '';
+        if (purchaseOrders.length === 0) { tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">Belum ada purchase order.</td></tr>'; return; }
+        [...purchaseOrders].reverse().forEach(po => {
+            tbody.innerHTML += `<tr><td>${po.poNumber}</td><td>${new Date(po.createdAt).toLocaleDateString('id-ID')}</td><td>${po.supplierName}</td><td>Rp ${getPOTotal(po).toLocaleString('id-ID')}</td><td><span class="status-badge status-po-${po.status}">${PO_STATUSES[po.status]}</span></td><td><button class="btn-edit" onclick="PurchaseModule.viewPO('${po.poNumber}')">Detail</button></td></tr>`;
+        });
+    }
+
+    function fillDefaultCost() {
+        const product = AppState.getState().products.find(p => p.id === parseInt(document.getElementById('poProduct').value));
+        document.getElementById('poUnitCost').value = product ? (product.costPrice || 0) : 0;
+    }
+
+    function renderDraftLines() {
+        const total = draftLines.reduce((sum, line) => sum + (line.quantity * line.unitCost), 0);
+        document.getElementById('poDraftLines').innerHTML = draftLines.length === 0 ? '<p style="color: #777;">Belum ada item.</p>' : draftLines.map((line, index) => `<div class="receipt-item"><span>${line.name} x${line.quantity} @ Rp ${line.unitCost.toLocaleString('id-ID')}</span><span>Rp ${(line.quantity * line.unitCost).toLocaleString('id-ID')} <button class="btn-delete" onclick="PurchaseModule.removeDraftLine(${index})">&times;</button></span></div>`).join('') + `<div class="receipt-item" style="font-weight: bold;"><span>Total</span><span>Rp ${total.toLocaleString('id-ID')}</span></div>`;
+    }
+
+    function addDraftLine() {
+        const product = AppState.getState().products.find(p => p.id === parseInt(document.getElementById('poProduct').value));
+        const quantity = parseInt(document.getElementById('poQuantity').value); const unitCost = parseInt(document.getElementById('poUnitCost').value);
+        if (!product || isNaN(quantity) || quantity <= 0 || isNaN(unitCost) || unitCost < 0) { UIService.showToast('Item, jumlah atau harga beli tidak valid.', 'error'); return; }
+        const existingLine = draftLines.find(line => line.productId === product.id && line.unitCost === unitCost);
+        if (existingLine) { existingLine.quantity += quantity; } else { draftLines.push({ productId: product.id, sku: product.sku, name: product.name, quantity, unitCost, receivedQuantity: 0 }); }
+        document.getElementById('poQuantity').value = 1;
+        renderDraftLines();
+    }
+
+    function removeDraftLine(index) { draftLines.splice(index, 1); renderDraftLines(); }
+
+    function createPO() {
+        if (!UserModule.requirePermission('purchase.manage')) return;
+        const state = AppState.getState(); const { purchaseOrders, suppliers } = state;
+        const supplier = suppliers.find(s => s.id === parseInt(document.getElementById('poSupplier').value));
+        if (!supplier) { UIService.showToast('Pilih supplier terlebih dahulu.', 'error'); return; }
+        if (draftLines.length === 0) { UIService.showToast('Tambahkan minimal satu item.', 'error'); return; }
+        const po = {
+            poNumber: `PO-${Date.now()}`,
+            createdAt: new Date().toISOString(),
+            supplierId: supplier.id,
+            supplierName: supplier.name,
+            status: 'draft',
+            notes: document.getElementById('poNotes').value.trim(),
+            lines: draftLines,
+            receipts: [],
+            payments: []
+        };
+        purchaseOrders.push(po); persistPurchaseOrders(purchaseOrders).then(saved => { if (saved) UIService.showToast(`${po.poNumber} disimpan sebagai draft`, 'success'); });
+        renderPOTab();
+    }
+
+    function viewPO(poNumber) {
+        const po = findPO(poNumber); if (!po) return;
+        activePONumber = poNumber;
+        const canReceive = po.status === 'ordered' || po.status === 'partial';
+        const linesHTML = po.lines.map((line, index) => {
+            const outstanding = line.quantity - line.receivedQuantity;
+            return `<tr><td>${line.name}</td><td>${line.quantity}</td><td>Rp ${line.unitCost.toLocaleString('id-ID')}</td><td>${line.receivedQuantity}</td><td>${canReceive && outstanding > 0 ? `<input type="number" class="refund-qty po-receive-qty" data-line-index="${index}" min="0" max="${outstanding}" value="${outstanding}">` : '-'}</td></tr>`;
+        }).join('');
+        const paymentsHTML = (po.payments || []).map(payment => `<li>${new Date(payment.timestamp).toLocaleString('id-ID')} - Rp ${payment.amount.toLocaleString('id-ID')}${payment.note ? ` (${payment.note})` : ''}</li>`).join('');
+        document.getElementById('poDetailContent').innerHTML = `
+            <h2>${po.poNumber} <span class="status-badge status-po-${po.status}">${PO_STATUSES[po.status]}</span></h2>
+            <div class="ticket-info">
+                <div class="receipt-item"><span>Supplier</span><span>${po.supplierName}</span></div>
+                <div class="receipt-item"><span>Tanggal</span><span>${new Date(po.createdAt).toLocaleString('id-ID')}</span></div>
+                <div class="receipt-item"><span>Total PO</span><span>Rp ${getPOTotal(po).toLocaleString('id-ID')}</span></div>
+                <div class="receipt-item"><span>Nilai Diterima</span><span>Rp ${getReceivedValue(po).toLocaleString('id-ID')}</span></div>
+                <div class="receipt-item"><span>Sudah Dibayar</span><span>Rp ${getPaidAmount(po).toLocaleString('id-ID')}</span></div>
+                <div class="receipt-item" style="font-weight: bold;"><span>Sisa Hutang</span><span>Rp ${getOutstanding(po).toLocaleString('id-ID')}</span></div>
+                ${po.notes ? `<div class="receipt-item"><span>Catatan</span><span>${po.notes}</span></div>` : ''}
+            </div>
+            <table class="history-table"><thead><tr><th>Item</th><th>Dipesan</th><th>Harga Beli</th><th>Diterima</th><th>Terima Sekarang</th></tr></thead><tbody>${linesHTML}</tbody></table>
+            ${paymentsHTML ? `<h3>Pembayaran</h3><ul class="ticket-status-history">${paymentsHTML}</ul>` : ''}
+        `;
+        document.getElementById('orderPOBtn').style.display = po.status === 'draft' ? 'block' : 'none';
+        document.getElementById('deletePOBtn').style.display = po.status === 'draft' ? 'block' : 'none';
+        document.getElementById('receivePOBtn').style.display = canReceive ? 'block' : 'none';
+        document.getElementById('payPOBtn').style.display = getOutstanding(po) > 0 ? 'block' : 'none';
+        UIService.showModal('poDetailModal');
+    }
+
+    function markOrdered() {
+        if (!UserModule.requirePermission('purchase.manage')) return;
+        const state = AppState.getState(); const { purchaseOrders } = state;
+        const po = purchaseOrders.find(p => p.poNumber === activePONumber); if (!po || po.status !== 'draft') return;
+        po.status = 'ordered'; po.orderedAt = new Date().toISOString();
+        persistPurchaseOrders(purchaseOrders).then(saved => { if (saved) UIService.showToast(`${po.poNumber} ditandai sudah dipesan`, 'success'); }); viewPO(po.poNumber); renderPOTab();
+    }
+
+    function deleteDraftPO() {
+        if (!UserModule.requirePermission('purchase.manage')) return;
+        if (!confirm('Hapus draft PO ini?')) return;
+        const state = AppState.getState();
+        persistPurchaseOrders(state.purchaseOrders.filter(po => !(po.poNumber === activePONumber && po.status === 'draft'))).then(saved => { if (saved) UIService.showToast('Draft PO berhasil dihapus', 'success'); });
+        UIService.hideModal('poDetailModal'); renderPOTab();
+    }
+
+    /**
+     * Receives goods against the PO: stock goes up per line and the product's
+     * cost price is updated to the latest purchase price.
+     */
+    function receivePO() {
+        if (!UserModule.requirePermission('stock.adjust')) return;
+        const state = AppState.getState(); const { purchaseOrders, products } = state;
+        const po = purchaseOrders.find(p => p.poNumber === activePONumber); if (!po) return;
+        const receipt = { timestamp: new Date().toISOString(), lines: [] };
+        document.querySelectorAll('.po-receive-qty').forEach(input => {
+            const line = po.lines[parseInt(input.dataset.lineIndex)];
+            const quantity = Math.min(parseInt(input.value) || 0, line.quantity - line.receivedQuantity);
+            if (quantity <= 0) return;
+            const product = products.find(p => p.id === line.productId);
+            if (product) { StockService.adjustStock(product, quantity, 'po_receipt', po.poNumber); product.costPrice = line.unitCost; }
+            line.receivedQuantity += quantity;
+            receipt.lines.push({ productId: line.productId, name: line.name, quantity });
+        });
+        if (receipt.lines.length === 0) { UIService.showToast('Tidak ada jumlah yang diterima.', 'warning'); return; }
+        po.receipts.push(receipt);
+        po.status = po.lines.every(line => line.receivedQuantity >= line.quantity) ? 'received' : 'partial';
+        AppState.updateState({ products });
+        Promise.all([StorageService.saveProducts(products), persistPurchaseOrders(purchaseOrders)]).then(([productsSaved, ordersSaved]) => {
+            if (productsSaved && ordersSaved) UIService.showToast(`Penerimaan barang ${po.poNumber} berhasil, stok diperbarui`, 'success');
+        });
+        viewPO(po.poNumber); renderPOTab();
+    }
+
+    function recordPayment() {
+        if (!UserModule.requirePermission('purchase.manage')) return;
+        const state = AppState.getState(); const { purchaseOrders } = state;
+        const po = purchaseOrders.find(p => p.poNumber === activePONumber); if (!po) return;
+        const outstanding = getOutstanding(po);
+        const input = prompt(`Jumlah pembayaran ke ${po.supplierName} (sisa hutang Rp ${outstanding.toLocaleString('id-ID')}):`, outstanding);
+        if (input === null) return;
+        const amount = parseInt(input);
+        if (isNaN(amount) || amount <= 0 || amount > outstanding) { UIService.showToast('Jumlah pembayaran tidak valid.', 'error'); return; }
+        po.payments = [...(po.payments || []), { timestamp: new Date().toISOString(), amount, note: '' }];
+        persistPurchaseOrders(purchaseOrders).then(saved => { if (saved) UIService.showToast('Pembayaran supplier berhasil dicatat', 'success'); }); viewPO(po.poNumber);
+    }
+
+    function printPO() {
+        const po = findPO(activePONumber); if (!po) return;
+        const { settings, suppliers } = AppState.getState(); const supplier = suppliers.find(s => s.id === po.supplierId) || {};
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) { UIService.showToast('Popup diblokir browser. Izinkan popup untuk mencetak.', 'error'); return; }
+        printWindow.document.write(`
+            <html><head><title>${po.poNumber}</title><style>body{font-family:Arial,sans-serif;padding:2rem;}table{width:100%;border-collapse:collapse;margin-top:1rem;}th,td{border:1px solid #333;padding:0.5rem;text-align:left;}th{background:#eee;}.right{text-align:right;}</style></head>
+            <body>
+                <h2>PURCHASE ORDER</h2>
+                <p><strong>${settings.storeName}</strong></p>
+                <p>No. PO: ${po.poNumber}<br>Tanggal: ${new Date(po.createdAt).toLocaleDateString('id-ID')}<br>Status: ${PO_STATUSES[po.status]}</p>
+                <p>Kepada:<br><strong>${po.supplierName}</strong><br>${supplier.address || ''}<br>${supplier.phone || ''}</p>
+                <table>
+                    <thead><tr><th>No</th><th>SKU</th><th>Item</th><th class="right">Jumlah</th><th class="right">Harga Satuan</th><th class="right">Subtotal</th></tr></thead>
+                    <tbody>${po.lines.map((line, index) => `<tr><td>${index + 1}</td><td>${line.sku || '-'}</td><td>${line.name}</td><td class="right">${line.quantity}</td><td class="right">Rp ${line.unitCost.toLocaleString('id-ID')}</td><td class="right">Rp ${(line.quantity * line.unitCost).toLocaleString('id-ID')}</td></tr>`).join('')}</tbody>
+                    <tfoot><tr><th colspan="5" class="right">TOTAL</th><th class="right">Rp ${getPOTotal(po).toLocaleString('id-ID')}</th></tr></tfoot>
+                </table>
+                ${po.notes ? `<p>Catatan: ${po.notes}</p>` : ''}
+            </body></html>
+        `);
+        printWindow.document.close(); printWindow.focus(); printWindow.print();
+    }
+
+    // ==========================================================
+    // LAPORAN HUTANG
+    // ==========================================================
+    function renderPayableTab() {
+        const { purchaseOrders } = AppState.getState();
+        const openPOs = purchaseOrders.filter(po => getOutstanding(po) > 0);
+        const bySupplier = {};
+        openPOs.forEach(po => { bySupplier[po.supplierName] = (bySupplier[po.supplierName] || 0) + getOutstanding(po); });
+        const totalOutstanding = Object.values(bySupplier).reduce((sum, amount) => sum + amount, 0);
+        document.getElementById('payableContent').innerHTML = `
+            <div class="storage-info">
+                <div class="storage-card"><h4>Total Hutang</h4><p>Rp ${totalOutstanding.toLocaleString('id-ID')}</p></div>
+                <div class="storage-card"><h4>PO Belum Lunas</h4><p>${openPOs.length} PO</p></div>
+                <div class="storage-card"><h4>PO Belum Diterima Penuh</h4><p>${purchaseOrders.filter(po => po.status === 'ordered' || po.status === 'partial').length} PO</p></div>
+            </div>
+            <h3>Per Supplier</h3>
+            <table class="history-table"><thead><tr><th>Supplier</th><th>Sisa Hutang</th></tr></thead><tbody>${Object.keys(bySupplier).length === 0 ? '<tr><td colspan="2" style="text-align:center;">Tidak ada hutang.</td></tr>' : Object.entries(bySupplier).map(([name, amount]) => `<tr><td>${name}</td><td>Rp ${amount.toLocaleString('id-ID')}</td></tr>`).join('')}</tbody></table>
+            <h3>Per PO</h3>
+            <table class="history-table"><thead><tr><th>No. PO</th><th>Supplier</th><th>Nilai Diterima</th><th>Dibayar</th><th>Sisa</th><th>Aksi</th></tr></thead><tbody>${openPOs.length === 0 ? '<tr><td colspan="6" style="text-align:center;">Tidak ada hutang.</td></tr>' : openPOs.map(po => `<tr><td>${po.poNumber}</td><td>${po.supplierName}</td><td>Rp ${getReceivedValue(po).toLocaleString('id-ID')}</td><td>Rp ${getPaidAmount(po).toLocaleString('id-ID')}</td><td>Rp ${getOutstanding(po).toLocaleString('id-ID')}</td><td><button class="btn-edit" onclick="PurchaseModule.viewPO('${po.poNumber}')">Detail</button></td></tr>`).join('')}</tbody></table>
+        `;
+    }
+
+    return { showPurchases, handleSupplierFormSubmit, populateSupplierFormForEdit, deleteSupplier, fillDefaultCost, addDraftLine, removeDraftLine, createPO, viewPO, markOrdered, deleteDraftPO, receivePO, recordPayment, printPO };
+})();
+
+/**
+ * Shift Module - Cashier shifts with opening float, cash in/out and Z-report on closing
+ */
+const ShiftModule = (function() {
+    let activeReportShiftId = null;
+
+    function persistShifts(shifts) { AppState.updateState({ shifts }); return StorageService.saveShifts(shifts); }
+    function getOpenShift() { return AppState.getState().shifts.find(shift => !shift.closedAt) || null; }
+    function findShift(id) { return AppState.getState().shifts.find(shift => shift.id === id); }
+    function getShiftLabel(shift) { return `${shift.cashierName} - ${new Date(shift.openedAt).toLocaleString('id-ID')}`; }
+
+    /**
+     * Filter for orders, refunds and tenders recorded in this shift. Records are matched by
+     * `shiftId`, because synced records from another counter fall inside the same time window.
+     * Only data from before shifts were stamped (no `shiftId` field) falls back to the window.
+     */
+    function isInShift(shift) {
+        const end = shift.closedAt || new Date().toISOString();
+        return (record) => record.shiftId !== undefined ? record.shiftId === shift.id : record.timestamp >= shift.openedAt && record.timestamp <= end;
+    }
+
+    function updateShiftIndicator() {
+        const shift = getOpenShift();
+        document.getElementById('shiftStatus').textContent = shift ? `Shift: ${shift.cashierName}` : 'Shift: Tutup';
+    }
+
+    function showShifts() { if (!UserModule.requirePermission('shift.manage')) return; renderShiftPanel(); renderShiftHistory(); UIService.showModal('shiftModal'); }
+
+    function renderShiftPanel() {
+        const shift = getOpenShift(); const { settings } = AppState.getState();
+        const container = document.getElementById('shiftPanel');
+        if (!shift) {
+            container.innerHTML = `
+                <h3>Buka Shift</h3>
+                <div class="product-form">
+                    <div class="form-group"><label>Kasir</label><p><strong>${UserModule.getCurrentUserName()}</strong></p></div>
+                    <div class="form-group"><label for="shiftOpeningFloat">Modal Awal Kas (Rp)</label><input type="number" id="shiftOpeningFloat" min="0" value="0"></div>
+                    <div class="form-group full-width"><button type="button" onclick="ShiftModule.openShift()">Buka Shift</button></div>
+                </div>
+            `;
+            return;
+        }
+        const report = computeReport(shift);
+        const movementsHTML = shift.cashMovements.length === 0 ? '<p style="color: #777;">Belum ada kas masuk/keluar.</p>' : `<ul class="ticket-status-history">${shift.cashMovements.map(entry => `<li>${new Date(entry.timestamp).toLocaleTimeString('id-ID')} - ${entry.type === 'in' ? 'Kas Masuk' : 'Kas Keluar'} Rp ${entry.amount.toLocaleString('id-ID')}${entry.note ? ` - ${entry.note}` : ''}</li>`).join('')}</ul>`;
+        container.innerHTML = `
+            <div class="ticket-info">
+                <div class="receipt-item"><span>Kasir</span><span>${shift.cashierName}</span></div>
+                <div class="receipt-item"><span>Dibuka</span><span>${new Date(shift.openedAt).toLocaleString('id-ID')}</span></div>
+                <div class="receipt-item"><span>Modal Awal</span><span>Rp ${shift.openingFloat.toLocaleString('id-ID')}</span></div>
+                <div class="receipt-item"><span>Transaksi</span><span>${report.transactionCount}</span></div>
+                <div class="receipt-item"><span>Kas Seharusnya</span><span>Rp ${report.methods.cash.expected.toLocaleString('id-ID')}</span></div>
+            </div>
+            <h3>Kas Masuk / Keluar</h3>
+            <div class="product-form">
+                <div class="form-group"><label for="cashMovementType">Jenis</label><select id="cashMovementType"><option value="out">Kas Keluar</option><option value="in">Kas Masuk</option></select></div>
+                <div class="form-group"><label for="cashMovementAmount">Nominal</label><input type="number" id="cashMovementAmount" min="1"></div>
+                <div class="form-group full-width"><label for="cashMovementNote">Keterangan</label><input type="text" id="cashMovementNote" placeholder="Contoh: beli lakban"></div>
+                <div class="form-group full-width"><button type="button" onclick="ShiftModule.addCashMovement()">Catat</button></div>
+            </div>
+            ${movementsHTML}
+            <h3>Tutup Shift</h3>
+            <div class="product-form">
+                ${Object.entries(PaymentService.METHOD_LABELS).map(([method, label]) => `<div class="form-group"><label for="shiftCounted_${method}">${method === 'cash' ? 'Uang Tunai di Laci' : `Total ${label} (mutasi)`}</label><input type="number" id="shiftCounted_${method}" min="0" placeholder="${method === 'cash' ? '' : 'Tidak dihitung, seharusnya '}Rp ${report.methods[method].expected.toLocaleString('id-ID')}"></div>`).join('')}
+                <div class="form-group full-width"><button type="button" class="btn-warning" onclick="ShiftModule.closeShift()">Tutup Shift & Buat Laporan Z</button></div>
+            </div>
+        `;
+    }
+
+    function renderShiftHistory() {
+        const closedShifts = AppState.getState().shifts.filter(shift => shift.closedAt).slice().reverse();
+        document.getElementById('shiftTableBody').innerHTML = closedShifts.length === 0 ? '<tr><td colspan="5" style="text-align:center;">Belum ada shift yang ditutup.</td></tr>' : closedShifts.map(shift => {
+            const difference = shift.report.methods.cash.difference;
+            return `<tr><td>${shift.cashierName}</td><td>${new Date(shift.openedAt).toLocaleString('id-ID')}</td><td>${new Date(shift.closedAt).toLocaleString('id-ID')}</td><td class="${difference < 0 ? 'ledger-out' : 'ledger-in'}">Rp ${difference.toLocaleString('id-ID')}</td><td><button class="btn-edit" onclick="ShiftModule.viewReport('${shift.id}')">Laporan Z</button></td></tr>`;
+        }).join('');
+    }
+
+    function openShift() {
+        if (!UserModule.requirePermission('shift.manage')) return;
+        if (getOpenShift()) { UIService.showToast('Masih ada shift yang terbuka.', 'warning'); return; }
+        const openingFloat = parseFloat(document.getElementById('shiftOpeningFloat').value);
+        if (isNaN(openingFloat) || openingFloat < 0) { UIService.showToast('Modal awal tidak valid.', 'error'); return; }
+        const shifts = AppState.getState().shifts;
+        // Kasir shift diambil dari pengguna yang login, bukan input bebas
+        const cashier = UserModule.getCurrentUserSnapshot();
+        shifts.push({ id: `SHF-${Date.now()}`, cashierName: cashier.name, cashier, openedAt: new Date().toISOString(), openingFloat, cashMovements: [], closedAt: null, counted: null, report: null });
+        persistShifts(shifts).then(saved => { if (saved) UIService.showToast('Shift berhasil dibuka', 'success'); }); updateShiftIndicator(); renderShiftPanel();
+    }
+
+    function addCashMovement() {
+        if (!UserModule.requirePermission('shift.manage')) return;
+        const shift = getOpenShift(); if (!shift) return;
+        const amount = parseFloat(document.getElementById('cashMovementAmount').value);
+        if (isNaN(amount) || amount <= 0) { UIService.showToast('Nominal tidak valid.', 'error'); return; }
+        shift.cashMovements.push({ id: Date.now(), timestamp: new Date().toISOString(), type: document.getElementById('cashMovementType').value, amount, note: document.getElementById('cashMovementNote').value.trim() });
+        persistShifts(AppState.getState().shifts).then(saved => { if (saved) UIService.showToast('Kas masuk/keluar dicatat', 'success'); }); renderShiftPanel();
+    }
+
+    /**
+     * Expected amount per method: receipts minus refunds paid out with that method.
+     * Cash additionally starts from the opening float and includes cash in/out entries.
+     */
+    function computeReport(shift) {
+        const { orders, refunds } = AppState.getState();
+        const inShift = isInShift(shift);
+        const shiftOrders = orders.filter(inShift);
+        const activeOrders = shiftOrders.filter(order => !order.voided);
+        const shiftRefunds = refunds.filter(inShift);
+        const receipts = PaymentService.summarizeReceipts(orders.filter(order => !order.voided), inShift);
+        const refundsByMethod = {}; shiftRefunds.forEach(refund => { refundsByMethod[refund.method] = (refundsByMethod[refund.method] || 0) + refund.totalAmount; });
+        const cashIn = shift.cashMovements.filter(entry => entry.type === 'in').reduce((sum, entry) => sum + entry.amount, 0);
+        const cashOut = shift.cashMovements.filter(entry => entry.type === 'out').reduce((sum, entry) => sum + entry.amount, 0);
+        const methods = {};
+        Object.keys(PaymentService.METHOD_LABELS).forEach(method => {
+            const expected = (receipts[method] || 0) - (refundsByMethod[method] || 0) + (method === 'cash' ? shift.openingFloat + cashIn - cashOut : 0);
+            const counted = shift.counted && shift.counted[method] != null ? shift.counted[method] : null;
+            methods[method] = { received: receipts[method] || 0, refunded: refundsByMethod[method] || 0, expected, counted, difference: counted === null ? null : counted - expected };
+        });
+        return {
+            transactionCount: activeOrders.length,
+            voidCount: shiftOrders.length - activeOrders.length,
+            salesTotal: activeOrders.reduce((sum, order) => sum + order.totalAmount, 0),
+            discountTotal: activeOrders.reduce((sum, order) => sum + (order.discountAmount || 0), 0),
+            refundCount: shiftRefunds.length,
+            refundTotal: shiftRefunds.reduce((sum, refund) => sum + refund.totalAmount, 0),
+            cashIn, cashOut, methods
+        };
+    }
+
+    function closeShift() {
+        if (!UserModule.requirePermission('shift.manage')) return;
+        const shift = getOpenShift(); if (!shift) return;
+        const counted = {};
+        for (const method of Object.keys(PaymentService.METHOD_LABELS)) {
+            const value = document.getElementById(`shiftCounted_${method}`).value;
+            // Metode non-tunai yang dikosongkan dicatat sebagai "tidak dihitung", bukan dianggap cocok
+            if (value === '' && method !== 'cash') { counted[method] = null; continue; }
+            const amount = parseFloat(value);
+            if (isNaN(amount) || amount < 0) { UIService.showToast(method === 'cash' ? 'Masukkan jumlah uang tunai yang dihitung.' : 'Nominal hitungan tidak valid.', 'error'); return; }
+            counted[method] = amount;
+        }
+        if (!confirm('Tutup shift sekarang? Laporan Z tidak dapat diubah setelah shift ditutup.')) return;
+        shift.closedAt = new Date().toISOString(); shift.counted = counted;
+        // Laporan Z disimpan sebagai snapshot agar tidak berubah oleh void/refund di kemudian hari
+        shift.report = computeReport(shift);
+        persistShifts(AppState.getState().shifts).then(saved => { if (saved) UIService.showToast('Shift ditutup', 'success'); }); updateShiftIndicator(); renderShiftPanel(); renderShiftHistory();
+        viewReport(shift.id);
+    }
+
+    function buildReportHTML(shift) {
+        const { settings } = AppState.getState(); const report = shift.report;
+        const rupiah = PricingService.formatMoney;
+        return `
+            <h2>LAPORAN Z - ${settings.storeName}</h2>
+            <p>Kasir: <strong>${shift.cashierName}</strong><br>Dibuka: ${new Date(shift.openedAt).toLocaleString('id-ID')}<br>Ditutup: ${new Date(shift.closedAt).toLocaleString('id-ID')}</p>
+            <table class="history-table">
+                <thead><tr><th>Metode</th><th>Diterima</th><th>Refund</th><th>Seharusnya</th><th>Dihitung</th><th>Selisih</th></tr></thead>
+                <tbody>${Object.entries(report.methods).map(([method, row]) => `<tr><td>${PaymentService.getMethodLabel(method)}</td><td>${rupiah(row.received)}</td><td>${rupiah(row.refunded)}</td><td>${rupiah(row.expected)}</td>${row.counted === null ? '<td colspan="2"><em>Tidak dihitung</em></td>' : `<td>${rupiah(row.counted)}</td><td class="${row.difference < 0 ? 'ledger-out' : 'ledger-in'}">${rupiah(row.difference)}</td>`}</tr>`).join('')}</tbody>
+            </table>
+            <div class="ticket-info">
+                <div class="receipt-item"><span>Modal Awal Kas</span><span>${rupiah(shift.openingFloat)}</span></div>
+                <div class="receipt-item"><span>Kas Masuk</span><span>${rupiah(report.cashIn)}</span></div>
+                <div class="receipt-item"><span>Kas Keluar</span><span>-${rupiah(report.cashOut)}</span></div>
+                <div class="receipt-item"><span>Jumlah Transaksi</span><span>${report.transactionCount}${report.voidCount ? ` (+${report.voidCount} void)` : ''}</span></div>
+                <div class="receipt-item"><span>Total Penjualan</span><span>${rupiah(report.salesTotal)}</span></div>
+                <div class="receipt-item"><span>Total Diskon</span><span>${rupiah(report.discountTotal)}</span></div>
+                <div class="receipt-item"><span>Refund (${report.refundCount})</span><span>-${rupiah(report.refundTotal)}</span></div>
+            </div>
+        `;
+    }
+
+    function viewReport(id) {
+        const shift = findShift(id); if (!shift || !shift.report) return;
+        activeReportShiftId = id;
+        document.getElementById('shiftReportContent').innerHTML = buildReportHTML(shift);
+        UIService.showModal('shiftReportModal');
+    }
+
+    function printReport() {
+        const shift = findShift(activeReportShiftId); if (!shift) return;
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) { UIService.showToast('Popup diblokir browser. Izinkan popup untuk mencetak.', 'error'); return; }
+        printWindow.document.write(`
+            <html><head><title>Laporan Z ${shift.id}</title><style>body{font-family:Arial,sans-serif;padding:2rem;}table{width:100%;border-collapse:collapse;margin:1rem 0;}th,td{border:1px solid #333;padding:0.5rem;text-align:left;}th{background:#eee;}.receipt-item{display:flex;justify-content:space-between;padding:0.2rem 0;}</style></head>
+            <body>${buildReportHTML(shift)}</body></html>
+        `);
+        printWindow.document.close(); printWindow.focus(); printWindow.print();
+    }
+
+    function exportReport() {
+        const shift = findShift(activeReportShiftId); if (!shift) return;
+        const report = shift.report;
+        const rows = [
+            ['Laporan Z', shift.id], ['Kasir', shift.cashierName], ['Dibuka', new Date(shift.openedAt).toLocaleString('id-ID')], ['Ditutup', new Date(shift.closedAt).toLocaleString('id-ID')], [],
+            ['Metode', 'Diterima', 'Refund', 'Seharusnya', 'Dihitung', 'Selisih'],
+            ...Object.entries(report.methods).map(([method, row]) => [PaymentService.getMethodLabel(method), row.received, row.refunded, row.expected, ...(row.counted === null ? ['Tidak dihitung', ''] : [row.counted, row.difference])]), [],
+            ['Modal Awal Kas', shift.openingFloat], ['Kas Masuk', report.cashIn], ['Kas Keluar', report.cashOut],
+            ['Jumlah Transaksi', report.transactionCount], ['Transaksi Void', report.voidCount], ['Total Penjualan', report.salesTotal], ['Total Diskon', report.discountTotal], ['Jumlah Refund', report.refundCount], ['Total Refund', report.refundTotal], [],
+            ['Waktu', 'Jenis', 'Nominal', 'Keterangan'],
+            ...shift.cashMovements.map(entry => [new Date(entry.timestamp).toLocaleString('id-ID'), entry.type === 'in' ? 'Kas Masuk' : 'Kas Keluar', entry.amount, entry.note])
+        ];
+        ExportService.exportRows(rows, `Laporan_Z_${shift.id}`, 'csv');
+        UIService.showToast('Laporan Z berhasil diunduh', 'success');
+    }
+
+    return { getOpenShift, findShift, getShiftLabel, isInShift, updateShiftIndicator, showShifts, openShift, addCashMovement, closeShift, viewReport, printReport, exportReport };
+})();
+
+/**
+ * Dashboard Module - Handles rendering of dashboard charts and metrics
+ */
+const DashboardModule = (function() {
+    let revenueChartInstance = null;
+    let bestSellingChartInstance = null;
+
+    function showDashboard() {
+        UIService.showModal('dashboardModal');
+        renderDashboard('today');
+        setupDashboardFilters();
+    }
+
+    function setupDashboardFilters() {
+        const shiftFilter = document.getElementById('dashboardShiftFilter');
+        shiftFilter.innerHTML = '<option value="">Per Shift...</option>' + AppState.getState().shifts.slice().reverse().map(shift => `<option value="${shift.id}">${ShiftModule.getShiftLabel(shift)}${shift.closedAt ? '' : ' (aktif)'}</option>`).join('');
+        shiftFilter.onchange = () => { if (shiftFilter.value) renderDashboard('shift'); };
+        document.querySelectorAll('.dashboard-filters button').forEach(button => {
+            button.replaceWith(button.cloneNode(true));
+        });
+        document.querySelectorAll('.dashboard-filters button').forEach(button => {
+            button.addEventListener('click', function() {
+                renderDashboard(this.dataset.filter);
+            });
+        });
+    }
+
+    /**
+     * Net sales (after discounts, before tax), cost of goods/labour and gross profit.
+     * Lines sold before cost snapshots existed fall back to the product's current cost.
+     * Refunds reverse their revenue; cost is only reversed when the part went back to stock.
+     */
+    function summarizeProfit(orders, refunds) {
+        const { products } = AppState.getState();
+        const unitCostOf = (item) => item.unitCost !== undefined ? item.unitCost : ((products.find(p => p.id === item.id) || {}).costPrice || 0);
+        const perItem = {}; let revenue = 0; let cost = 0;
+        const entryFor = (item) => perItem[item.name] = perItem[item.name] || { name: item.name, quantity: 0, revenue: 0, cost: 0 };
+        orders.forEach(order => {
+            order.items.forEach(item => {
+                const lineRevenue = PricingService.getLineNet(item); const lineCost = unitCostOf(item) * item.quantity;
+                const entry = entryFor(item); entry.quantity += item.quantity; entry.revenue += lineRevenue; entry.cost += lineCost;
+                revenue += lineRevenue; cost += lineCost;
+            });
+        });
+        refunds.forEach(refund => {
+            refund.items.forEach(item => {
+                const lineCost = refund.restocked && item.type === 'product' ? unitCostOf(item) * item.quantity : 0;
+                const entry = entryFor(item); entry.quantity -= item.quantity; entry.revenue -= item.amount; entry.cost -= lineCost;
+                revenue -= item.amount; cost -= lineCost;
+            });
+        });
+        return { revenue, cost, profit: revenue - cost, perItem: Object.values(perItem) };
+    }
+
+    function formatMargin(profit, revenue) { return revenue > 0 ? `${((profit / revenue) * 100).toFixed(1)}%` : '-'; }
+
+    function renderProfitTable(perItem) {
+        const rows = perItem.filter(entry => entry.quantity !== 0 || entry.revenue !== 0).sort((a, b) => (b.revenue - b.cost) - (a.revenue - a.cost));
+        document.getElementById('profitTableContainer').innerHTML = `
+            <h3>Profitabilitas per Item</h3>
+            <table class="history-table">
+                <thead><tr><th>Item</th><th>Terjual</th><th>Penjualan Bersih</th><th>HPP / Biaya</th><th>Laba Kotor</th><th>Margin</th></tr></thead>
+                <tbody>${rows.length === 0 ? '<tr><td colspan="6" style="text-align:center;">Tidak ada penjualan.</td></tr>' : rows.map(entry => `<tr><td>${entry.name}</td><td>${entry.quantity}</td><td>Rp ${entry.revenue.toLocaleString('id-ID')}</td><td>Rp ${entry.cost.toLocaleString('id-ID')}</td><td>Rp ${(entry.revenue - entry.cost).toLocaleString('id-ID')}</td><td>${formatMargin(entry.revenue - entry.cost, entry.revenue)}</td></tr>`).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    function renderDashboard(filter) {
+        const state = AppState.getState();
+        const { orders, refunds } = state;
+        const today = new Date();
+        let targetDate, dateLabel, ordersToRender, shift;
+
+        switch(filter) {
+            case 'today':
+                targetDate = today.toISOString().split('T')[0];
+                dateLabel = 'Hari Ini';
+                break;
+            case 'yesterday':
+                const yesterday = new Date(today);
+                yesterday.setDate(yesterday.getDate() - 1);
+                targetDate = yesterday.toISOString().split('T')[0];
+                dateLabel = 'Hari Kemarin';
+                break;
+            case 'week':
+                const weekStart = new Date(today);
+                weekStart.setDate(today.getDate() - today.getDay());
+                targetDate = weekStart.toISOString().split('T')[0];
+                dateLabel = 'Minggu Ini';
+                break;
+            case 'month':
+                const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+                targetDate = monthStart.toISOString().split('T')[0];
+                dateLabel = 'Bulan Ini';
+                break;
+            case 'shift':
+                shift = ShiftModule.findShift(document.getElementById('dashboardShiftFilter').value);
+                dateLabel = `Shift ${shift.cashierName}`;
+                break;
+            default:
+                targetDate = today.toISOString().split('T')[0];
+                dateLabel = 'Hari Ini';
+        }
+        if (filter !== 'shift') document.getElementById('dashboardShiftFilter').value = '';
+
+        const isInRange = shift ? ShiftModule.isInShift(shift) : ({ timestamp }) => (filter === 'week' || filter === 'month') ? new Date(timestamp) >= new Date(targetDate) : timestamp.startsWith(targetDate);
+        ordersToRender = orders.filter(order => !order.voided && isInRange(order));
+        const refundsToRender = RefundModule.getActiveRefunds(refunds).filter(isInRange);
+
+        let totalIncome = 0;
+        let totalTransactions = ordersToRender.length;
+        let totalItemsSold = 0;
+        let totalRefunds = 0;
+        let totalDiscounts = 0;
+
+        ordersToRender.forEach(order => {
+            totalIncome += order.totalAmount;
+            totalDiscounts += order.discountAmount || 0;
+            order.items.forEach(item => {
+                totalItemsSold += item.quantity;
+            });
+        });
+        // Refund dihitung sebagai pengurang pendapatan pada periode refund dilakukan
+        refundsToRender.forEach(refund => {
+            totalRefunds += refund.totalAmount;
+            refund.items.forEach(item => {
+                totalItemsSold -= item.quantity;
+            });
+        });
+        totalIncome -= totalRefunds;
+        const profitSummary = summarizeProfit(ordersToRender, refundsToRender);
+        const activeOrders = orders.filter(order => !order.voided);
+        const receiptsByMethod = PaymentService.summarizeReceipts(activeOrders, isInRange);
+        const outstandingBalance = activeOrders.reduce((sum, order) => sum + PaymentService.getBalanceDue(order), 0);
+
+        const metricsContainer = document.getElementById('dashboardMetrics');
+        metricsContainer.innerHTML = `
+            <div class="metric-card">
+                <i class="fas fa-cash-register"></i>
+                <h3>${totalTransactions}</h3>
+                <p>Total Transaksi (${dateLabel})</p>
+            </div>
+            <div class="metric-card">
+                <i class="fas fa-money-bill-trend-up"></i>
+                <h3>Rp ${totalIncome.toLocaleString('id-ID')}</h3>
+                <p>Total Pendapatan (${dateLabel})</p>
+            </div>
+            <div class="metric-card">
+                <i class="fas fa-box"></i>
+                <h3>${totalItemsSold}</h3>
+                <p>Total Item Terjual (${dateLabel})</p>
+            </div>
+            <div class="metric-card">
+                <i class="fas fa-rotate-left"></i>
+                <h3>-Rp ${totalRefunds.toLocaleString('id-ID')}</h3>
+                <p>Total Refund (${dateLabel})</p>
+            </div>
+            <div class="metric-card">
+                <i class="fas fa-tags"></i>
+                <h3>Rp ${totalDiscounts.toLocaleString('id-ID')}</h3>
+                <p>Total Diskon (${dateLabel})</p>
+            </div>
+            <div class="metric-card">
+                <i class="fas fa-sack-dollar"></i>
+                <h3>Rp ${profitSummary.profit.toLocaleString('id-ID')}</h3>
+                <p>Laba Kotor (${dateLabel})</p>
+            </div>
+            <div class="metric-card">
+                <i class="fas fa-percent"></i>
+                <h3>${formatMargin(profitSummary.profit, profitSummary.revenue)}</h3>
+                <p>Margin Kotor (${dateLabel})</p>
+            </div>
+            <div class="metric-card">
+                <i class="fas fa-wallet"></i>
+                ${Object.entries(receiptsByMethod).map(([method, amount]) => `<div class="receipt-item"><span>${PaymentService.getMethodLabel(method)}</span><span>Rp ${amount.toLocaleString('id-ID')}</span></div>`).join('')}
+                <p>Penerimaan per Metode (${dateLabel})</p>
+            </div>
+            <div class="metric-card">
+                <i class="fas fa-hourglass-half"></i>
+                <h3>Rp ${outstandingBalance.toLocaleString('id-ID')}</h3>
+                <p>Piutang DP Belum Lunas</p>
+            </div>
+        `;
+
+        document.querySelectorAll('.dashboard-filters button').forEach(btn => { 
+            btn.classList.remove('active'); 
+            if (btn.dataset.filter === filter) {
+                btn.classList.add('active');
+            }
+        });
+
+        renderRevenueChart();
+        renderBestSellingChart();
+        renderProfitTable(profitSummary.perItem);
+    }
+
+    function renderRevenueChart() {
+        const ctx = document.getElementById('revenueChart').getContext('2d');
+        if (revenueChartInstance) { revenueChartInstance.destroy(); }
+        const state = AppState.getState(); const { orders, refunds } = state;
+        const labels = []; const data = []; const profitData = []; const today = new Date();
+        for (let i = 6; i >= 0; i--) {
+            const date = new Date(today); date.setDate(date.getDate() - i);
+            const dateStr = date.toISOString().split('T')[0];
+            const dayOrders = orders.filter(order => !order.voided && order.timestamp.startsWith(dateStr));
+            const dayRefunds = RefundModule.getActiveRefunds(refunds).filter(refund => refund.timestamp.startsWith(dateStr));
+            const dayRevenue = dayOrders.reduce((sum, order) => sum + order.totalAmount, 0) - dayRefunds.reduce((sum, refund) => sum + refund.totalAmount, 0);
+            labels.push(date.toLocaleDateString('id-ID', { weekday: 'short', day: 'numeric' }));
+            data.push(dayRevenue);
+            profitData.push(summarizeProfit(dayOrders, dayRefunds).profit);
+        }
         revenueChartInstance = new Chart(ctx, { 
             type: 'line', 
             data: { 
@@ -589,6 +3112,14 @@ const DashboardModule = (function() {
                     borderWidth: 2, 
                     fill: true, 
                     tension: 0.3 
+                }, { 
+                    label: 'Laba Kotor (Rp)', 
+                    data: profitData, 
+                    borderColor: 'rgba(0, 193, 124, 1)', 
+                    backgroundColor: 'rgba(0, 193, 124, 0.2)', 
+                    borderWidth: 2, 
+                    fill: false, 
+                    tension: 0.3 
                 }] 
             }, 
             options: { 
@@ -605,7 +3136,7 @@ const DashboardModule = (function() {
                     } 
                 }, 
                 plugins: { 
-                    legend: { display: false }, 
+                    legend: { display: true }, 
                     tooltip: { 
                         callbacks: { 
                             label: function(context) { 
@@ -623,277 +3154,2275 @@ const DashboardModule = (function() {
         });
     }
 
-    function renderBestSellingChart() {
-        const ctx = document.getElementById('bestSellingChart').getContext('2d');
-        if (bestSellingChartInstance) { bestSellingChartInstance.destroy(); }
-        const state = AppState.getState(); const { orders } = state;
-        const productSales = {};
-        orders.forEach(order => {
+    function renderBestSellingChart() {
+        const ctx = document.getElementById('bestSellingChart').getContext('2d');
+        if (bestSellingChartInstance) { bestSellingChartInstance.destroy(); }
+        const state = AppState.getState(); const { orders, refunds } = state;
+        const productSales = {};
+        orders.filter(order => !order.voided).forEach(order => {
+            order.items.forEach(item => {
+                productSales[item.name] = (productSales[item.name] || 0) + item.quantity;
+            });
+        });
+        RefundModule.getActiveRefunds(refunds).forEach(refund => {
+            refund.items.forEach(item => {
+                productSales[item.name] = (productSales[item.name] || 0) - item.quantity;
+            });
+        });
+        const sortedSales = Object.entries(productSales).sort(([, a], [, b]) => b - a).slice(0, 5);
+        const labels = sortedSales.map(([name]) => name);
+        const data = sortedSales.map(([, quantity]) => quantity);
+        bestSellingChartInstance = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: 'Jumlah Terjual',
+                    data: data,
+                    backgroundColor: 'rgba(0, 193, 124, 0.6)',
+                    borderColor: 'rgba(0, 193, 124, 1)',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        beginAtZero: true,
+                        ticks: {
+                            stepSize: 1
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    title: {
+                        display: true,
+                        text: '5 Produk/Jasa Terlaris',
+                        font: { size: 16 }
+                    }
+                }
+            }
+        });
+    }
+    return { showDashboard };
+})();
+
+/**
+ * History Module
+ */
+const HistoryModule = (function() {
+    let activeSettleOrderNumber = null;
+    function showHistory() { 
+        UIService.showModal('historyModal'); 
+        renderHistoryTable(); 
+        populateMonthFilter(); 
+    }
+    function renderHistoryTable() {
+        const state = AppState.getState(); 
+        const { orders } = state;
+        const tbody = document.getElementById('historyTableBody'); 
+        tbody.innerHTML = '';
+        if (orders.length === 0) { 
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">Tidak ada transaksi.</td></tr>'; 
+            return; 
+        }
+        orders.forEach(order => { tbody.innerHTML += renderHistoryRow(order); });
+    }
+    function getOrderStatus(order) {
+        if (order.voided) return { key: 'void', label: 'VOID' };
+        const refunds = RefundModule.getRefundsForOrder(order.orderNumber);
+        if (refunds.length === 0) return null;
+        return RefundModule.isFullyRefunded(order) ? { key: 'refunded', label: 'Refund Penuh' } : { key: 'partial_refund', label: 'Refund Sebagian' };
+    }
+    function renderHistoryRow(order) {
+        const itemsList = order.items.map(item => `${item.name}(${item.quantity})`).join(', ');
+        const status = getOrderStatus(order);
+        const balanceDue = order.voided ? 0 : PaymentService.getBalanceDue(order);
+        return `
+            <tr class="${order.voided ? 'voided-row' : ''}">
+                <td>${order.orderNumber}${status ? `<br><span class="status-badge status-${status.key}">${status.label}</span>` : ''}${balanceDue > 0 ? `<br><span class="status-badge status-balance_due">Sisa Rp ${balanceDue.toLocaleString('id-ID')}</span>` : ''}</td>
+                <td>${new Date(order.timestamp).toLocaleDateString('id-ID')}</td>
+                <td>Rp ${order.totalAmount.toLocaleString('id-ID')}</td>
+                <td>${itemsList}</td>
+                <td>${PaymentService.formatMethods(order).toUpperCase()}</td>
+                <td>
+                    <button class="btn-edit" onclick="HistoryModule.viewOrderReceipt('${order.orderNumber}')">Lihat</button>
+                    ${balanceDue > 0 ? `<button class="btn-confirm" onclick="HistoryModule.showSettleForm('${order.orderNumber}')">Lunasi</button>` : ''}
+                    ${order.voided ? '' : `
+                    <button class="btn-success" onclick="ReceiptShareModule.showShareForm('${order.orderNumber}')">Kirim</button>
+                    <button class="btn-success" onclick="HistoryModule.showWarranty('${order.orderNumber}')">Garansi</button>
+                    <button class="btn-warning" onclick="RefundModule.showRefundForm('${order.orderNumber}')">Refund</button>
+                    <button class="btn-delete" onclick="HistoryModule.voidOrder('${order.orderNumber}')">Void</button>`}
+                </td>
+            </tr>
+        `;
+    }
+    /**
+     * Voids an order instead of deleting it: the record is kept with an audit trail,
+     * excluded from reports, and product lines not yet returned go back into stock.
+     */
+    function voidOrder(orderNumber) {
+        if (!UserModule.requirePermission('order.void')) return;
+        const state = AppState.getState(); const { orders, products } = state;
+        const order = orders.find(o => o.orderNumber === orderNumber); if (!order || order.voided) return;
+        if (RefundModule.getRefundsForOrder(orderNumber).length > 0) { UIService.showToast('Transaksi yang sudah di-refund tidak bisa di-void.', 'warning'); return; }
+        const reason = prompt(`Alasan void transaksi ${orderNumber}:`);
+        if (reason === null) return;
+        if (!reason.trim()) { UIService.showToast('Alasan void wajib diisi.', 'error'); return; }
+        order.items.forEach((item, index) => {
+            if (item.type !== 'product') return;
+            const product = products.find(p => p.id === item.id);
+            const remaining = item.quantity - RefundModule.getRefundedQuantity(orderNumber, index);
+            if (remaining > 0) StockService.adjustStock(product, remaining, 'void', orderNumber, reason.trim());
+        });
+        order.voided = { timestamp: new Date().toISOString(), reason: reason.trim(), user: UserModule.getCurrentUserSnapshot() };
+        AppState.updateState({ orders, products }); filterHistory();
+        Promise.all([StorageService.saveOrders(orders), StorageService.saveProducts(products)]).then(([ordersSaved, productsSaved]) => {
+            if (ordersSaved && productsSaved) UIService.showToast(`Transaksi ${orderNumber} berhasil di-void`, 'success');
+        });
+    }
+    // ==========================================================
+    // PELUNASAN SISA TAGIHAN (DP)
+    // ==========================================================
+    function showSettleForm(orderNumber) {
+        if (!UserModule.requirePermission('sale')) return;
+        const order = AppState.getState().orders.find(o => o.orderNumber === orderNumber); if (!order) return;
+        const balanceDue = PaymentService.getBalanceDue(order);
+        activeSettleOrderNumber = orderNumber;
+        document.getElementById('settleContent').innerHTML = `
+            <h2>Pelunasan ${order.orderNumber}</h2>
+            <div class="ticket-info">
+                <div class="receipt-item"><span>Pelanggan</span><span>${order.customer ? order.customer.name : '-'}</span></div>
+                <div class="receipt-item"><span>Total Tagihan</span><span>Rp ${order.totalAmount.toLocaleString('id-ID')}</span></div>
+                <div class="receipt-item"><span>Sisa Tagihan</span><span>Rp ${balanceDue.toLocaleString('id-ID')}</span></div>
+            </div>
+            <div class="product-form">
+                <div class="form-group">
+                    <label for="settleMethod">Metode</label>
+                    <select id="settleMethod">${Object.entries(PaymentService.METHOD_LABELS).map(([method, label]) => `<option value="${method}">${label}</option>`).join('')}</select>
+                </div>
+                <div class="form-group"><label for="settleAmount">Nominal</label><input type="number" id="settleAmount" min="1" value="${balanceDue}"></div>
+                <div class="form-group full-width"><label for="settleReference">No. Referensi (non-tunai)</label><input type="text" id="settleReference"></div>
+            </div>
+        `;
+        UIService.showModal('settleModal');
+    }
+    function confirmSettle() {
+        if (!UserModule.requirePermission('sale')) return;
+        const state = AppState.getState(); const { orders } = state;
+        const order = orders.find(o => o.orderNumber === activeSettleOrderNumber); if (!order) return;
+        const balanceDue = PaymentService.getBalanceDue(order);
+        const amount = parseFloat(document.getElementById('settleAmount').value);
+        if (isNaN(amount) || amount <= 0 || amount > balanceDue) { UIService.showToast(`Nominal harus antara 1 dan ${balanceDue.toLocaleString('id-ID')}.`, 'error'); return; }
+        const tender = { method: document.getElementById('settleMethod').value, amount, reference: document.getElementById('settleReference').value.trim(), timestamp: new Date().toISOString(), shiftId: (ShiftModule.getOpenShift() || {}).id || null, user: UserModule.getCurrentUserSnapshot() };
+        order.tenders = [...PaymentService.getTenders(order), tender];
+        order.paymentMethod = new Set(order.tenders.map(t => t.method)).size === 1 ? tender.method : 'split';
+        order.balanceDue = balanceDue - amount;
+        if (order.balanceDue === 0) order.settledAt = tender.timestamp;
+        AppState.updateState({ orders }); UIService.hideModal('settleModal'); filterHistory();
+        StorageService.saveOrders(orders).then(saved => {
+            if (!saved) return;
+            UIService.showToast(order.balanceDue === 0 ? `Transaksi ${order.orderNumber} lunas` : `Pembayaran dicatat, sisa Rp ${order.balanceDue.toLocaleString('id-ID')}`, 'success');
+            viewOrderReceipt(order.orderNumber);
+        });
+    }
+    function populateMonthFilter() {
+        const state = AppState.getState(); const { orders } = state;
+        const monthFilter = document.getElementById('historyMonthFilter'); monthFilter.innerHTML = '<option value="">Semua Bulan</option>';
+        const months = new Set(); orders.forEach(order => { 
+            const date = new Date(order.timestamp); 
+            const monthYear = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`; 
+            months.add(monthYear); 
+        }); 
+        Array.from(months).sort().reverse().forEach(month => { 
+            const [year, monthNum] = month.split('-'); 
+            const monthName = new Date(year, monthNum - 1).toLocaleDateString('id-ID', { month: 'long', year: 'numeric' }); 
+            monthFilter.innerHTML += `<option value="${month}">${monthName}</option>`; 
+        });
+    }
+    /**
+     * Orders matching the history filters (date, month, search), as listed in the table.
+     * Exports use this so they contain exactly what the user sees.
+     */
+    function getFilteredOrders() {
+        const state = AppState.getState(); let { orders } = state;
+        const dateFilter = document.getElementById('historyDateFilter').value;
+        const monthFilter = document.getElementById('historyMonthFilter').value;
+        const searchFilter = document.getElementById('historySearchFilter').value.toLowerCase();
+        orders = orders.filter(order => {
+            const orderDate = new Date(order.timestamp).toISOString().split('T')[0];
+            const orderMonth = orderDate.substring(0, 7);
+            const dateMatch = !dateFilter || orderDate === dateFilter;
+            const monthMatch = !monthFilter || orderMonth === monthFilter;
+            const searchMatch = !searchFilter || order.orderNumber.toLowerCase().includes(searchFilter) || (order.customer && order.customer.name.toLowerCase().includes(searchFilter));
+            return dateMatch && monthMatch && searchMatch;
+        });
+        return orders;
+    }
+    // Penanda filter untuk nama berkas ekspor, mis. "2024-06-01" atau "2024-06_budi"
+    function getFilterLabel() {
+        const parts = [document.getElementById('historyDateFilter').value || document.getElementById('historyMonthFilter').value || 'Semua', document.getElementById('historySearchFilter').value.trim()];
+        return parts.filter(Boolean).join('_').replace(/[^\w-]+/g, '-');
+    }
+    function filterHistory() {
+        const orders = getFilteredOrders();
+        const tbody = document.getElementById('historyTableBody'); tbody.innerHTML = '';
+        if (orders.length === 0) { 
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">Tidak ada transaksi yang cocok dengan filter.</td></tr>'; 
+            return; 
+        }
+        orders.forEach(order => { tbody.innerHTML += renderHistoryRow(order); });
+    }
+    // ==========================================================
+    // TEMPLATE STRUK
+    // ==========================================================
+    // Bagian struk yang bisa disembunyikan lewat editor template
+    const RECEIPT_FIELDS = { date: 'Tanggal', cashier: 'Kasir', customer: 'Pelanggan', warranty: 'Garansi per item', tax: 'Pajak', tenders: 'Rincian pembayaran', refunds: 'Riwayat refund' };
+    /**
+     * Store, tax and cashier details as configured right now. Saved on each order at
+     * checkout so a reprint shows what was in effect at sale time.
+     */
+    function snapshotReceiptDetails(settings) {
+        return { storeName: settings.storeName, header: settings.receiptHeader, address: settings.receiptAddress, phone: settings.receiptPhone, footer: settings.receiptFooter, paymentTerms: settings.invoicePaymentTerms, taxRate: settings.taxRate, serviceName: settings.serviceName };
+    }
+    /**
+     * Everything needed to lay out an order's receipt: its saved snapshot (current
+     * settings for orders from before snapshots) plus the current layout options.
+     */
+    function getReceiptTemplate(order, settings) {
+        const details = order.receiptDetails || snapshotReceiptDetails(settings);
+        const fields = settings.receiptFields || {};
+        const lines = text => String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+        return {
+            ...details,
+            cashierName: order.cashier ? order.cashier.name : details.serviceName,
+            headerLines: lines(details.header), addressLines: lines(details.address), footerLines: lines(details.footer), termsLines: lines(details.paymentTerms),
+            show: Object.keys(RECEIPT_FIELDS).reduce((show, key) => ({ ...show, [key]: fields[key] !== false }), {}),
+            logo: settings.printerLogo || '',
+            paperWidth: settings.printerPaperWidth
+        };
+    }
+    // Line-level discount only (promos and cart discount are listed in the summary)
+    function renderReceiptHTML(order, template) {
+        const { show } = template;
+        const itemsHTML = order.items.map(item => `<div class="receipt-item"><span>${item.name} x${item.quantity}</span><span>Rp ${(item.price * item.quantity).toLocaleString('id-ID')}</span></div>${item.discount ? `<div class="receipt-item receipt-discount"><span>Diskon ${PricingService.formatDiscount(item.discount)}</span><span>-Rp ${PricingService.getLineDiscount(item).toLocaleString('id-ID')}</span></div>` : ''}${show.warranty && item.warrantyUntil ? `<div class="receipt-item receipt-warranty"><span>Garansi s/d ${new Date(item.warrantyUntil).toLocaleDateString('id-ID')}</span></div>` : ''}`).join('');
+        const discounts = order.discounts || {};
+        const orderDiscountsHTML = [...(discounts.promos || []).map(promo => ({ label: promo.name, amount: promo.amount })), ...(discounts.cart ? [{ label: `Diskon ${PricingService.formatDiscount(discounts.cart)}`, amount: discounts.cart.amount }] : [])]
+            .map(d => `<div class="receipt-item receipt-discount"><span>${d.label}</span><span>-Rp ${d.amount.toLocaleString('id-ID')}</span></div>`).join('');
+        const balanceDue = PaymentService.getBalanceDue(order);
+        const tendersHTML = (show.tenders ? PaymentService.getTenders(order).map(tender => `<div class="receipt-item"><span>${PaymentService.formatTender(tender)}${tender.timestamp && tender.timestamp !== order.timestamp ? ` - ${new Date(tender.timestamp).toLocaleDateString('id-ID')}` : ''}</span><span>Rp ${tender.amount.toLocaleString('id-ID')}</span></div>`).join('')
+            + (order.changeAmount ? `<div class="receipt-item"><span>Kembalian</span><span>Rp ${order.changeAmount.toLocaleString('id-ID')}</span></div>` : '') : '')
+            + (balanceDue > 0 ? `<div class="receipt-item" style="font-weight: bold;"><span>SISA TAGIHAN</span><span>Rp ${balanceDue.toLocaleString('id-ID')}</span></div>` : '');
+        const refundsHTML = show.refunds ? RefundModule.getRefundsForOrder(order.orderNumber).map(refund => `<div class="receipt-item receipt-refund"><span>Refund ${refund.refundNumber} (${refund.items.map(i => `${i.name} x${i.quantity}`).join(', ')})</span><span>-Rp ${refund.totalAmount.toLocaleString('id-ID')}</span></div>`).join('') : '';
+        return `
+            <div class="receipt-header">${template.logo ? `<img class="receipt-logo" src="${template.logo}" alt="Logo">` : ''}<h2>${template.storeName}</h2>${[...template.headerLines, ...template.addressLines].map(line => `<p>${line}</p>`).join('')}${template.phone ? `<p>Telp: ${template.phone}</p>` : ''}</div>
+            <div class="receipt-body">
+                <div class="receipt-item"><span>No. Order</span><span>${order.orderNumber}</span></div>${show.date ? `<div class="receipt-item"><span>Tanggal</span><span>${new Date(order.timestamp).toLocaleString('id-ID')}</span></div>` : ''}${show.cashier ? `<div class="receipt-item"><span>Kasir</span><span>${template.cashierName}</span></div>` : ''}${show.customer && order.customer ? `<div class="receipt-item"><span>Pelanggan</span><span>${order.customer.name}${order.customer.phone ? ` (${order.customer.phone})` : ''}</span></div>` : ''}<hr style="margin: 1rem 0;">${itemsHTML}
+                <div class="receipt-summary"><div class="receipt-item"><span>Subtotal</span><span>Rp ${order.subtotal.toLocaleString('id-ID')}</span></div>${orderDiscountsHTML}${show.tax && order.taxAmount > 0 ? `<div class="receipt-item"><span>Pajak (${template.taxRate}%)</span><span>Rp ${order.taxAmount.toLocaleString('id-ID')}</span></div>` : ''}<div class="receipt-item" style="font-weight: bold; font-size: 1.1rem;"><span>TOTAL</span><span>Rp ${order.totalAmount.toLocaleString('id-ID')}</span></div>${tendersHTML}${refundsHTML}</div>${order.voided ? `<div class="receipt-void"><strong>VOID</strong> - ${new Date(order.voided.timestamp).toLocaleString('id-ID')}${order.voided.user ? ` oleh ${order.voided.user.name}` : ''}<br>${order.voided.reason}</div>` : ''}
+            </div>${template.footerLines.length > 0 ? `<div class="receipt-footer"><p>================================</p>${template.footerLines.map(line => `<p>${line}</p>`).join('')}</div>` : ''}
+        `;
+    }
+    function viewOrderReceipt(orderNumber) {
+        const state = AppState.getState(); const { orders, settings } = state;
+        const order = orders.find(o => o.orderNumber === orderNumber);
+        if (!order) return;
+        const template = getReceiptTemplate(order, settings);
+        const receiptContent = document.getElementById('receiptContent');
+        receiptContent.innerHTML = renderReceiptHTML(order, template); receiptContent.dataset.orderNumber = order.orderNumber;
+        receiptContent.className = `receipt-content paper-${template.paperWidth}`;
+        UIService.showModal('receiptModal');
+    }
+    // ==========================================================
+    // GARANSI & KLAIM GARANSI
+    // ==========================================================
+    function getWarrantyStatus(item) {
+        if (!item.warrantyUntil) return { covered: false, label: 'Tanpa garansi' };
+        const until = new Date(item.warrantyUntil);
+        if (until >= new Date()) return { covered: true, label: `Aktif s/d ${until.toLocaleDateString('id-ID')}` };
+        return { covered: false, label: `Habis (${until.toLocaleDateString('id-ID')})` };
+    }
+    function showWarranty(orderNumber) {
+        const order = AppState.getState().orders.find(o => o.orderNumber === orderNumber); if (!order) return;
+        const claims = order.warrantyClaims || [];
+        const linesHTML = order.items.map((item, index) => {
+            const status = getWarrantyStatus(item);
+            return `<tr><td>${item.name} x${item.quantity}</td><td>${item.warrantyDays ? `${item.warrantyDays} hari` : '-'}</td><td><span class="status-badge ${status.covered ? 'status-done' : ''}">${status.label}</span></td><td>${status.covered ? `<button class="btn-warning" onclick="HistoryModule.showWarrantyClaimForm('${order.orderNumber}', ${index})">Klaim</button>` : '-'}</td></tr>`;
+        }).join('');
+        const claimsHTML = claims.length === 0 ? '<p style="color: #777;">Belum ada klaim garansi.</p>' : `<ul class="ticket-status-history">${claims.map(claim => `<li>${new Date(claim.timestamp).toLocaleString('id-ID')} - ${claim.itemName}: ${claim.type === 'replacement' ? `Ganti ${claim.replacementName} x${claim.quantity}` : 'Servis ulang (tanpa biaya)'}${claim.notes ? ` - ${claim.notes}` : ''}</li>`).join('')}</ul>`;
+        document.getElementById('warrantyContent').innerHTML = `
+            <h2>Garansi ${order.orderNumber}</h2>
+            <table class="history-table"><thead><tr><th>Item</th><th>Masa Garansi</th><th>Status</th><th>Aksi</th></tr></thead><tbody>${linesHTML}</tbody></table>
+            <div id="warrantyClaimFormContainer"></div>
+            <h3>Riwayat Klaim</h3>
+            ${claimsHTML}
+        `;
+        UIService.showModal('warrantyModal');
+    }
+    function showWarrantyClaimForm(orderNumber, lineIndex) {
+        const state = AppState.getState(); const { orders, products } = state;
+        const order = orders.find(o => o.orderNumber === orderNumber); if (!order) return;
+        const item = order.items[lineIndex];
+        const spareparts = products.filter(p => p.type === 'product');
+        document.getElementById('warrantyClaimFormContainer').innerHTML = `
+            <h3>Klaim Garansi: ${item.name}</h3>
+            <div class="product-form">
+                <div class="form-group">
+                    <label for="warrantyClaimType">Jenis Klaim</label>
+                    <select id="warrantyClaimType" onchange="document.getElementById('warrantyReplacementGroup').style.display = this.value === 'replacement' ? 'grid' : 'none'">
+                        <option value="reservice">Servis Ulang (Tanpa Biaya)</option>
+                        <option value="replacement" ${item.type === 'product' ? 'selected' : ''}>Ganti Sparepart</option>
+                    </select>
+                </div>
+                <div class="form-group"><label for="warrantyClaimNotes">Catatan</label><input type="text" id="warrantyClaimNotes" placeholder="Contoh: LCD bergaris"></div>
+                <div class="product-form full-width" id="warrantyReplacementGroup" style="display: ${item.type === 'product' ? 'grid' : 'none'};">
+                    <div class="form-group">
+                        <label for="warrantyReplacementProduct">Sparepart Pengganti</label>
+                        <select id="warrantyReplacementProduct">${spareparts.map(p => `<option value="${p.id}" ${p.id === item.id ? 'selected' : ''}>${p.name} (Stok: ${p.stock})</option>`).join('')}</select>
+                    </div>
+                    <div class="form-group"><label for="warrantyReplacementQty">Jumlah</label><input type="number" id="warrantyReplacementQty" min="1" value="${item.type === 'product' ? item.quantity : 1}"></div>
+                </div>
+                <div class="form-group full-width"><button type="button" onclick="HistoryModule.submitWarrantyClaim('${order.orderNumber}', ${lineIndex})">Simpan Klaim</button></div>
+            </div>
+        `;
+    }
+    function submitWarrantyClaim(orderNumber, lineIndex) {
+        const state = AppState.getState(); const { orders, products } = state;
+        const order = orders.find(o => o.orderNumber === orderNumber); if (!order) return;
+        const item = order.items[lineIndex];
+        if (!getWarrantyStatus(item).covered) { UIService.showToast('Masa garansi item ini sudah habis.', 'error'); return; }
+        const claim = { id: Date.now(), timestamp: new Date().toISOString(), lineIndex, itemName: item.name, type: document.getElementById('warrantyClaimType').value, notes: document.getElementById('warrantyClaimNotes').value.trim() };
+        if (claim.type === 'replacement') {
+            // Penggantian sparepart mengurangi stok, jadi butuh izin penyesuaian stok
+            if (!UserModule.requirePermission('stock.adjust')) return;
+            const product = products.find(p => p.id === parseInt(document.getElementById('warrantyReplacementProduct').value));
+            const quantity = parseInt(document.getElementById('warrantyReplacementQty').value);
+            if (!product || isNaN(quantity) || quantity <= 0) { UIService.showToast('Sparepart atau jumlah tidak valid.', 'error'); return; }
+            if (ProductService.getAvailableStock(product) < quantity) { UIService.showToast('Stok sparepart pengganti tidak mencukupi!', 'warning'); return; }
+            StockService.adjustStock(product, -quantity, 'warranty', orderNumber, item.name);
+            Object.assign(claim, { replacementId: product.id, replacementName: product.name, quantity });
+            AppState.updateState({ products });
+        }
+        order.warrantyClaims = [...(order.warrantyClaims || []), claim];
+        AppState.updateState({ orders }); showWarranty(orderNumber);
+        Promise.all([StorageService.saveOrders(orders), claim.type === 'replacement' ? StorageService.saveProducts(products) : true]).then(([ordersSaved, productsSaved]) => {
+            if (ordersSaved && productsSaved) UIService.showToast('Klaim garansi berhasil dicatat', 'success');
+        });
+    }
+    // ==========================================================
+    // EKSPOR LAPORAN (CSV / XLSX)
+    // ==========================================================
+    const ITEM_TYPE_LABELS = { product: 'Produk', service: 'Jasa' };
+    function getExportStatus(order) { return order.voided ? 'VOID' : (PaymentService.getBalanceDue(order) > 0 ? 'DP' : 'LUNAS'); }
+    function getExportTaxRate(order, settings) { return order.taxAmount > 0 ? getReceiptTemplate(order, settings).taxRate : 0; }
+    function formatExportDate(timestamp) { const date = new Date(timestamp); return [date.toLocaleDateString('id-ID'), date.toLocaleTimeString('id-ID')]; }
+    function findOrderOf(refund) { return AppState.getState().orders.find(o => o.orderNumber === refund.orderNumber) || {}; }
+    function customerColumns(customer) { return [customer ? customer.name : '', customer ? customer.phone || '' : '']; }
+
+    /**
+     * One row per order (and per refund). Voided orders keep their breakdown but count
+     * 0 in Total and Sisa Tagihan so column sums match the sales figures.
+     */
+    function buildOrderRows(orderList, refundList) {
+        const { settings } = AppState.getState();
+        const rows = [['No. Order', 'Tanggal', 'Jam', 'Status', 'Kasir', 'Pelanggan', 'No. HP Pelanggan', 'Jumlah Item', 'Subtotal', 'Diskon Item', 'Diskon Order', 'DPP', 'Tarif Pajak (%)', 'Pajak', 'Total', 'Dibayar', 'Kembalian', 'Sisa Tagihan', 'Metode Pembayaran', 'Rincian Pembayaran', 'Promo / Voucher', 'Ref. Order']];
+        orderList.forEach(order => {
+            const template = getReceiptTemplate(order, settings);
+            const lineDiscount = order.items.reduce((sum, item) => sum + PricingService.getLineDiscount(item), 0);
+            const discountTotal = order.discountAmount || lineDiscount;
+            const tenders = PaymentService.getTenders(order);
+            rows.push([
+                order.orderNumber, ...formatExportDate(order.timestamp), getExportStatus(order), template.cashierName, ...customerColumns(order.customer),
+                order.items.reduce((sum, item) => sum + item.quantity, 0), order.subtotal, lineDiscount, discountTotal - lineDiscount, order.subtotal - discountTotal,
+                getExportTaxRate(order, settings), order.taxAmount, order.voided ? 0 : order.totalAmount,
+                tenders.reduce((sum, tender) => sum + tender.amount, 0), order.changeAmount || 0, order.voided ? 0 : PaymentService.getBalanceDue(order),
+                PaymentService.formatMethods(order), tenders.map(tender => `${PaymentService.formatTender(tender)} ${tender.amount}`).join('; '),
+                ((order.discounts || {}).promos || []).map(promo => promo.name).join('; '), ''
+            ]);
+        });
+        refundList.forEach(refund => {
+            const order = findOrderOf(refund);
+            rows.push([
+                refund.refundNumber, ...formatExportDate(refund.timestamp), 'REFUND', refund.user ? refund.user.name : '', ...customerColumns(order.customer),
+                -refund.items.reduce((sum, item) => sum + item.quantity, 0), -(refund.subtotal || refund.totalAmount), 0, 0, -(refund.subtotal || refund.totalAmount),
+                order.taxAmount > 0 ? getExportTaxRate(order, settings) : 0, -(refund.taxAmount || 0), -refund.totalAmount,
+                -refund.totalAmount, 0, 0, PaymentService.getMethodLabel(refund.method), '', '', refund.orderNumber
+            ]);
+        });
+        return rows;
+    }
+
+    /**
+     * One row per item line. Order discounts and tax are spread over the lines (as at
+     * checkout) so Total Baris adds up to the order total without repeating it.
+     */
+    function buildLineRows(orderList, refundList) {
+        const { settings } = AppState.getState();
+        const rows = [['No. Order', 'Tanggal', 'Jam', 'Status', 'Kasir', 'Pelanggan', 'No. HP Pelanggan', 'SKU', 'Item', 'Jenis', 'Jumlah', 'Harga Satuan', 'Bruto', 'Diskon Item', 'Diskon Order', 'Neto', 'Tarif Pajak (%)', 'Pajak', 'Total Baris', 'Metode Pembayaran', 'Ref. Order']];
+        orderList.forEach(order => {
+            const template = getReceiptTemplate(order, settings);
+            const nets = order.items.map(item => PricingService.getLineNet(item));
+            const netTotal = nets.reduce((sum, net) => sum + net, 0);
+            let taxLeft = order.taxAmount;
+            order.items.forEach((item, index) => {
+                const gross = item.price * item.quantity; const lineDiscount = PricingService.getLineDiscount(item);
+                const tax = index === order.items.length - 1 ? taxLeft : (netTotal > 0 ? Math.round(order.taxAmount * nets[index] / netTotal) : 0);
+                taxLeft -= tax;
+                rows.push([
+                    order.orderNumber, ...formatExportDate(order.timestamp), getExportStatus(order), template.cashierName, ...customerColumns(order.customer),
+                    item.sku || '', item.name, ITEM_TYPE_LABELS[item.type] || item.type || '', item.quantity, item.price, gross, lineDiscount, Math.max(0, gross - lineDiscount - nets[index]), nets[index],
+                    getExportTaxRate(order, settings), tax, order.voided ? 0 : nets[index] + tax, PaymentService.formatMethods(order), ''
+                ]);
+            });
+        });
+        refundList.forEach(refund => {
+            const order = findOrderOf(refund); const subtotal = refund.subtotal || refund.items.reduce((sum, item) => sum + (item.amount || item.price * item.quantity), 0);
+            refund.items.forEach(item => {
+                const amount = item.amount !== undefined ? item.amount : item.price * item.quantity;
+                const tax = subtotal > 0 ? (refund.taxAmount || 0) * amount / subtotal : 0;
+                rows.push([
+                    refund.refundNumber, ...formatExportDate(refund.timestamp), 'REFUND', refund.user ? refund.user.name : '', ...customerColumns(order.customer),
+                    item.sku || '', item.name, ITEM_TYPE_LABELS[item.type] || item.type || '', -item.quantity, item.price, -item.price * item.quantity, 0, -(item.price * item.quantity - amount), -amount,
+                    order.taxAmount > 0 ? getExportTaxRate(order, settings) : 0, -tax, -(amount + tax), PaymentService.getMethodLabel(refund.method), refund.orderNumber
+                ]);
+            });
+        });
+        return rows;
+    }
+
+    function exportReport(orderList, refundList, baseName) {
+        if (orderList.length === 0 && refundList.length === 0) { UIService.showToast('Tidak ada transaksi untuk diekspor.', 'warning'); return; }
+        const layout = document.getElementById('historyExportLayout').value; const format = document.getElementById('historyExportFormat').value;
+        const activeRefunds = RefundModule.getActiveRefunds(refundList);
+        const rows = layout === 'line' ? buildLineRows(orderList, activeRefunds) : buildOrderRows(orderList, activeRefunds);
+        ExportService.exportRows(rows, `${baseName}_${layout === 'line' ? 'Per_Item' : 'Per_Transaksi'}`, format, 'Penjualan');
+        UIService.showToast('Laporan berhasil diunduh', 'success');
+    }
+    function exportDaily() {
+        const today = new Date().toISOString().split('T')[0]; const { orders, refunds } = AppState.getState();
+        exportReport(orders.filter(order => order.timestamp.startsWith(today)), refunds.filter(refund => refund.timestamp.startsWith(today)), `Laporan_Penjualan_${today}`);
+    }
+    // Refund ikut diekspor bila transaksi asalnya termasuk hasil filter
+    function exportFilteredHistory() {
+        const orders = getFilteredOrders();
+        exportReport(orders, orders.flatMap(order => RefundModule.getRefundsForOrder(order.orderNumber)), `Laporan_Penjualan_${getFilterLabel()}`);
+    }
+    return { RECEIPT_FIELDS, snapshotReceiptDetails, getReceiptTemplate, renderReceiptHTML, getFilteredOrders, getFilterLabel, showHistory, filterHistory, viewOrderReceipt, voidOrder, showSettleForm, confirmSettle, showWarranty, showWarrantyClaimForm, submitWarrantyClaim, exportDaily, exportFilteredHistory };
+})();
+
+/**
+ * Receipt Printer Module - Renders orders as ESC/POS byte streams for 58/80 mm thermal
+ * printers and sends them over WebUSB, Web Serial or as a .bin file
+ */
+const ReceiptPrinterModule = (function() {
+    const ESC = 0x1B, GS = 0x1D, LF = 0x0A;
+    // Lebar kertas: jumlah karakter font A per baris dan lebar titik untuk logo raster
+    const PAPER = { 58: { columns: 32, dots: 384 }, 80: { columns: 48, dots: 576 } };
+    const LOGO_MAX_HEIGHT = 240;
+    const QR_MODULE_SIZE = 6;
+    const USB_CHUNK_SIZE = 4096;
+    // Nomor tabel untuk ESC t n beserta 128 karakter atasnya (0x80-0xFF); � = posisi kosong
+    const CODEPAGES = {
+        cp437: { table: 0, chars: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ ' },
+        cp858: { table: 19, chars: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´­±‗¾¶§÷¸°¨·¹³²■ ' },
+        wpc1252: { table: 16, chars: '€�‚ƒ„…†‡ˆ‰Š‹Œ�Ž��‘’“”•–—˜™š›œ�žŸ' + Array.from({ length: 96 }, (_, index) => String.fromCharCode(0xA0 + index)).join('') }
+    };
+    const encoders = {};
+    // Perangkat yang sudah diizinkan tetap dipakai selama sesi, agar tidak memilih ulang tiap cetak
+    let usbDevice = null;
+    let serialPort = null;
+    // Laci hanya dibuka pada cetakan pertama sebuah transaksi tunai, bukan saat cetak ulang
+    const drawerOpened = new Set();
+
+    function getConfig() {
+        const { settings } = AppState.getState();
+        return {
+            paper: PAPER[settings.printerPaperWidth] || PAPER[58],
+            codepage: CODEPAGES[settings.printerCodepage] ? settings.printerCodepage : 'cp858',
+            transport: settings.printerTransport || 'file',
+            baudRate: settings.printerBaudRate || 9600,
+            logo: settings.printerLogo || '',
+            qr: settings.printerQr !== false,
+            drawerKick: !!settings.printerDrawerKick
+        };
+    }
+
+    // ==========================================================
+    // ENCODING & TATA LETAK TEKS
+    // ==========================================================
+    /**
+     * Encodes text in the printer's single-byte codepage. Characters missing from the
+     * table fall back to their unaccented letter, or '?'.
+     */
+    function encodeText(text, codepage) {
+        if (!encoders[codepage]) {
+            encoders[codepage] = new Map();
+            Array.from(CODEPAGES[codepage].chars).forEach((char, index) => { if (char !== '�') encoders[codepage].set(char, 0x80 + index); });
+        }
+        const map = encoders[codepage]; const bytes = [];
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            if (code >= 0x20 && code < 0x7F) bytes.push(code);
+            else if (code < 0x20) bytes.push(0x20);
+            else if (map.has(char)) bytes.push(map.get(char));
+            else { const base = char.normalize('NFD').charCodeAt(0); bytes.push(base >= 0x20 && base < 0x7F ? base : 0x3F); }
+        }
+        return bytes;
+    }
+
+    // Spasi di awal teks dipertahankan sebagai indentasi baris pertama
+    function wrapText(text, width) {
+        text = String(text == null ? '' : text);
+        const indent = text.match(/^ */)[0]; const lines = []; let current = indent;
+        text.replace(/\s+/g, ' ').trim().split(' ').forEach(word => {
+            while (word.length > width) { if (current.trim()) { lines.push(current); current = ''; } lines.push(word.slice(0, width)); word = word.slice(width); }
+            if (!current.trim()) current += word;
+            else if (current.length + 1 + word.length <= width) current += ' ' + word;
+            else { lines.push(current); current = word; }
+        });
+        if (current || lines.length === 0) lines.push(current);
+        return lines;
+    }
+
+    // Teks kiri dibungkus, nilai kanan rata kanan pada baris terakhir
+    function layoutPair(left, right, columns) {
+        right = String(right);
+        const lines = wrapText(left, Math.max(columns - right.length - 1, Math.floor(columns / 2)));
+        if (lines[lines.length - 1].length + 1 + right.length > columns) lines.push('');
+        const last = lines[lines.length - 1];
+        lines[lines.length - 1] = last + ' '.repeat(Math.max(columns - last.length - right.length, 1)) + right;
+        return lines;
+    }
+
+    const money = PricingService.formatMoney;
+
+    function createBuilder(codepage, columns) {
+        const bytes = [];
+        const builder = {
+            command(...data) { bytes.push(...data); return builder; },
+            bytes(data) { for (let i = 0; i < data.length; i++) bytes.push(data[i]); return builder; },
+            align(position) { return builder.command(ESC, 0x61, { left: 0, center: 1, right: 2 }[position]); },
+            bold(on) { return builder.command(ESC, 0x45, on ? 1 : 0); },
+            size(double) { return builder.command(GS, 0x21, double ? 0x11 : 0x00); },
+            line(text = '') { builder.bytes(encodeText(text, codepage)); bytes.push(LF); return builder; },
+            wrapped(text, width = columns) { wrapText(text, width).forEach(line => builder.line(line)); return builder; },
+            pair(left, right) { layoutPair(left, right, columns).forEach(line => builder.line(line)); return builder; },
+            separator(char = '-') { return builder.line(char.repeat(columns)); },
+            feed(lines) { return builder.command(ESC, 0x64, lines); },
+            build() { return Uint8Array.from(bytes); }
+        };
+        return builder.command(ESC, 0x40).command(ESC, 0x74, CODEPAGES[codepage].table);
+    }
+
+    // ==========================================================
+    // PERINTAH GAMBAR, QR, POTONG & LACI
+    // ==========================================================
+    /**
+     * Converts an image data URL to a GS v 0 raster command, scaled to fit the paper.
+     * Transparent pixels count as white. Resolves to null when the image cannot load.
+     */
+    function rasterizeLogo(dataUrl, maxDots) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => {
+                const scale = Math.min(1, maxDots / image.naturalWidth, LOGO_MAX_HEIGHT / image.naturalHeight);
+                const width = Math.max(Math.round(image.naturalWidth * scale), 1); const height = Math.max(Math.round(image.naturalHeight * scale), 1);
+                const bytesPerRow = Math.ceil(width / 8);
+                const canvas = document.createElement('canvas'); canvas.width = bytesPerRow * 8; canvas.height = height;
+                const context = canvas.getContext('2d');
+                context.fillStyle = '#ffffff'; context.fillRect(0, 0, canvas.width, height); context.drawImage(image, 0, 0, width, height);
+                const pixels = context.getImageData(0, 0, canvas.width, height).data;
+                const raster = new Uint8Array(bytesPerRow * height);
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < canvas.width; x++) {
+                        const i = (y * canvas.width + x) * 4;
+                        if (pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114 < 128) raster[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+                    }
+                }
+                resolve([GS, 0x76, 0x30, 0x00, bytesPerRow & 0xFF, bytesPerRow >> 8, height & 0xFF, height >> 8, ...raster]);
+            };
+            image.onerror = () => resolve(null);
+            image.src = dataUrl;
+        });
+    }
+
+    // QR model 2, koreksi galat M (GS ( k)
+    function qrCommand(data, codepage) {
+        const payload = encodeText(data, codepage); const length = payload.length + 3;
+        return [
+            GS, 0x28, 0x6B, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00,
+            GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, QR_MODULE_SIZE,
+            GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, 0x31,
+            GS, 0x28, 0x6B, length & 0xFF, length >> 8, 0x31, 0x50, 0x30, ...payload,
+            GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x51, 0x30
+        ];
+    }
+
+    const CUT = [GS, 0x56, 0x42, 0x03];
+    // Pulsa ke pin 2 konektor laci: nyala 50 ms, jeda 500 ms
+    const DRAWER_KICK = [ESC, 0x70, 0x00, 0x19, 0xFA];
+
+    // ==========================================================
+    // STRUK
+    // ==========================================================
+    /**
+     * Renders an order as ESC/POS bytes with the same content as the on-screen receipt:
+     * header, items, discounts, tax, tenders, change, refunds, void note and footer,
+     * plus the optional logo and order-number QR code. Resolves to a Uint8Array.
+     */
+    function buildReceipt(order, options = {}) {
+        const config = getConfig();
+        const template = HistoryModule.getReceiptTemplate(order, AppState.getState().settings); const { show } = template;
+        return (template.logo ? rasterizeLogo(template.logo, config.paper.dots) : Promise.resolve(null)).then(logo => {
+            const b = createBuilder(config.codepage, config.paper.columns);
+            b.align('center');
+            if (logo) b.bytes(logo);
+            b.bold(true).size(true).wrapped(template.storeName, config.paper.columns / 2).size(false).bold(false);
+            [...template.headerLines, ...template.addressLines].forEach(line => b.wrapped(line));
+            if (template.phone) b.line(`Telp: ${template.phone}`);
+            b.align('left').separator().pair('No. Order', order.orderNumber);
+            if (show.date) b.pair('Tanggal', new Date(order.timestamp).toLocaleString('id-ID'));
+            if (show.cashier) b.pair('Kasir', template.cashierName);
+            if (show.customer && order.customer) b.pair('Pelanggan', `${order.customer.name}${order.customer.phone ? ` (${order.customer.phone})` : ''}`);
+            b.separator();
             order.items.forEach(item => {
-                productSales[item.name] = (productSales[item.name] || 0) + item.quantity;
+                b.pair(`${item.name} x${item.quantity}`, money(item.price * item.quantity));
+                if (item.discount) b.pair(`  Diskon ${PricingService.formatDiscount(item.discount)}`, money(-PricingService.getLineDiscount(item)));
+                if (show.warranty && item.warrantyUntil) b.line(`  Garansi s/d ${new Date(item.warrantyUntil).toLocaleDateString('id-ID')}`);
             });
+            const discounts = order.discounts || {};
+            b.separator().pair('Subtotal', money(order.subtotal));
+            (discounts.promos || []).forEach(promo => b.pair(promo.name, money(-promo.amount)));
+            if (discounts.cart) b.pair(`Diskon ${PricingService.formatDiscount(discounts.cart)}`, money(-discounts.cart.amount));
+            if (show.tax && order.taxAmount > 0) b.pair(`Pajak (${template.taxRate}%)`, money(order.taxAmount));
+            b.bold(true).pair('TOTAL', money(order.totalAmount)).bold(false);
+            if (show.tenders) {
+                PaymentService.getTenders(order).forEach(tender => b.pair(`${PaymentService.formatTender(tender)}${tender.timestamp && tender.timestamp !== order.timestamp ? ` - ${new Date(tender.timestamp).toLocaleDateString('id-ID')}` : ''}`, money(tender.amount)));
+                if (order.changeAmount) b.pair('Kembalian', money(order.changeAmount));
+            }
+            const balanceDue = PaymentService.getBalanceDue(order);
+            if (balanceDue > 0) b.bold(true).pair('SISA TAGIHAN', money(balanceDue)).bold(false);
+            if (show.refunds) RefundModule.getRefundsForOrder(order.orderNumber).forEach(refund => b.pair(`Refund ${refund.refundNumber} (${refund.items.map(i => `${i.name} x${i.quantity}`).join(', ')})`, money(-refund.totalAmount)));
+            if (order.voided) {
+                b.separator().align('center').bold(true).line('*** VOID ***').bold(false)
+                    .wrapped(`${new Date(order.voided.timestamp).toLocaleString('id-ID')}${order.voided.user ? ` oleh ${order.voided.user.name}` : ''}`).wrapped(order.voided.reason).align('left');
+            }
+            b.separator('=').align('center');
+            template.footerLines.forEach(line => b.wrapped(line));
+            if (config.qr) b.feed(1).bytes(qrCommand(order.orderNumber, config.codepage)).line(order.orderNumber);
+            b.align('left').bytes(CUT);
+            if (options.openDrawer) b.bytes(DRAWER_KICK);
+            return b.build();
         });
-        const sortedSales = Object.entries(productSales).sort(([, a], [, b]) => b - a).slice(0, 5);
-        const labels = sortedSales.map(([name]) => name);
-        const data = sortedSales.map(([, quantity]) => quantity);
-        bestSellingChartInstance = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: labels,
-                datasets: [{
-                    label: 'Jumlah Terjual',
-                    data: data,
-                    backgroundColor: 'rgba(0, 193, 124, 0.6)',
-                    borderColor: 'rgba(0, 193, 124, 1)',
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                indexAxis: 'y',
-                responsive: true,
-                maintainAspectRatio: false,
-                scales: {
-                    x: {
-                        beginAtZero: true,
-                        ticks: {
-                            stepSize: 1
-                        }
-                    }
-                },
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    title: {
-                        display: true,
-                        text: '5 Produk/Jasa Terlaris',
-                        font: { size: 16 }
+    }
+
+    function buildTestPage() {
+        const { settings } = AppState.getState(); const config = getConfig();
+        return (config.logo ? rasterizeLogo(config.logo, config.paper.dots) : Promise.resolve(null)).then(logo => {
+            const b = createBuilder(config.codepage, config.paper.columns);
+            b.align('center');
+            if (logo) b.bytes(logo);
+            b.bold(true).line(settings.storeName).bold(false).line('TES PRINTER').align('left').separator()
+                .pair('Kertas', `${config.paper.columns === PAPER[80].columns ? 80 : 58} mm`)
+                .pair('Karakter/baris', config.paper.columns)
+                .pair('Codepage', config.codepage.toUpperCase())
+                .line('Aksen: Çé ñ ü £ €')
+                .line('1234567890'.repeat(Math.ceil(config.paper.columns / 10)).slice(0, config.paper.columns))
+                .separator();
+            if (config.qr) b.align('center').bytes(qrCommand('TES PRINTER', config.codepage)).line().align('left');
+            return b.bytes(CUT).build();
+        });
+    }
+
+    // ==========================================================
+    // PENGIRIMAN KE PRINTER
+    // ==========================================================
+    // Kirim ke endpoint bulk OUT pertama milik printer USB
+    function sendToUsb(bytes) {
+        if (!navigator.usb) return Promise.reject(new Error('Browser ini tidak mendukung WebUSB'));
+        const pick = usbDevice ? Promise.resolve(usbDevice) : navigator.usb.getDevices().then(devices => devices[0] || navigator.usb.requestDevice({ filters: [] }));
+        return pick.then(device => {
+            usbDevice = device;
+            return (device.opened ? Promise.resolve() : device.open())
+                .then(() => device.configuration ? null : device.selectConfiguration(1))
+                .then(() => {
+                    const usbInterface = device.configuration.interfaces.find(i => i.alternate.endpoints.some(e => e.direction === 'out' && e.type === 'bulk'));
+                    if (!usbInterface) throw new Error('Perangkat USB ini tidak memiliki jalur cetak');
+                    const endpoint = usbInterface.alternate.endpoints.find(e => e.direction === 'out' && e.type === 'bulk');
+                    return (usbInterface.claimed ? Promise.resolve() : device.claimInterface(usbInterface.interfaceNumber)).then(() => endpoint.endpointNumber);
+                })
+                .then(endpointNumber => {
+                    let chain = Promise.resolve();
+                    for (let offset = 0; offset < bytes.length; offset += USB_CHUNK_SIZE) {
+                        const chunk = bytes.slice(offset, offset + USB_CHUNK_SIZE);
+                        chain = chain.then(() => device.transferOut(endpointNumber, chunk));
                     }
-                }
-            }
+                    return chain;
+                });
+        }).catch(error => { usbDevice = null; throw error; });
+    }
+
+    // Printer serial atau Bluetooth (SPP) lewat Web Serial
+    function sendToSerial(bytes, baudRate) {
+        if (!navigator.serial) return Promise.reject(new Error('Browser ini tidak mendukung Web Serial'));
+        const pick = serialPort ? Promise.resolve(serialPort) : navigator.serial.getPorts().then(ports => ports[0] || navigator.serial.requestPort());
+        return pick.then(port => {
+            serialPort = port;
+            return (port.writable ? Promise.resolve() : port.open({ baudRate })).then(() => {
+                const writer = port.writable.getWriter();
+                return writer.write(bytes).then(() => writer.releaseLock(), error => { writer.releaseLock(); throw error; });
+            });
+        }).catch(error => { serialPort = null; throw error; });
+    }
+
+    function downloadBinary(bytes, filename) {
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+        const link = document.createElement('a'); link.href = url; link.download = filename;
+        document.body.appendChild(link); link.click(); document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function send(bytes, filename) {
+        const config = getConfig();
+        if (config.transport === 'usb') return sendToUsb(bytes).then(() => 'printed');
+        if (config.transport === 'serial') return sendToSerial(bytes, config.baudRate).then(() => 'printed');
+        downloadBinary(bytes, filename);
+        return Promise.resolve('saved');
+    }
+
+    function reportSendError(error) {
+        // NotFoundError = dialog pemilihan perangkat ditutup tanpa memilih
+        UIService.showToast(error && error.name === 'NotFoundError' ? 'Printer belum dipilih.' : `Gagal mengirim ke printer: ${error && error.message ? error.message : error}`, 'error');
+    }
+
+    /**
+     * Closes the open USB/serial connection so the next print picks up changed printer
+     * settings (baud rate, transport) or a different device.
+     */
+    function resetConnection() {
+        const device = usbDevice; const port = serialPort;
+        usbDevice = null; serialPort = null;
+        if (device && device.opened) device.close().catch(() => {});
+        if (port && port.writable) port.close().catch(() => {});
+    }
+
+    // ==========================================================
+    // AKSI UI
+    // ==========================================================
+    function printReceipt(orderNumber) {
+        orderNumber = orderNumber || document.getElementById('receiptContent').dataset.orderNumber;
+        const order = AppState.getState().orders.find(o => o.orderNumber === orderNumber);
+        if (!order) { UIService.showToast('Transaksi tidak ditemukan.', 'error'); return Promise.resolve(false); }
+        const openDrawer = getConfig().drawerKick && !order.voided && !drawerOpened.has(order.orderNumber) && PaymentService.getTenders(order).some(tender => tender.method === 'cash');
+        UIService.showLoading();
+        return buildReceipt(order, { openDrawer })
+            .then(bytes => send(bytes, `Struk_${order.orderNumber}.bin`))
+            .then(result => {
+                if (openDrawer) drawerOpened.add(order.orderNumber);
+                UIService.showToast(result === 'saved' ? 'File struk thermal (.bin) berhasil disimpan' : 'Struk dikirim ke printer', 'success');
+                return true;
+            })
+            .catch(error => { reportSendError(error); return false; })
+            .finally(() => UIService.hideLoading());
+    }
+
+    function printTest() {
+        UIService.showLoading();
+        return buildTestPage()
+            .then(bytes => send(bytes, 'Tes_Printer.bin'))
+            .then(result => { UIService.showToast(result === 'saved' ? 'File tes printer (.bin) berhasil disimpan' : 'Halaman tes dikirim ke printer', 'success'); })
+            .catch(reportSendError)
+            .finally(() => UIService.hideLoading());
+    }
+
+    function openDrawer() {
+        if (!UserModule.requirePermission('shift.manage')) return Promise.resolve();
+        return send(Uint8Array.from([ESC, 0x40, ...DRAWER_KICK]), 'Buka_Laci.bin')
+            .then(() => UIService.showToast('Perintah buka laci dikirim', 'success'))
+            .catch(reportSendError);
+    }
+
+    return { buildReceipt, printReceipt, printTest, openDrawer, resetConnection };
+})();
+
+/**
+ * PDF Module - Builds text-based (vector) PDFs with jsPDF: narrow receipts matching the
+ * thermal paper width, A4 invoices, and a batch of invoices for the filtered history
+ */
+const PdfModule = (function() {
+    const A4 = { width: 210, height: 297, margin: 15 };
+    const RECEIPT_MARGIN = 3;
+    // Tinggi halaman sementara saat mengukur panjang struk sebelum dibuat sesuai ukuran
+    const MEASURE_HEIGHT = 2000;
+    const PT_TO_MM = 0.3528;
+
+    function getJsPDF() {
+        if (typeof window.jspdf === 'undefined') { UIService.showToast('Library PDF tidak dimuat. Tidak dapat membuat PDF.', 'error'); return null; }
+        return window.jspdf.jsPDF;
+    }
+    const money = PricingService.formatMoney;
+    function lineHeight(doc) { return doc.getFontSize() * PT_TO_MM * 1.35; }
+    function getStatus(order) { return order.voided ? 'VOID' : (PaymentService.getBalanceDue(order) > 0 ? 'BELUM LUNAS (DP)' : 'LUNAS'); }
+    function findOrder(orderNumber) {
+        orderNumber = orderNumber || document.getElementById('receiptContent').dataset.orderNumber;
+        return AppState.getState().orders.find(o => o.orderNumber === orderNumber);
+    }
+
+    // Logo dipasang dengan rasio asli; gambar yang tidak terbaca dilewati
+    function drawLogo(doc, logo, x, y, maxWidth, maxHeight, align) {
+        try {
+            const { width, height } = doc.getImageProperties(logo);
+            const scale = Math.min(maxWidth / width, maxHeight / height);
+            doc.addImage(logo, align === 'center' ? x - width * scale / 2 : x, y, width * scale, height * scale);
+            return height * scale;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // ==========================================================
+    // STRUK (LEBAR KERTAS THERMAL)
+    // ==========================================================
+    /**
+     * Draws the receipt top-down and returns the height used, so it can be run once to
+     * measure and again on a page cut to that height.
+     */
+    function drawReceipt(doc, order, template, width) {
+        const { show } = template;
+        const left = RECEIPT_MARGIN; const right = width - RECEIPT_MARGIN; const content = right - left;
+        let y = RECEIPT_MARGIN;
+        const font = (style, size) => doc.setFont('helvetica', style).setFontSize(size);
+        const text = (value, align = 'left') => doc.splitTextToSize(String(value), content).forEach(line => { y += lineHeight(doc); doc.text(line, align === 'center' ? width / 2 : left, y, { align }); });
+        const pair = (label, value) => {
+            value = String(value); const valueWidth = doc.getTextWidth(value);
+            const lines = doc.splitTextToSize(String(label), Math.max(content - valueWidth - 2, content / 2));
+            lines.forEach(line => { y += lineHeight(doc); doc.text(line, left, y); });
+            if (doc.getTextWidth(lines[lines.length - 1]) + valueWidth + 2 > content) y += lineHeight(doc);
+            doc.text(value, right, y, { align: 'right' });
+        };
+        const rule = () => { y += 1.5; doc.setLineDashPattern([0.8, 0.8], 0).line(left, y, right, y).setLineDashPattern([], 0); };
+
+        if (template.logo) y += drawLogo(doc, template.logo, width / 2, y, content * 0.6, 20, 'center');
+        font('bold', 11); text(template.storeName, 'center');
+        font('normal', 7); [...template.headerLines, ...template.addressLines].forEach(line => text(line, 'center'));
+        if (template.phone) text(`Telp: ${template.phone}`, 'center');
+        rule(); font('normal', 8);
+        pair('No. Order', order.orderNumber);
+        if (show.date) pair('Tanggal', new Date(order.timestamp).toLocaleString('id-ID'));
+        if (show.cashier) pair('Kasir', template.cashierName);
+        if (show.customer && order.customer) pair('Pelanggan', `${order.customer.name}${order.customer.phone ? ` (${order.customer.phone})` : ''}`);
+        rule();
+        order.items.forEach(item => {
+            pair(`${item.name} x${item.quantity}`, money(item.price * item.quantity));
+            if (item.discount) pair(`  Diskon ${PricingService.formatDiscount(item.discount)}`, money(-PricingService.getLineDiscount(item)));
+            if (show.warranty && item.warrantyUntil) text(`  Garansi s/d ${new Date(item.warrantyUntil).toLocaleDateString('id-ID')}`);
+        });
+        const discounts = order.discounts || {};
+        rule(); pair('Subtotal', money(order.subtotal));
+        (discounts.promos || []).forEach(promo => pair(promo.name, money(-promo.amount)));
+        if (discounts.cart) pair(`Diskon ${PricingService.formatDiscount(discounts.cart)}`, money(-discounts.cart.amount));
+        if (show.tax && order.taxAmount > 0) pair(`Pajak (${template.taxRate}%)`, money(order.taxAmount));
+        font('bold', 9); pair('TOTAL', money(order.totalAmount)); font('normal', 8);
+        if (show.tenders) {
+            PaymentService.getTenders(order).forEach(tender => pair(`${PaymentService.formatTender(tender)}${tender.timestamp && tender.timestamp !== order.timestamp ? ` - ${new Date(tender.timestamp).toLocaleDateString('id-ID')}` : ''}`, money(tender.amount)));
+            if (order.changeAmount) pair('Kembalian', money(order.changeAmount));
+        }
+        const balanceDue = PaymentService.getBalanceDue(order);
+        if (balanceDue > 0) { font('bold', 8); pair('SISA TAGIHAN', money(balanceDue)); font('normal', 8); }
+        if (show.refunds) RefundModule.getRefundsForOrder(order.orderNumber).forEach(refund => pair(`Refund ${refund.refundNumber} (${refund.items.map(i => `${i.name} x${i.quantity}`).join(', ')})`, money(-refund.totalAmount)));
+        if (order.voided) {
+            rule(); font('bold', 10); text('VOID', 'center'); font('normal', 7);
+            text(`${new Date(order.voided.timestamp).toLocaleString('id-ID')}${order.voided.user ? ` oleh ${order.voided.user.name}` : ''}`, 'center'); text(order.voided.reason, 'center');
+        }
+        if (template.footerLines.length > 0) { rule(); font('normal', 8); template.footerLines.forEach(line => text(line, 'center')); }
+        return y + RECEIPT_MARGIN;
+    }
+
+    function buildReceiptPdf(order) {
+        const jsPDF = getJsPDF(); if (!jsPDF) return null;
+        const template = HistoryModule.getReceiptTemplate(order, AppState.getState().settings);
+        const width = template.paperWidth === 80 ? 80 : 58;
+        const height = drawReceipt(new jsPDF({ unit: 'mm', format: [width, MEASURE_HEIGHT] }), order, template, width);
+        const doc = new jsPDF({ unit: 'mm', format: [width, Math.max(height, width + 1)] });
+        drawReceipt(doc, order, template, width);
+        doc.setProperties({ title: `Struk ${order.orderNumber}`, subject: template.storeName });
+        return doc;
+    }
+
+    // ==========================================================
+    // INVOICE A4
+    // ==========================================================
+    const INVOICE_COLUMNS = [
+        { key: 'no', label: 'No', width: 10 },
+        { key: 'name', label: 'Item', width: 0 },
+        { key: 'quantity', label: 'Qty', width: 14, align: 'right' },
+        { key: 'price', label: 'Harga', width: 30, align: 'right' },
+        { key: 'discount', label: 'Diskon', width: 26, align: 'right' },
+        { key: 'amount', label: 'Jumlah', width: 32, align: 'right' }
+    ];
+
+    function layoutColumns(columns, left, right) {
+        const fixed = columns.reduce((sum, column) => sum + column.width, 0); let x = left;
+        return columns.map(column => {
+            const width = column.width || (right - left - fixed);
+            const placed = { ...column, width, x, textX: column.align === 'right' ? x + width - 2 : x + 2 }; x += width;
+            return placed;
         });
     }
-    return { showDashboard };
+
+    function drawTableHeader(doc, columns, y) {
+        doc.setFillColor(235, 240, 245).rect(columns[0].x, y, columns[columns.length - 1].x + columns[columns.length - 1].width - columns[0].x, 7, 'F');
+        doc.setFont('helvetica', 'bold').setFontSize(9);
+        columns.forEach(column => doc.text(column.label, column.textX, y + 4.8, { align: column.align || 'left' }));
+        return y + 7;
+    }
+
+    /**
+     * Draws one invoice starting on the current page; item rows continue on new pages
+     * (with the table header repeated) when they run past the bottom margin.
+     */
+    function drawInvoice(doc, order, template) {
+        const { margin } = A4; const right = A4.width - margin; const bottom = A4.height - margin - 8;
+        let y = margin;
+        let headerX = margin;
+        if (template.logo) { const logoHeight = drawLogo(doc, template.logo, margin, y, 30, 20, 'left'); if (logoHeight) headerX = margin + 34; }
+        doc.setFont('helvetica', 'bold').setFontSize(15).text(template.storeName, headerX, y + 6);
+        doc.setFont('helvetica', 'normal').setFontSize(8.5);
+        let headerY = y + 11;
+        [...template.headerLines, ...template.addressLines, ...(template.phone ? [`Telp: ${template.phone}`] : [])].forEach(line => {
+            doc.splitTextToSize(line, 95).forEach(part => { doc.text(part, headerX, headerY); headerY += lineHeight(doc); });
+        });
+        doc.setFont('helvetica', 'bold').setFontSize(20).text('INVOICE', right, y + 7, { align: 'right' });
+        doc.setFont('helvetica', 'normal').setFontSize(9);
+        const meta = [['No.', order.orderNumber], ['Tanggal', new Date(order.timestamp).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' })], ['Kasir', template.cashierName], ['Status', getStatus(order)]];
+        meta.forEach(([label, value], index) => { doc.text(`${label}:`, right - 55, y + 14 + index * 5); doc.text(String(value), right, y + 14 + index * 5, { align: 'right' }); });
+        y = Math.max(headerY, y + 14 + meta.length * 5) + 4;
+        doc.setDrawColor(180).line(margin, y, right, y); y += 7;
+
+        doc.setFont('helvetica', 'bold').setFontSize(9).text('Kepada:', margin, y); y += 5;
+        doc.setFont('helvetica', 'normal');
+        const customer = order.customer;
+        (customer ? [customer.name, customer.phone ? `Telp: ${customer.phone}` : '', customer.address || ''] : ['Pelanggan Umum']).filter(Boolean).forEach(line => {
+            doc.splitTextToSize(line, 100).forEach(part => { doc.text(part, margin, y); y += 4.5; });
+        });
+        y += 4;
+
+        const columns = layoutColumns(INVOICE_COLUMNS, margin, right);
+        const nameColumn = columns.find(column => column.key === 'name');
+        y = drawTableHeader(doc, columns, y);
+        order.items.forEach((item, index) => {
+            doc.setFont('helvetica', 'normal').setFontSize(9);
+            const nameLines = doc.splitTextToSize(item.name, nameColumn.width - 4);
+            const warranty = item.warrantyUntil ? `Garansi s/d ${new Date(item.warrantyUntil).toLocaleDateString('id-ID')}` : '';
+            const rowHeight = nameLines.length * 4.5 + (warranty ? 4 : 0) + 3;
+            if (y + rowHeight > bottom) { doc.addPage('a4', 'portrait'); y = drawTableHeader(doc, columns, margin); doc.setFont('helvetica', 'normal').setFontSize(9); }
+            const discount = PricingService.getLineDiscount(item);
+            const values = { no: String(index + 1), quantity: String(item.quantity), price: money(item.price), discount: discount ? money(-discount) : '-', amount: money(item.price * item.quantity - discount) };
+            columns.forEach(column => { if (column.key !== 'name') doc.text(values[column.key], column.textX, y + 5, { align: column.align || 'left' }); });
+            nameLines.forEach((line, lineIndex) => doc.text(line, nameColumn.textX, y + 5 + lineIndex * 4.5));
+            if (warranty) doc.setFontSize(7.5).setTextColor(110).text(warranty, nameColumn.textX, y + 5 + nameLines.length * 4.5 - 0.5).setTextColor(0);
+            y += rowHeight;
+            doc.setDrawColor(220).line(margin, y, right, y);
+        });
+
+        const discounts = order.discounts || {};
+        const orderDiscounts = [...(discounts.promos || []).map(promo => [promo.name, -promo.amount]), ...(discounts.cart ? [[`Diskon ${PricingService.formatDiscount(discounts.cart)}`, -discounts.cart.amount]] : [])];
+        const lineTotal = order.items.reduce((sum, item) => sum + item.price * item.quantity - PricingService.getLineDiscount(item), 0);
+        const taxBase = order.totalAmount - order.taxAmount;
+        const balanceDue = PaymentService.getBalanceDue(order);
+        const summary = [
+            ['Jumlah Item', lineTotal], ...orderDiscounts,
+            ...(order.taxAmount > 0 ? [['Dasar Pengenaan Pajak', taxBase], [`Pajak (${template.taxRate}%)`, order.taxAmount]] : []),
+            ['TOTAL', order.totalAmount, true],
+            ...PaymentService.getTenders(order).map(tender => [`Dibayar - ${PaymentService.formatTender(tender)}${tender.timestamp ? ` (${new Date(tender.timestamp).toLocaleDateString('id-ID')})` : ''}`, tender.amount]),
+            ...(order.changeAmount ? [['Kembalian', order.changeAmount]] : []),
+            ...RefundModule.getRefundsForOrder(order.orderNumber).map(refund => [`Refund ${refund.refundNumber}`, -refund.totalAmount]),
+            ...(balanceDue > 0 ? [['SISA TAGIHAN', balanceDue, true]] : [])
+        ];
+        const termsHeight = template.termsLines.length > 0 ? 8 + template.termsLines.length * 4.5 : 0;
+        if (y + 6 + summary.length * 5.5 + termsHeight > bottom) { doc.addPage('a4', 'portrait'); y = margin; }
+        y += 6;
+        summary.forEach(([label, amount, strong]) => {
+            doc.setFont('helvetica', strong ? 'bold' : 'normal').setFontSize(strong ? 10 : 9);
+            doc.text(label, right - 85, y); doc.text(money(amount), right, y, { align: 'right' });
+            y += 5.5;
+        });
+        if (order.voided) {
+            y += 3; doc.setFont('helvetica', 'bold').setFontSize(11).setTextColor(217, 83, 79).text(`VOID - ${order.voided.reason}`, margin, y).setTextColor(0); y += 6;
+        }
+        if (template.termsLines.length > 0) {
+            y += 4; doc.setFont('helvetica', 'bold').setFontSize(9).text('Syarat Pembayaran', margin, y); y += 4.5;
+            doc.setFont('helvetica', 'normal').setFontSize(8.5);
+            template.termsLines.forEach(line => doc.splitTextToSize(line, right - margin).forEach(part => { doc.text(part, margin, y); y += 4.5; }));
+        }
+    }
+
+    function numberPages(doc) {
+        const total = doc.getNumberOfPages();
+        for (let page = 1; page <= total; page++) {
+            doc.setPage(page).setFont('helvetica', 'normal').setFontSize(8).setTextColor(120);
+            doc.text(`Halaman ${page} dari ${total}`, A4.width - A4.margin, A4.height - 8, { align: 'right' }).setTextColor(0);
+        }
+    }
+
+    function buildInvoicePdf(order) {
+        const jsPDF = getJsPDF(); if (!jsPDF) return null;
+        const template = HistoryModule.getReceiptTemplate(order, AppState.getState().settings);
+        const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+        drawInvoice(doc, order, template); numberPages(doc);
+        doc.setProperties({ title: `Invoice ${order.orderNumber}`, subject: template.storeName });
+        return doc;
+    }
+
+    // ==========================================================
+    // EKSPOR MASSAL
+    // ==========================================================
+    // Halaman rekap di depan, lalu satu invoice per transaksi
+    function buildBatchPdf(orders, label) {
+        const jsPDF = getJsPDF(); if (!jsPDF) return null;
+        const { settings } = AppState.getState(); const { margin } = A4; const right = A4.width - margin; const bottom = A4.height - margin - 8;
+        const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+        const columns = layoutColumns([{ key: 'orderNumber', label: 'No. Order', width: 42 }, { key: 'date', label: 'Tanggal', width: 36 }, { key: 'customer', label: 'Pelanggan', width: 0 }, { key: 'status', label: 'Status', width: 34 }, { key: 'total', label: 'Total', width: 32, align: 'right' }], margin, right);
+        doc.setFont('helvetica', 'bold').setFontSize(14).text(`Rekap Transaksi - ${settings.storeName}`, margin, margin + 5);
+        doc.setFont('helvetica', 'normal').setFontSize(9).text(`Filter: ${label} | ${orders.length} transaksi | Dicetak ${new Date().toLocaleString('id-ID')}`, margin, margin + 11);
+        let y = drawTableHeader(doc, columns, margin + 16);
+        orders.forEach(order => {
+            if (y + 6 > bottom) { doc.addPage('a4', 'portrait'); y = drawTableHeader(doc, columns, margin); }
+            doc.setFont('helvetica', 'normal').setFontSize(9);
+            const values = { orderNumber: order.orderNumber, date: new Date(order.timestamp).toLocaleString('id-ID', { dateStyle: 'short', timeStyle: 'short' }), customer: doc.splitTextToSize(order.customer ? order.customer.name : '-', columns[2].width - 4)[0], status: getStatus(order), total: money(order.voided ? 0 : order.totalAmount) };
+            columns.forEach(column => doc.text(values[column.key], column.textX, y + 4.5, { align: column.align || 'left' }));
+            y += 6;
+        });
+        const total = orders.filter(order => !order.voided).reduce((sum, order) => sum + order.totalAmount, 0);
+        doc.setDrawColor(180).line(margin, y + 1, right, y + 1);
+        doc.setFont('helvetica', 'bold').setFontSize(10).text('TOTAL', columns[3].textX, y + 6.5).text(money(total), right - 2, y + 6.5, { align: 'right' });
+        orders.forEach(order => { doc.addPage('a4', 'portrait'); drawInvoice(doc, order, HistoryModule.getReceiptTemplate(order, settings)); });
+        numberPages(doc);
+        doc.setProperties({ title: `Transaksi ${label}`, subject: settings.storeName });
+        return doc;
+    }
+
+    // ==========================================================
+    // AKSI UI
+    // ==========================================================
+    function downloadReceipt(orderNumber) {
+        const order = findOrder(orderNumber); if (!order) return;
+        const doc = buildReceiptPdf(order); if (!doc) return;
+        doc.save(`Struk_${order.orderNumber}.pdf`); UIService.showToast('Struk berhasil diunduh', 'success');
+    }
+
+    function downloadInvoice(orderNumber) {
+        const order = findOrder(orderNumber); if (!order) return;
+        const doc = buildInvoicePdf(order); if (!doc) return;
+        doc.save(`Invoice_${order.orderNumber}.pdf`); UIService.showToast('Invoice berhasil diunduh', 'success');
+    }
+
+    function exportFilteredHistory() {
+        const orders = HistoryModule.getFilteredOrders();
+        if (orders.length === 0) { UIService.showToast('Tidak ada transaksi yang cocok dengan filter.', 'warning'); return; }
+        UIService.showLoading();
+        // Beri kesempatan spinner tampil sebelum pembuatan PDF yang memblokir
+        setTimeout(() => {
+            const label = HistoryModule.getFilterLabel();
+            const doc = buildBatchPdf(orders, label);
+            UIService.hideLoading(); if (!doc) return;
+            doc.save(`Transaksi_${label}.pdf`); UIService.showToast(`${orders.length} invoice berhasil diekspor ke PDF`, 'success');
+        }, 50);
+    }
+
+    return { buildReceiptPdf, buildInvoicePdf, buildBatchPdf, downloadReceipt, downloadInvoice, exportFilteredHistory };
 })();
 
 /**
- * History Module
+ * Receipt Share Module - Sends receipts digitally via WhatsApp (wa.me), email (mailto)
+ * or the Web Share API with the PDF attached, and logs every share on the order
  */
-const HistoryModule = (function() {
-    function showHistory() { 
-        UIService.showModal('historyModal'); 
-        renderHistoryTable(); 
-        populateMonthFilter(); 
+const ReceiptShareModule = (function() {
+    const CHANNEL_LABELS = { whatsapp: 'WhatsApp', email: 'Email', share: 'Bagikan PDF' };
+    let activeOrderNumber = null;
+
+    const money = PricingService.formatMoney;
+    function getActiveOrder() { return AppState.getState().orders.find(o => o.orderNumber === activeOrderNumber); }
+
+    // 08xx, +62 8xx dan 8xx menjadi 628xx sesuai format wa.me
+    function normalizePhone(phone) {
+        const digits = String(phone || '').replace(/\D/g, '');
+        if (digits.startsWith('0')) return `62${digits.slice(1)}`;
+        if (digits.startsWith('8')) return `62${digits}`;
+        return digits;
     }
-    function renderHistoryTable() {
-        const state = AppState.getState(); 
-        const { orders } = state;
-        const tbody = document.getElementById('historyTableBody'); 
-        tbody.innerHTML = '';
-        if (orders.length === 0) { 
-            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">Tidak ada transaksi.</td></tr>'; 
-            return; 
+
+    /**
+     * Plain-text receipt for chat and email: one line per item followed by the totals.
+     * Chat apps are not monospaced, so nothing is column-aligned.
+     */
+    function buildReceiptText(order) {
+        const template = HistoryModule.getReceiptTemplate(order, AppState.getState().settings); const { show } = template;
+        const discounts = order.discounts || {};
+        const balanceDue = PaymentService.getBalanceDue(order);
+        const lines = [];
+        order.items.forEach(item => {
+            lines.push(`- ${item.name} x${item.quantity}: ${money(item.price * item.quantity)}`);
+            if (item.discount) lines.push(`  Diskon ${PricingService.formatDiscount(item.discount)}: ${money(-PricingService.getLineDiscount(item))}`);
+            if (show.warranty && item.warrantyUntil) lines.push(`  Garansi s/d ${new Date(item.warrantyUntil).toLocaleDateString('id-ID')}`);
+        });
+        lines.push('', `Subtotal: ${money(order.subtotal)}`);
+        (discounts.promos || []).forEach(promo => lines.push(`${promo.name}: ${money(-promo.amount)}`));
+        if (discounts.cart) lines.push(`Diskon ${PricingService.formatDiscount(discounts.cart)}: ${money(-discounts.cart.amount)}`);
+        if (show.tax && order.taxAmount > 0) lines.push(`Pajak (${template.taxRate}%): ${money(order.taxAmount)}`);
+        lines.push(`TOTAL: ${money(order.totalAmount)}`);
+        if (show.tenders) {
+            PaymentService.getTenders(order).forEach(tender => lines.push(`${PaymentService.formatTender(tender)}: ${money(tender.amount)}`));
+            if (order.changeAmount) lines.push(`Kembalian: ${money(order.changeAmount)}`);
+        }
+        if (balanceDue > 0) lines.push(`SISA TAGIHAN: ${money(balanceDue)}`);
+        if (order.voided) lines.push(`VOID: ${order.voided.reason}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Fills the message template from settings. Placeholders: {pelanggan}, {toko},
+     * {order}, {tanggal}, {total}, {status} and {struk} (the plain-text receipt).
+     */
+    function renderMessage(order) {
+        const { settings } = AppState.getState();
+        const template = HistoryModule.getReceiptTemplate(order, settings);
+        const balanceDue = PaymentService.getBalanceDue(order);
+        const values = {
+            pelanggan: order.customer ? order.customer.name : 'Pelanggan',
+            toko: template.storeName,
+            order: order.orderNumber,
+            tanggal: new Date(order.timestamp).toLocaleString('id-ID'),
+            total: money(order.totalAmount),
+            status: order.voided ? 'VOID' : (balanceDue > 0 ? `DP, sisa ${money(balanceDue)}` : 'LUNAS'),
+            struk: buildReceiptText(order)
+        };
+        return (settings.shareMessageTemplate || '{struk}').replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    }
+
+    function renderShareLog(order) {
+        const shares = order.shares || [];
+        document.getElementById('shareLog').innerHTML = shares.length === 0 ? '<p style="color: var(--text-muted);">Struk belum pernah dikirim.</p>'
+            : `<ul class="ticket-status-history">${shares.slice().reverse().map(share => `<li>${new Date(share.timestamp).toLocaleString('id-ID')} - ${CHANNEL_LABELS[share.channel] || share.channel}${share.recipient ? ` ke ${share.recipient}` : ''}${share.user ? ` (${share.user.name})` : ''}</li>`).join('')}</ul>`;
+    }
+
+    function showShareForm(orderNumber) {
+        orderNumber = orderNumber || document.getElementById('receiptContent').dataset.orderNumber;
+        activeOrderNumber = orderNumber;
+        const order = getActiveOrder(); if (!order) return;
+        document.getElementById('shareOrderNumber').textContent = order.orderNumber;
+        document.getElementById('sharePhone').value = order.customer && order.customer.phone ? order.customer.phone : '';
+        document.getElementById('shareEmail').value = '';
+        document.getElementById('shareMessage').value = renderMessage(order);
+        renderShareLog(order);
+        UIService.showModal('shareReceiptModal');
+    }
+
+    function logShare(order, channel, recipient) {
+        const { orders } = AppState.getState();
+        order.shares = [...(order.shares || []), { timestamp: new Date().toISOString(), channel, recipient, user: UserModule.getCurrentUserSnapshot() }];
+        AppState.updateState({ orders }); renderShareLog(order);
+        // Riwayat kirim wajib tercatat, jadi kegagalan simpan dilaporkan per struk
+        return StorageService.saveOrders(orders).then(saved => {
+            if (!saved) UIService.showToast(`Struk ${order.orderNumber} terkirim, tetapi riwayat pengiriman gagal disimpan.`, 'error');
+            return saved;
+        });
+    }
+
+    // Lampiran PDF lewat Web Share; perangkat tanpa dukungan berbagi file mendapat unduhan PDF
+    function sharePdf(order, message) {
+        const doc = PdfModule.buildReceiptPdf(order); if (!doc) return;
+        const file = new File([doc.output('blob')], `Struk_${order.orderNumber}.pdf`, { type: 'application/pdf' });
+        if (!navigator.canShare || !navigator.canShare({ files: [file] })) {
+            doc.save(file.name);
+            UIService.showToast('Perangkat ini tidak mendukung berbagi file. PDF diunduh untuk dilampirkan manual.', 'warning');
+            return;
+        }
+        navigator.share({ files: [file], title: `Struk ${order.orderNumber}`, text: message })
+            .then(() => { logShare(order, 'share', ''); UIService.showToast('Struk berhasil dibagikan', 'success'); })
+            .catch(error => { if (error.name !== 'AbortError') UIService.showToast(`Gagal membagikan struk: ${error.message}`, 'error'); });
+    }
+
+    function shareVia(channel) {
+        const order = getActiveOrder(); if (!order) return;
+        const message = document.getElementById('shareMessage').value;
+        if (channel === 'whatsapp') {
+            const phone = normalizePhone(document.getElementById('sharePhone').value);
+            window.open(`https://wa.me/${phone}?text=${encodeURIComponent(message)}`, '_blank');
+            logShare(order, 'whatsapp', phone);
+        } else if (channel === 'email') {
+            const email = document.getElementById('shareEmail').value.trim();
+            if (!email) { UIService.showToast('Isi alamat email penerima.', 'warning'); return; }
+            const { storeName } = HistoryModule.getReceiptTemplate(order, AppState.getState().settings);
+            window.location.href = `mailto:${encodeURIComponent(email)}?subject=${encodeURIComponent(`Struk ${order.orderNumber} - ${storeName}`)}&body=${encodeURIComponent(message)}`;
+            logShare(order, 'email', email);
+        } else if (channel === 'share') {
+            sharePdf(order, message);
+        }
+    }
+
+    return { buildReceiptText, renderMessage, showShareForm, shareVia };
+})();
+
+/**
+ * Refund Module - Handles full/partial refunds and returns linked to an existing order
+ */
+const RefundModule = (function() {
+    let activeOrderNumber = null;
+
+    function getRefundsForOrder(orderNumber) { return AppState.getState().refunds.filter(r => r.orderNumber === orderNumber); }
+    // Refund atas transaksi yang kemudian di-void sudah tercakup oleh void-nya, jadi tidak dikurangkan lagi dari pendapatan
+    function getActiveRefunds(refunds) {
+        const voidedNumbers = new Set(AppState.getState().orders.filter(order => order.voided).map(order => order.orderNumber));
+        return refunds.filter(refund => !voidedNumbers.has(refund.orderNumber));
+    }
+    function getRefundedQuantity(orderNumber, lineIndex) {
+        return getRefundsForOrder(orderNumber).reduce((sum, refund) => sum + refund.items.filter(i => i.lineIndex === lineIndex).reduce((s, i) => s + i.quantity, 0), 0);
+    }
+    function getRefundableQuantity(order, lineIndex) { return order.items[lineIndex].quantity - getRefundedQuantity(order.orderNumber, lineIndex); }
+    function isFullyRefunded(order) { return order.items.every((item, index) => getRefundableQuantity(order, index) <= 0); }
+
+    function showRefundForm(orderNumber) {
+        if (!UserModule.requirePermission('order.refund')) return;
+        const order = AppState.getState().orders.find(o => o.orderNumber === orderNumber); if (!order) return;
+        if (order.voided) { UIService.showToast('Transaksi yang sudah di-void tidak bisa di-refund.', 'warning'); return; }
+        if (isFullyRefunded(order)) { UIService.showToast('Seluruh item pada transaksi ini sudah di-refund.', 'warning'); return; }
+        if (PaymentService.getBalanceDue(order) > 0) { UIService.showToast('Lunasi sisa tagihan DP sebelum melakukan refund.', 'warning'); return; }
+        activeOrderNumber = orderNumber;
+        const linesHTML = order.items.map((item, index) => {
+            const refundable = getRefundableQuantity(order, index);
+            return `<tr><td>${item.name}</td><td>Rp ${item.price.toLocaleString('id-ID')}</td><td>${item.quantity}</td><td>${refundable}</td><td><input type="number" class="refund-qty" data-line-index="${index}" min="0" max="${refundable}" value="0" ${refundable <= 0 ? 'disabled' : ''} oninput="RefundModule.updateRefundTotal()"></td></tr>`;
+        }).join('');
+        document.getElementById('refundContent').innerHTML = `
+            <h2>Refund / Retur ${order.orderNumber}</h2>
+            <table class="history-table"><thead><tr><th>Item</th><th>Harga</th><th>Dibeli</th><th>Bisa Diretur</th><th>Jumlah Retur</th></tr></thead><tbody>${linesHTML}</tbody></table>
+            <div class="product-form" style="margin-top: 1rem;">
+                <div class="form-group"><label for="refundReason">Alasan</label><input type="text" id="refundReason" placeholder="Contoh: Sparepart tidak cocok" required></div>
+                <div class="form-group">
+                    <label for="refundMethod">Metode Pengembalian Dana</label>
+                    <select id="refundMethod"><option value="cash">Tunai</option><option value="ewallet">E-Wallet</option><option value="transfer">Transfer Bank</option></select>
+                </div>
+                <div class="form-group full-width"><label><input type="checkbox" id="refundRestock" checked style="width: auto;"> Kembalikan sparepart ke stok</label></div>
+            </div>
+            <div class="receipt-item" style="font-weight: bold; font-size: 1.1rem;"><span>Total Refund</span><span id="refundTotal">Rp 0</span></div>
+        `;
+        UIService.showModal('refundModal');
+    }
+
+    function selectAllRefundable() { document.querySelectorAll('.refund-qty').forEach(input => { input.value = input.max; }); updateRefundTotal(); }
+
+    function readRefundLines(order) {
+        const lines = [];
+        document.querySelectorAll('.refund-qty').forEach(input => {
+            const lineIndex = parseInt(input.dataset.lineIndex); const quantity = parseInt(input.value) || 0;
+            if (quantity > 0) lines.push({ lineIndex, quantity: Math.min(quantity, getRefundableQuantity(order, lineIndex)) });
+        });
+        return lines;
+    }
+
+    /**
+     * Lines are refunded at their net (discounted) unit price; tax is refunded
+     * proportionally to the refunded share of the discounted subtotal.
+     */
+    function calculateRefund(order, lines) {
+        const items = lines.map(({ lineIndex, quantity }) => { const item = order.items[lineIndex]; return { lineIndex, id: item.id, sku: item.sku, name: item.name, type: item.type, price: item.price, unitCost: item.unitCost, quantity, amount: Math.round(PricingService.getLineNet(item) / item.quantity * quantity) }; });
+        const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+        const netSubtotal = order.subtotal - (order.discountAmount || 0);
+        const taxAmount = netSubtotal > 0 ? Math.round(order.taxAmount * (subtotal / netSubtotal)) : 0;
+        return { items, subtotal, taxAmount, totalAmount: subtotal + taxAmount };
+    }
+
+    function updateRefundTotal() {
+        const order = AppState.getState().orders.find(o => o.orderNumber === activeOrderNumber); if (!order) return;
+        const { totalAmount } = calculateRefund(order, readRefundLines(order));
+        document.getElementById('refundTotal').textContent = `Rp ${totalAmount.toLocaleString('id-ID')}`;
+    }
+
+    function confirmRefund() {
+        if (!UserModule.requirePermission('order.refund')) return;
+        const state = AppState.getState(); const { orders, refunds, products } = state;
+        const order = orders.find(o => o.orderNumber === activeOrderNumber); if (!order) return;
+        const lines = readRefundLines(order);
+        const reason = document.getElementById('refundReason').value.trim();
+        if (lines.length === 0) { UIService.showToast('Pilih minimal satu item untuk di-refund.', 'error'); return; }
+        if (!reason) { UIService.showToast('Alasan refund wajib diisi.', 'error'); return; }
+        const restock = document.getElementById('refundRestock').checked;
+        const refund = {
+            refundNumber: `RFD-${Date.now()}`,
+            orderNumber: order.orderNumber,
+            timestamp: new Date().toISOString(),
+            reason,
+            method: document.getElementById('refundMethod').value,
+            restocked: restock,
+            shiftId: (ShiftModule.getOpenShift() || {}).id || null,
+            user: UserModule.getCurrentUserSnapshot(),
+            ...calculateRefund(order, lines)
+        };
+        if (restock) {
+            refund.items.filter(item => item.type === 'product').forEach(item => { const product = products.find(p => p.id === item.id); StockService.adjustStock(product, item.quantity, 'return', refund.refundNumber, reason); });
+            AppState.updateState({ products });
+        }
+        refunds.push(refund); AppState.updateState({ refunds });
+        UIService.hideModal('refundModal'); HistoryModule.filterHistory();
+        Promise.all([StorageService.saveRefunds(refunds), restock ? StorageService.saveProducts(products) : true]).then(([refundsSaved, productsSaved]) => {
+            if (refundsSaved && productsSaved) UIService.showToast(`Refund ${refund.refundNumber} sebesar Rp ${refund.totalAmount.toLocaleString('id-ID')} berhasil dicatat`, 'success');
+        });
+        activeOrderNumber = null;
+    }
+
+    return { getRefundsForOrder, getActiveRefunds, getRefundedQuantity, isFullyRefunded, showRefundForm, selectAllRefundable, updateRefundTotal, confirmRefund };
+})();
+
+/**
+ * Ticket Module - Handles repair job tickets (service orders) and their status workflow
+ */
+const TicketModule = (function() {
+    const STATUSES = [
+        { key: 'received', label: 'Diterima' },
+        { key: 'diagnosis', label: 'Diagnosa' },
+        { key: 'waiting_parts', label: 'Menunggu Sparepart' },
+        { key: 'in_progress', label: 'Dikerjakan' },
+        { key: 'done', label: 'Selesai' },
+        { key: 'picked_up', label: 'Diambil' }
+    ];
+    let activeTicketNumber = null;
+
+    function getStatusLabel(key) { const status = STATUSES.find(s => s.key === key); return status ? status.label : key; }
+    function findTicket(ticketNumber) { return AppState.getState().tickets.find(t => t.ticketNumber === ticketNumber); }
+    function persistTickets(tickets) { AppState.updateState({ tickets }); return StorageService.saveTickets(tickets); }
+
+    function showTickets() {
+        UIService.showModal('ticketModal');
+        resetTicketForm();
+        populateStatusFilter();
+        renderTicketTable();
+    }
+
+    function resetTicketForm() {
+        document.getElementById('ticketForm').reset();
+        const technicians = new Set(AppState.getState().tickets.map(t => t.technician).filter(Boolean));
+        document.getElementById('technicianList').innerHTML = Array.from(technicians).map(name => `<option value="${name}">`).join('');
+    }
+
+    function populateStatusFilter() {
+        const statusFilter = document.getElementById('ticketStatusFilter'); const current = statusFilter.value;
+        statusFilter.innerHTML = '<option value="">Semua Status</option>' + STATUSES.map(s => `<option value="${s.key}">${s.label}</option>`).join('');
+        statusFilter.value = current;
+    }
+
+    function handleTicketFormSubmit(event) {
+        event.preventDefault();
+        if (!UserModule.requirePermission('ticket.manage')) return;
+        const customer = CustomerModule.findOrCreateCustomer({ name: document.getElementById('ticketCustomerName').value.trim(), phone: document.getElementById('ticketCustomerPhone').value.trim() });
+        const state = AppState.getState(); const { tickets } = state;
+        const now = new Date().toISOString();
+        const ticket = {
+            ticketNumber: `SRV-${Date.now()}`,
+            createdAt: now,
+            updatedAt: now,
+            customerId: customer.id,
+            customer: { name: customer.name, phone: customer.phone },
+            device: { brand: document.getElementById('ticketDeviceBrand').value.trim(), model: document.getElementById('ticketDeviceModel').value.trim(), serial: document.getElementById('ticketDeviceSerial').value.trim() },
+            complaint: document.getElementById('ticketComplaint').value.trim(),
+            accessories: document.getElementById('ticketAccessories').value.trim(),
+            estimatedCost: parseInt(document.getElementById('ticketEstimatedCost').value) || 0,
+            technician: document.getElementById('ticketTechnician').value.trim(),
+            status: 'received',
+            statusHistory: [{ status: 'received', timestamp: now }],
+            serviceId: null,
+            parts: [],
+            orderNumber: null
+        };
+        tickets.unshift(ticket); persistTickets(tickets).then(saved => { if (saved) UIService.showToast(`Tiket ${ticket.ticketNumber} berhasil dibuat`, 'success'); });
+        resetTicketForm(); renderTicketTable();
+    }
+
+    function renderTicketTable() {
+        const state = AppState.getState(); let { tickets } = state;
+        const searchFilter = document.getElementById('ticketSearchFilter').value.toLowerCase();
+        const statusFilter = document.getElementById('ticketStatusFilter').value;
+        tickets = tickets.filter(ticket => {
+            const haystack = [ticket.ticketNumber, ticket.customer.name, ticket.customer.phone, ticket.device.brand, ticket.device.model, ticket.device.serial].join(' ').toLowerCase();
+            const searchMatch = !searchFilter || haystack.includes(searchFilter);
+            const statusMatch = !statusFilter || ticket.status === statusFilter;
+            return searchMatch && statusMatch;
+        });
+        const tbody = document.getElementById('ticketTableBody'); tbody.innerHTML = '';
+        if (tickets.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;">Tidak ada tiket servis.</td></tr>';
+            return;
         }
-        orders.forEach(order => {
-            const itemsList = order.items.map(item => `${item.name}(${item.quantity})`).join(', ');
+        tickets.forEach(ticket => {
             const row = `
                 <tr>
-                    <td>${order.orderNumber}</td>
-                    <td>${new Date(order.timestamp).toLocaleDateString('id-ID')}</td>
-                    <td>Rp ${order.totalAmount.toLocaleString('id-ID')}</td>
-                    <td>${itemsList}</td>
-                    <td>${order.paymentMethod.replace('-', ' ').toUpperCase()}</td>
-                    <td>
-                        <button class="btn-edit" onclick="HistoryModule.viewOrderReceipt('${order.orderNumber}')">Lihat</button>
-                        <button class="btn-delete" onclick="HistoryModule.deleteOrder('${order.orderNumber}')">Hapus</button>
-                    </td>
+                    <td>${ticket.ticketNumber}</td>
+                    <td>${new Date(ticket.createdAt).toLocaleDateString('id-ID')}</td>
+                    <td>${ticket.customer.name}${ticket.customer.phone ? `<br><small>${ticket.customer.phone}</small>` : ''}</td>
+                    <td>${ticket.device.brand} ${ticket.device.model}${ticket.device.serial ? `<br><small>${ticket.device.serial}</small>` : ''}</td>
+                    <td><span class="status-badge status-${ticket.status}">${getStatusLabel(ticket.status)}</span></td>
+                    <td>${ticket.technician || '-'}</td>
+                    <td><button class="btn-edit" onclick="TicketModule.viewTicket('${ticket.ticketNumber}')">Detail</button></td>
                 </tr>
             `;
             tbody.innerHTML += row;
         });
     }
-    function deleteOrder(orderNumber) {
-        if (!confirm(`Apakah Anda yakin ingin menghapus transaksi ${orderNumber}?`)) { return; }
-        const state = AppState.getState(); let { orders } = state;
-        orders = orders.filter(order => order.orderNumber !== orderNumber);
-        AppState.updateState({ orders }); StorageService.saveOrders(orders);
-        renderHistoryTable(); UIService.showToast('Transaksi berhasil dihapus', 'success');
+
+    // ==========================================================
+    // DETAIL TIKET
+    // ==========================================================
+    function viewTicket(ticketNumber) {
+        const ticket = findTicket(ticketNumber); if (!ticket) return;
+        activeTicketNumber = ticketNumber;
+        renderTicketDetail(ticket);
+        UIService.showModal('ticketDetailModal');
     }
-    function populateMonthFilter() {
-        const state = AppState.getState(); const { orders } = state;
-        const monthFilter = document.getElementById('historyMonthFilter'); monthFilter.innerHTML = '<option value="">Semua Bulan</option>';
-        const months = new Set(); orders.forEach(order => { 
-            const date = new Date(order.timestamp); 
-            const monthYear = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`; 
-            months.add(monthYear); 
-        }); 
-        Array.from(months).sort().reverse().forEach(month => { 
-            const [year, monthNum] = month.split('-'); 
-            const monthName = new Date(year, monthNum - 1).toLocaleDateString('id-ID', { month: 'long', year: 'numeric' }); 
-            monthFilter.innerHTML += `<option value="${month}">${monthName}</option>`; 
+
+    function renderTicketDetail(ticket) {
+        const { products } = AppState.getState();
+        const services = products.filter(p => p.type === 'service');
+        const spareparts = products.filter(p => p.type === 'product');
+        const isLocked = !!ticket.orderNumber;
+        const partsTotal = ticket.parts.reduce((sum, part) => sum + (part.price * part.quantity), 0);
+        const partsHTML = ticket.parts.length === 0 ? '<p style="color: #777;">Belum ada sparepart.</p>' : ticket.parts.map((part, index) => `<div class="receipt-item"><span>${part.name} x${part.quantity}</span><span>Rp ${(part.price * part.quantity).toLocaleString('id-ID')} ${isLocked ? '' : `<button class="btn-delete" onclick="TicketModule.removePart(${index})">&times;</button>`}</span></div>`).join('');
+        const historyHTML = ticket.statusHistory.map(entry => `<li>${new Date(entry.timestamp).toLocaleString('id-ID')} - ${getStatusLabel(entry.status)}</li>`).join('');
+
+        document.getElementById('ticketDetailContent').innerHTML = `
+            <h2>Tiket ${ticket.ticketNumber}</h2>
+            <div class="ticket-info">
+                <div class="receipt-item"><span>Pelanggan</span><span>${ticket.customer.name} ${ticket.customer.phone ? `(${ticket.customer.phone})` : ''}</span></div>
+                <div class="receipt-item"><span>Perangkat</span><span>${ticket.device.brand} ${ticket.device.model}</span></div>
+                <div class="receipt-item"><span>IMEI / Serial</span><span>${ticket.device.serial || '-'}</span></div>
+                <div class="receipt-item"><span>Keluhan</span><span>${ticket.complaint || '-'}</span></div>
+                <div class="receipt-item"><span>Kelengkapan</span><span>${ticket.accessories || '-'}</span></div>
+                <div class="receipt-item"><span>Estimasi Biaya</span><span>Rp ${ticket.estimatedCost.toLocaleString('id-ID')}</span></div>
+                ${ticket.orderNumber ? `<div class="receipt-item"><span>No. Order</span><span>${ticket.orderNumber}</span></div>` : ''}
+            </div>
+            <div class="product-form">
+                <div class="form-group">
+                    <label for="ticketDetailStatus">Status</label>
+                    <select id="ticketDetailStatus">${STATUSES.map(s => `<option value="${s.key}" ${s.key === ticket.status ? 'selected' : ''}>${s.label}</option>`).join('')}</select>
+                </div>
+                <div class="form-group">
+                    <label for="ticketDetailTechnician">Teknisi</label>
+                    <input type="text" id="ticketDetailTechnician" list="technicianList" value="${ticket.technician || ''}">
+                </div>
+                <div class="form-group">
+                    <label for="ticketDetailService">Jasa Servis</label>
+                    <select id="ticketDetailService" ${isLocked ? 'disabled' : ''}><option value="">- Pilih Jasa -</option>${services.map(s => `<option value="${s.id}" ${s.id === ticket.serviceId ? 'selected' : ''}>${s.name}</option>`).join('')}</select>
+                </div>
+                <div class="form-group">
+                    <label for="ticketDetailCost">Biaya Jasa Final</label>
+                    <input type="number" id="ticketDetailCost" min="0" value="${ticket.finalCost !== undefined ? ticket.finalCost : ticket.estimatedCost}" ${isLocked ? 'disabled' : ''}>
+                </div>
+            </div>
+            <h3>Sparepart Terpakai</h3>
+            <div class="ticket-parts">${partsHTML}</div>
+            ${isLocked ? '' : `
+            <div class="ticket-part-add">
+                <select id="ticketPartSelect">${spareparts.map(p => `<option value="${p.id}">${p.name} (Stok: ${p.stock})</option>`).join('')}</select>
+                <input type="number" id="ticketPartQty" min="1" value="1">
+                <button class="btn-success" onclick="TicketModule.addPart()">+ Sparepart</button>
+            </div>`}
+            <div class="receipt-item" style="font-weight: bold;"><span>Total Sparepart</span><span>Rp ${partsTotal.toLocaleString('id-ID')}</span></div>
+            <h3>Riwayat Status</h3>
+            <ul class="ticket-status-history">${historyHTML}</ul>
+        `;
+        document.getElementById('convertTicketBtn').style.display = ticket.status === 'done' && !isLocked ? 'block' : 'none';
+    }
+
+    function readDetailForm(ticket) {
+        const status = document.getElementById('ticketDetailStatus').value;
+        if (status !== ticket.status) { ticket.status = status; ticket.statusHistory.push({ status, timestamp: new Date().toISOString() }); }
+        ticket.technician = document.getElementById('ticketDetailTechnician').value.trim();
+        if (!ticket.orderNumber) {
+            const serviceId = document.getElementById('ticketDetailService').value;
+            ticket.serviceId = serviceId ? parseInt(serviceId) : null;
+            ticket.finalCost = parseInt(document.getElementById('ticketDetailCost').value) || 0;
+        }
+        ticket.updatedAt = new Date().toISOString();
+    }
+
+    function saveTicketDetail() {
+        if (!UserModule.requirePermission('ticket.manage')) return;
+        const state = AppState.getState(); const { tickets } = state;
+        const ticket = tickets.find(t => t.ticketNumber === activeTicketNumber); if (!ticket) return;
+        readDetailForm(ticket); persistTickets(tickets).then(saved => { if (saved) UIService.showToast('Tiket berhasil diperbarui', 'success'); });
+        renderTicketDetail(ticket); renderTicketTable();
+    }
+
+    function addPart() {
+        if (!UserModule.requirePermission('ticket.manage')) return;
+        const state = AppState.getState(); const { tickets, products } = state;
+        const ticket = tickets.find(t => t.ticketNumber === activeTicketNumber); if (!ticket) return;
+        const product = products.find(p => p.id === parseInt(document.getElementById('ticketPartSelect').value));
+        const quantity = parseInt(document.getElementById('ticketPartQty').value);
+        if (!product || isNaN(quantity) || quantity <= 0) { UIService.showToast('Sparepart atau jumlah tidak valid.', 'error'); return; }
+        readDetailForm(ticket);
+        const existingPart = ticket.parts.find(part => part.id === product.id);
+        if (existingPart) { existingPart.quantity += quantity; } else { ticket.parts.push({ id: product.id, sku: product.sku, name: product.name, price: product.price, quantity }); }
+        persistTickets(tickets); renderTicketDetail(ticket);
+    }
+
+    function removePart(index) {
+        if (!UserModule.requirePermission('ticket.manage')) return;
+        const state = AppState.getState(); const { tickets } = state;
+        const ticket = tickets.find(t => t.ticketNumber === activeTicketNumber); if (!ticket) return;
+        readDetailForm(ticket);
+        ticket.parts.splice(index, 1);
+        persistTickets(tickets); renderTicketDetail(ticket);
+    }
+
+    // ==========================================================
+    // KONVERSI TIKET KE KERANJANG
+    // ==========================================================
+    function convertToCart() {
+        if (!UserModule.requirePermission('ticket.manage')) return;
+        const state = AppState.getState(); const { tickets, products, cart } = state;
+        const ticket = tickets.find(t => t.ticketNumber === activeTicketNumber); if (!ticket) return;
+        readDetailForm(ticket);
+        if (ticket.status !== 'done') { UIService.showToast('Hanya tiket berstatus Selesai yang bisa diproses ke kasir.', 'warning'); return; }
+        if (cart.length > 0) { UIService.showToast('Kosongkan keranjang terlebih dahulu.', 'warning'); return; }
+        const service = products.find(p => p.id === ticket.serviceId);
+        if (!service) { UIService.showToast('Pilih jasa servis untuk tiket ini.', 'warning'); return; }
+        const shortPart = ticket.parts.find(part => { const product = products.find(p => p.id === part.id); return !product || ProductService.getAvailableStock(product, cart) < part.quantity; });
+        if (shortPart) { UIService.showToast(`Stok ${shortPart.name} tidak mencukupi!`, 'warning'); return; }
+
+        cart.push({ ...ProductService.toCartItem(service), name: `${service.name} (${ticket.ticketNumber})`, price: ticket.finalCost, quantity: 1, ticketNumber: ticket.ticketNumber });
+        ticket.parts.forEach(part => {
+            const product = products.find(p => p.id === part.id);
+            cart.push({ ...ProductService.toCartItem(product), quantity: part.quantity, ticketNumber: ticket.ticketNumber });
         });
+        persistTickets(tickets);
+        AppState.updateState({ cart, cartCustomerId: ticket.customerId || null });
+        UIService.hideModal('ticketDetailModal'); UIService.hideModal('ticketModal');
+        UIService.showToast(`Tiket ${ticket.ticketNumber} dipindahkan ke keranjang`, 'success');
     }
-    function filterHistory() {
-        const state = AppState.getState(); let { orders } = state;
-        const dateFilter = document.getElementById('historyDateFilter').value;
-        const monthFilter = document.getElementById('historyMonthFilter').value;
-        const searchFilter = document.getElementById('historySearchFilter').value.toLowerCase();
-        orders = orders.filter(order => {
-            const orderDate = new Date(order.timestamp).toISOString().split('T')[0];
-            const orderMonth = orderDate.substring(0, 7);
-            const dateMatch = !dateFilter || orderDate === dateFilter;
-            const monthMatch = !monthFilter || orderMonth === monthFilter;
-            const searchMatch = !searchFilter || order.orderNumber.toLowerCase().includes(searchFilter);
-            return dateMatch && monthMatch && searchMatch;
+
+    function handleOrderCreated(order) {
+        const ticketNumbers = new Set(order.items.map(item => item.ticketNumber).filter(Boolean)); if (ticketNumbers.size === 0) return;
+        const state = AppState.getState(); const { tickets } = state; const now = new Date().toISOString();
+        tickets.filter(t => ticketNumbers.has(t.ticketNumber)).forEach(ticket => {
+            ticket.orderNumber = order.orderNumber; ticket.updatedAt = now;
+            if (ticket.status !== 'picked_up') { ticket.status = 'picked_up'; ticket.statusHistory.push({ status: 'picked_up', timestamp: now }); }
         });
-        const tbody = document.getElementById('historyTableBody'); tbody.innerHTML = '';
-        if (orders.length === 0) { 
-            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">Tidak ada transaksi yang cocok dengan filter.</td></tr>'; 
-            return; 
+        persistTickets(tickets);
+    }
+
+    EventBus.on('orderCreated', handleOrderCreated);
+
+    return { showTickets, getStatusLabel, handleTicketFormSubmit, filterTickets: renderTicketTable, viewTicket, saveTicketDetail, addPart, removePart, convertToCart };
+})();
+
+/**
+ * Customer Module - Manages the customer database and per-customer history
+ */
+const CustomerModule = (function() {
+    function findCustomer(id) { return AppState.getState().customers.find(c => c.id === id); }
+    function persistCustomers(customers) { AppState.updateState({ customers }); return StorageService.saveCustomers(customers); }
+
+    function showCustomers() {
+        UIService.showModal('customerModal');
+        resetCustomerForm();
+        renderCustomerTable();
+    }
+
+    function resetCustomerForm() {
+        document.getElementById('customerForm').reset();
+        document.getElementById('customerId').value = '';
+        document.getElementById('submitCustomerBtn').textContent = 'Tambah Pelanggan';
+    }
+
+    function renderCustomerTable() {
+        const state = AppState.getState(); let { customers } = state;
+        const searchFilter = document.getElementById('customerSearchFilter').value.toLowerCase();
+        customers = customers.filter(c => !searchFilter || `${c.name} ${c.phone}`.toLowerCase().includes(searchFilter));
+        const tbody = document.getElementById('customerTableBody'); tbody.innerHTML = '';
+        if (customers.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;">Tidak ada pelanggan.</td></tr>';
+            return;
         }
-        orders.forEach(order => {
-            const itemsList = order.items.map(item => `${item.name}(${item.quantity})`).join(', ');
-            const row = `
-                <tr>
-                    <td>${order.orderNumber}</td>
-                    <td>${new Date(order.timestamp).toLocaleDateString('id-ID')}</td>
-                    <td>Rp ${order.totalAmount.toLocaleString('id-ID')}</td>
-                    <td>${itemsList}</td>
-                    <td>${order.paymentMethod.replace('-', ' ').toUpperCase()}</td>
-                    <td>
-                        <button class="btn-edit" onclick="HistoryModule.viewOrderReceipt('${order.orderNumber}')">Lihat</button>
-                        <button class="btn-delete" onclick="HistoryModule.deleteOrder('${order.orderNumber}')">Hapus</button>
-                    </td>
-                </tr>
-            `;
+        customers.forEach(customer => {
+            const row = `<tr><td>${customer.name}</td><td>${customer.phone || '-'}</td><td>${customer.address || '-'}</td><td>${customer.notes || '-'}</td><td class="actions"><button class="btn-success" onclick="CustomerModule.viewCustomerHistory(${customer.id})">Riwayat</button><button class="btn-edit" onclick="CustomerModule.populateCustomerFormForEdit(${customer.id})">Edit</button><button class="btn-delete" onclick="CustomerModule.deleteCustomer(${customer.id})">Hapus</button></td></tr>`;
             tbody.innerHTML += row;
         });
     }
-    function viewOrderReceipt(orderNumber) {
-        const state = AppState.getState(); const { orders, settings } = state;
-        const order = orders.find(o => o.orderNumber === orderNumber);
-        if (!order) return;
-        const itemsHTML = order.items.map(item => `<div class="receipt-item"><span>${item.name} x${item.quantity}</span><span>Rp ${(item.price * item.quantity).toLocaleString('id-ID')}</span></div>`).join('');
-        const receiptHTML = `
-            <div class="receipt-header"><h2>${settings.storeName}</h2><p>Jl. Veteran III Gg. Kp. Rw., RT.005/RW.002, Banjar Sari, Kec. Ciawi, Kabupaten Bogor, Jawa Barat 16720</p><p>Telp: +62-858-1378-6413</p></div>
-            <div class="receipt-body">
-                <div class="receipt-item"><span>No. Order</span><span>${order.orderNumber}</span></div><div class="receipt-item"><span>Tanggal</span><span>${new Date(order.timestamp).toLocaleString('id-ID')}</span></div><div class="receipt-item"><span>Kasir</span><span>${settings.serviceName}</span></div><hr style="margin: 1rem 0;">${itemsHTML}
-                <div class="receipt-summary"><div class="receipt-item"><span>Subtotal</span><span>Rp ${order.subtotal.toLocaleString('id-ID')}</span></div>${order.taxAmount > 0 ? `<div class="receipt-item"><span>Pajak (${settings.taxRate}%)</span><span>Rp ${order.taxAmount.toLocaleString('id-ID')}</span></div>` : ''}<div class="receipt-item" style="font-weight: bold; font-size: 1.1rem;"><span>TOTAL</span><span>Rp ${order.totalAmount.toLocaleString('id-ID')}</span></div></div>
-            </div><div class="receipt-footer"><p>================================</p><p>Terima Kasih</p><p>Garansi Servis 1 Minggu</p></div>
-        `;
-        document.getElementById('receiptContent').innerHTML = receiptHTML; UIService.showModal('receiptModal');
+
+    function populateCustomerFormForEdit(id) {
+        const customer = findCustomer(id); if (!customer) return;
+        document.getElementById('customerId').value = customer.id;
+        document.getElementById('customerName').value = customer.name;
+        document.getElementById('customerPhone').value = customer.phone || '';
+        document.getElementById('customerAddress').value = customer.address || '';
+        document.getElementById('customerNotes').value = customer.notes || '';
+        document.getElementById('submitCustomerBtn').textContent = 'Update Pelanggan';
     }
-    function exportDailyToCSV() { const today = new Date().toISOString().split('T')[0]; const state = AppState.getState(); const { orders } = state; const todayOrders = orders.filter(order => order.timestamp.startsWith(today)); if (todayOrders.length === 0) { UIService.showToast('Tidak ada transaksi untuk hari ini.', 'warning'); return; } exportToCSV(todayOrders, `Laporan_Penjualan_${today}.csv`); }
-    function exportFilteredHistory() { const state = AppState.getState(); let { orders } = state; exportToCSV(orders, `Laporan_Penjualan_Filter_${new Date().toISOString().split('T')[0]}.csv`); }
-    function exportToCSV(orderList, filename) {
-        let csvContent = "data:text/csv;charset=utf-8,No. Order,Tanggal,Jam,Total,Item,Jumlah,Harga Satuan,Metode Pembayaran\n";
-        orderList.forEach(order => {
-            const date = new Date(order.timestamp); order.items.forEach(item => {
-                const row = [order.orderNumber, date.toLocaleDateString('id-ID'), date.toLocaleTimeString('id-ID'), order.totalAmount, `"${item.name}"`, item.quantity, item.price, order.paymentMethod.replace('-', ' ').toUpperCase()].join(',');
-                csvContent += row + "\n";
-            });
-        });
-        const encodedUri = encodeURI(csvContent); const link = document.createElement("a"); link.setAttribute("href", encodedUri); link.setAttribute("download", filename); document.body.appendChild(link); link.click(); document.body.removeChild(link); UIService.showToast('Laporan berhasil diunduh', 'success');
+
+    function handleCustomerFormSubmit(event) {
+        event.preventDefault();
+        if (!UserModule.requirePermission('customer.manage')) return;
+        const state = AppState.getState(); const { customers } = state;
+        const id = document.getElementById('customerId').value;
+        const customerData = {
+            id: id ? parseInt(id) : Date.now(),
+            name: document.getElementById('customerName').value.trim(),
+            phone: document.getElementById('customerPhone').value.trim(),
+            address: document.getElementById('customerAddress').value.trim(),
+            notes: document.getElementById('customerNotes').value.trim()
+        };
+        const duplicate = customerData.phone && customers.find(c => c.phone === customerData.phone && c.id !== customerData.id);
+        if (duplicate) { UIService.showToast(`No. HP sudah terdaftar atas nama ${duplicate.name}.`, 'warning'); return; }
+        if (id) {
+            const index = customers.findIndex(c => c.id === customerData.id);
+            if (index !== -1) customers[index] = { ...customers[index], ...customerData };
+        } else {
+            customerData.createdAt = new Date().toISOString();
+            customers.push(customerData);
+        }
+        persistCustomers(customers).then(saved => { if (saved) UIService.showToast(`Pelanggan berhasil ${id ? 'diperbarui' : 'ditambahkan'}`, 'success'); });
+        resetCustomerForm(); renderCustomerTable();
+    }
+
+    function deleteCustomer(id) {
+        if (!UserModule.requirePermission('customer.manage')) return;
+        if (!confirm('Apakah Anda yakin ingin menghapus pelanggan ini? Riwayat transaksinya tetap tersimpan.')) return;
+        const state = AppState.getState(); let { customers, cartCustomerId } = state;
+        customers = customers.filter(c => c.id !== id);
+        AppState.updateState({ cartCustomerId: cartCustomerId === id ? null : cartCustomerId });
+        persistCustomers(customers).then(saved => { if (saved) UIService.showToast('Pelanggan berhasil dihapus', 'success'); }); renderCustomerTable();
     }
-    return { showHistory, filterHistory, viewOrderReceipt, deleteOrder, exportDailyToCSV, exportFilteredHistory };
+
+    /**
+     * Returns the customer with the given phone number, creating one if none exists.
+     * Used by flows that capture a customer inline (e.g. ticket intake).
+     */
+    function findOrCreateCustomer({ name, phone }) {
+        const state = AppState.getState(); const { customers } = state;
+        const existing = customers.find(c => (phone && c.phone === phone) || (!phone && c.name.toLowerCase() === name.toLowerCase()));
+        if (existing) return existing;
+        const customer = { id: Date.now(), name, phone, address: '', notes: '', createdAt: new Date().toISOString() };
+        customers.push(customer); persistCustomers(customers);
+        return customer;
+    }
+
+    /**
+     * Snapshot of the customer stored on orders so receipts stay stable if the customer is edited later.
+     */
+    function getCustomerSnapshot(id) {
+        const customer = findCustomer(id); if (!customer) return null;
+        return { id: customer.id, name: customer.name, phone: customer.phone, address: customer.address };
+    }
+
+    function viewCustomerHistory(id) {
+        const state = AppState.getState(); const { orders, tickets } = state;
+        const customer = findCustomer(id); if (!customer) return;
+        const customerOrders = orders.filter(o => o.customer && o.customer.id === id);
+        const customerTickets = tickets.filter(t => t.customerId === id);
+        const outstanding = customerOrders.filter(order => !order.voided).reduce((sum, order) => sum + PaymentService.getBalanceDue(order), 0);
+        const totalSpent = customerOrders.filter(order => !order.voided).reduce((sum, order) => sum + order.totalAmount, 0) - customerOrders.filter(order => !order.voided).reduce((sum, order) => sum + RefundModule.getRefundsForOrder(order.orderNumber).reduce((s, refund) => s + refund.totalAmount, 0), 0);
+        const ordersHTML = customerOrders.length === 0 ? '<tr><td colspan="4" style="text-align:center;">Belum ada transaksi.</td></tr>' : customerOrders.map(order => `
+            <tr>
+                <td>${order.orderNumber}</td>
+                <td>${new Date(order.timestamp).toLocaleDateString('id-ID')}</td>
+                <td>${order.items.map(item => `${item.name}(${item.quantity})`).join(', ')}</td>
+                <td>Rp ${order.totalAmount.toLocaleString('id-ID')} <button class="btn-edit" onclick="HistoryModule.viewOrderReceipt('${order.orderNumber}')">Lihat</button></td>
+            </tr>
+        `).join('');
+        const ticketsHTML = customerTickets.length === 0 ? '<tr><td colspan="4" style="text-align:center;">Belum ada servis.</td></tr>' : customerTickets.map(ticket => `
+            <tr>
+                <td>${ticket.ticketNumber}</td>
+                <td>${new Date(ticket.createdAt).toLocaleDateString('id-ID')}</td>
+                <td>${ticket.device.brand} ${ticket.device.model} - ${ticket.complaint}</td>
+                <td>${TicketModule.getStatusLabel(ticket.status)} <button class="btn-edit" onclick="TicketModule.viewTicket('${ticket.ticketNumber}')">Detail</button></td>
+            </tr>
+        `).join('');
+        document.getElementById('customerHistoryContent').innerHTML = `
+            <h2>Riwayat ${customer.name}</h2>
+            <div class="ticket-info">
+                <div class="receipt-item"><span>No. HP</span><span>${customer.phone || '-'}</span></div>
+                <div class="receipt-item"><span>Alamat</span><span>${customer.address || '-'}</span></div>
+                <div class="receipt-item"><span>Total Belanja</span><span>Rp ${totalSpent.toLocaleString('id-ID')} (${customerOrders.length} transaksi)</span></div>
+                ${outstanding > 0 ? `<div class="receipt-item"><span>Sisa Tagihan (DP)</span><span>Rp ${outstanding.toLocaleString('id-ID')}</span></div>` : ''}
+            </div>
+            <h3>Pembelian</h3>
+            <table class="history-table"><thead><tr><th>No. Order</th><th>Tanggal</th><th>Item</th><th>Total</th></tr></thead><tbody>${ordersHTML}</tbody></table>
+            <h3>Servis</h3>
+            <table class="history-table"><thead><tr><th>No. Tiket</th><th>Tanggal</th><th>Perangkat & Keluhan</th><th>Status</th></tr></thead><tbody>${ticketsHTML}</tbody></table>
+        `;
+        UIService.showModal('customerHistoryModal');
+    }
+
+    function selectCartCustomer(value) { AppState.updateState({ cartCustomerId: value ? parseInt(value) : null }); }
+
+    return { showCustomers, handleCustomerFormSubmit, populateCustomerFormForEdit, deleteCustomer, filterCustomers: renderCustomerTable, viewCustomerHistory, findOrCreateCustomer, getCustomerSnapshot, selectCartCustomer };
 })();
 
 /**
  * Storage Module
  */
 const StorageModule = (function() {
-    function showStorage() { UIService.showModal('storageModal'); updateStorageInfo(); }
+    // Gambar di atas batas ini diperkecil ke MAX_IMAGE_DIMENSION px (JPEG)
+    const IMAGE_SIZE_LIMIT = 100 * 1024;
+    const MAX_IMAGE_DIMENSION = 400;
+    const IMAGE_QUALITY = 0.8;
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    }
+
+    function downloadJson(data, fileName) {
+        const link = document.createElement('a'); link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })); link.download = fileName; document.body.appendChild(link); link.click(); document.body.removeChild(link);
+    }
+
+    function showStorage() { UIService.showModal('storageModal'); updateStorageInfo(); renderSnapshots(); UpdateModule.renderCatalogInfo(); }
     function updateStorageInfo() {
         const state = AppState.getState(); const { products, orders } = state;
         document.getElementById('productStorageInfo').textContent = `${products.length} item`;
         document.getElementById('orderStorageInfo').textContent = `${orders.length} transaksi`;
-        document.getElementById('storageStatusInfo').textContent = 'Normal (LocalStorage)';
+        document.getElementById('storageStatusInfo').textContent = 'Menghitung...';
+        StorageService.getUsage().then(({ datasets, total, estimate }) => {
+            const statusInfo = document.getElementById('storageStatusInfo');
+            if (!StorageService.isAvailable()) statusInfo.textContent = 'Error - data tidak tersimpan';
+            else if (!estimate) statusInfo.textContent = `IndexedDB - ${formatBytes(total)} (kuota tidak diketahui)`;
+            else statusInfo.textContent = `${estimate.ratio >= 0.95 ? 'Hampir penuh' : estimate.ratio >= 0.8 ? 'Peringatan' : 'Normal'} - ${formatBytes(estimate.usage)} dari ${formatBytes(estimate.quota)}`;
+            const fill = document.getElementById('quotaBarFill');
+            const ratio = estimate ? estimate.ratio : 0;
+            fill.style.width = `${Math.min(ratio * 100, 100).toFixed(1)}%`;
+            fill.className = ratio >= 0.95 ? 'quota-critical' : ratio >= 0.8 ? 'quota-warning' : '';
+            document.getElementById('storageUsageBody').innerHTML = datasets.map(dataset => `<tr><td>${dataset.label.charAt(0).toUpperCase() + dataset.label.slice(1)}</td><td>${dataset.count}</td><td>${formatBytes(dataset.bytes)}</td><td>${total > 0 ? ((dataset.bytes / total) * 100).toFixed(1) : 0}%</td></tr>`).join('')
+                + `<tr><th>Total Data Aplikasi</th><th></th><th>${formatBytes(total)}</th><th>${estimate && estimate.quota ? `${((total / estimate.quota) * 100).toFixed(2)}% kuota` : ''}</th></tr>`;
+        });
+    }
+
+    // ==========================================================
+    // PEMBERSIHAN: ARSIP TRANSAKSI & KOMPRES GAMBAR
+    // ==========================================================
+    /**
+     * Moves orders older than N months (with their refunds) into a downloaded JSON file
+     * and removes them from the database. Orders with an unpaid DP balance are kept.
+     */
+    function archiveOldOrders() {
+        if (!UserModule.requirePermission('data.clear')) return;
+        const months = parseInt(document.getElementById('archiveMonths').value);
+        if (isNaN(months) || months < 1) { UIService.showToast('Jumlah bulan tidak valid.', 'error'); return; }
+        const state = AppState.getState();
+        const cutoff = new Date(); cutoff.setMonth(cutoff.getMonth() - months);
+        const archivedOrders = state.orders.filter(order => new Date(order.timestamp) < cutoff && PaymentService.getBalanceDue(order) === 0);
+        if (archivedOrders.length === 0) { UIService.showToast(`Tidak ada transaksi lebih lama dari ${months} bulan.`, 'warning'); return; }
+        const archivedNumbers = new Set(archivedOrders.map(order => order.orderNumber));
+        const archivedRefunds = state.refunds.filter(refund => archivedNumbers.has(refund.orderNumber));
+        if (!confirm(`${archivedOrders.length} transaksi dan ${archivedRefunds.length} refund sebelum ${cutoff.toLocaleDateString('id-ID')} akan diunduh sebagai arsip lalu dihapus dari aplikasi. Lanjutkan?`)) return;
+        const archive = { type: 'greattech-orders-archive', version: 1, date: new Date().toISOString(), cutoff: cutoff.toISOString(), orders: archivedOrders, refunds: archivedRefunds };
+        downloadJson(archive, `GreatTech_Arsip_Transaksi_${cutoff.toISOString().split('T')[0]}.json`);
+        // Unduhan tidak bisa dipastikan tersimpan, jadi snapshot diambil dulu; jika gagal, penghapusan dibatalkan kecuali pengguna memaksa
+        SnapshotService.takeSnapshot('pre-archive').then(snapshot => {
+            if (!snapshot && !confirm('Snapshot sebelum arsip gagal dibuat. Pastikan file arsip sudah tersimpan. Tetap hapus transaksi dari aplikasi?')) return;
+            const current = AppState.getState();
+            const orders = current.orders.filter(order => !archivedNumbers.has(order.orderNumber));
+            const refunds = current.refunds.filter(refund => !archivedNumbers.has(refund.orderNumber));
+            AppState.updateState({ orders, refunds });
+            return Promise.all([StorageService.saveOrders(orders), StorageService.saveRefunds(refunds)]).then(([ordersSaved, refundsSaved]) => {
+                if (ordersSaved && refundsSaved) UIService.showToast(`${archivedOrders.length} transaksi berhasil diarsipkan. Snapshot sebelum arsip tersedia di menu Penyimpanan.`, 'success');
+                updateStorageInfo(); renderSnapshots();
+            });
+        }).catch(error => { console.error('Archive error:', error); UIService.showToast('Gagal mengarsipkan transaksi.', 'error'); });
+    }
+
+    function downscaleImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas'); canvas.width = Math.round(img.width * scale); canvas.height = Math.round(img.height * scale);
+                const ctx = canvas.getContext('2d'); ctx.fillStyle = '#FFFFFF'; ctx.fillRect(0, 0, canvas.width, canvas.height); ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', IMAGE_QUALITY));
+            };
+            img.onerror = () => reject(new Error('Gambar tidak dapat dibaca'));
+            img.src = src;
+        });
+    }
+
+    /**
+     * Re-encodes product images larger than IMAGE_SIZE_LIMIT as smaller JPEGs. An image
+     * is only replaced when the result is actually smaller.
+     */
+    function optimizeImages() {
+        if (!UserModule.requirePermission('product.edit')) return;
+        const state = AppState.getState(); const { products } = state;
+        StorageService.getImageSizes().then(imageSizes => {
+            const sizeOf = (product) => imageSizes.get(product.id) || ((product.image || '').startsWith('data:') ? Math.round(product.image.length * 0.75) : 0);
+            const candidates = products.filter(product => sizeOf(product) > IMAGE_SIZE_LIMIT);
+            if (candidates.length === 0) { UIService.showToast(`Tidak ada gambar di atas ${formatBytes(IMAGE_SIZE_LIMIT)}.`, 'warning'); return; }
+            UIService.showLoading();
+            let saved = 0; let optimized = 0;
+            return Promise.all(candidates.map(product => downscaleImage(product.image).then(dataUrl => {
+                const newSize = Math.round((dataUrl.length - dataUrl.indexOf(',') - 1) * 0.75);
+                if (newSize >= sizeOf(product)) return;
+                saved += sizeOf(product) - newSize; optimized++;
+                product.image = dataUrl;
+            }).catch(error => console.error(`Image optimize failed for ${product.name}:`, error)))).then(() => {
+                UIService.hideLoading();
+                if (optimized === 0) { UIService.showToast('Gambar sudah optimal.', 'warning'); return; }
+                AppState.updateState({ products });
+                StorageService.saveProducts(products).then(ok => { if (ok) UIService.showToast(`${optimized} gambar dikompres, hemat ${formatBytes(saved)}`, 'success'); updateStorageInfo(); });
+            });
+        });
     }
+    // ==========================================================
+    // BACKUP & RESTORE
+    // ==========================================================
+    let pendingRestore = null;
+
+    // Backup memuat hash PIN semua pengguna, jadi hanya pemilik yang boleh mengunduhnya
     function backupData() {
-        const state = AppState.getState(); const { products, orders, settings } = state;
-        const backupData = { version: '1.0', date: new Date().toISOString(), products, orders, settings };
-        const dataStr = JSON.stringify(backupData, null, 2); const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const link = document.createElement('a'); link.href = URL.createObjectURL(dataBlob); link.download = `GreatTech_Backup_${new Date().toISOString().split('T')[0]}.json`; document.body.appendChild(link); link.click(); document.body.removeChild(link);
-        UIService.showToast('Backup berhasil diunduh', 'success');
+        if (!UserModule.requirePermission('data.backup')) return;
+        BackupService.createBackup().then(backup => {
+            downloadJson(backup, `GreatTech_Backup_${new Date().toISOString().split('T')[0]}.json`);
+            UIService.showToast('Backup berhasil diunduh', 'success');
+        }).catch(error => { console.error('Backup error:', error); UIService.showToast('Gagal membuat backup.', 'error'); });
     }
+
+    /**
+     * Reads and validates the chosen file, then opens the preview instead of restoring
+     * straight away. Nothing is written until confirmRestore.
+     */
     function restoreData(event) {
         const file = event.target.files[0]; if (!file) return;
+        if (!UserModule.requirePermission('data.restore')) { event.target.value = ''; return; }
         const reader = new FileReader();
         reader.onload = function(e) {
-            try {
-                const backupData = JSON.parse(e.target.result);
-                if (!backupData.products || !backupData.orders) { throw new Error('Format backup tidak valid'); }
-                if (confirm('Restore data akan menimpa data saat ini. Lanjutkan?')) {
-                    AppState.setState({ products: backupData.products, orders: backupData.orders, settings: backupData.settings || AppState.getState().settings });
-                    StorageService.saveProducts(backupData.products); StorageService.saveOrders(backupData.orders); StorageService.saveSettings(backupData.settings || AppState.getState().settings);
-                    UIService.showToast('Data berhasil di-restore', 'success'); UIService.hideModal('storageModal');
-                }
-            } catch (error) { console.error('Restore error:', error); UIService.showToast('Gagal restore data. Format file tidak valid.', 'error'); }
+            BackupService.readBackup(e.target.result).then(result => {
+                pendingRestore = { ...result, fileName: file.name };
+                document.querySelector('input[name="restoreMode"][value="replace"]').checked = true;
+                renderRestorePreview(); UIService.showModal('restorePreviewModal');
+            }).catch(error => { console.error('Restore error:', error); UIService.showToast(`Gagal membaca backup. ${error.message}`, 'error'); });
         };
         reader.readAsText(file); event.target.value = '';
     }
+
+    function getRestoreMode() { return document.querySelector('input[name="restoreMode"]:checked').value; }
+
+    function renderRestorePreview() {
+        if (!pendingRestore) return;
+        const { backup, sourceVersion, checksumStatus, issues, fileName } = pendingRestore; const mode = getRestoreMode();
+        const rows = BackupService.diffBackup(backup, mode);
+        document.getElementById('restorePreviewInfo').innerHTML = `
+            <div class="receipt-item"><span>File</span><span>${fileName}</span></div>
+            <div class="receipt-item"><span>Dibuat</span><span>${backup.createdAt ? new Date(backup.createdAt).toLocaleString('id-ID') : '-'}${backup.storeName ? ` (${backup.storeName})` : ''}</span></div>
+            <div class="receipt-item"><span>Versi</span><span>${sourceVersion === 1 ? '1.0' : sourceVersion}${sourceVersion < BackupService.CURRENT_VERSION ? ` (dimigrasi ke ${BackupService.CURRENT_VERSION})` : ''}</span></div>
+            <div class="receipt-item"><span>Checksum</span><span>${checksumStatus === 'ok' ? 'Valid' : 'Tidak tersedia (backup versi lama)'}</span></div>
+        `;
+        document.getElementById('restorePreviewBody').innerHTML = rows.map(row => `<tr><td>${row.label.charAt(0).toUpperCase() + row.label.slice(1)}</td><td>${row.incoming}</td><td>${row.added}</td><td>${row.changed}</td><td>${row.removed}</td><td>${row.skipped}</td></tr>`).join('');
+        document.getElementById('restorePreviewNote').textContent = mode === 'merge'
+            ? 'Produk dicocokkan berdasarkan SKU dan transaksi berdasarkan nomor order. Data yang sudah ada tidak diubah dan stok tidak dihitung ulang.'
+            : `Data di perangkat ini akan diganti untuk koleksi di atas${backup.settings ? ', termasuk pengaturan' : ''}. Koleksi yang tidak ada di file tetap dipertahankan.`;
+        document.getElementById('restorePreviewIssues').innerHTML = issues.length === 0 ? '' : `<p><strong>${issues.length} record tidak valid akan dilewati:</strong></p><ul>${issues.slice(0, 20).map(issue => `<li>${issue}</li>`).join('')}${issues.length > 20 ? `<li>... dan ${issues.length - 20} lainnya</li>` : ''}</ul>`;
+    }
+
+    function confirmRestore() {
+        if (!pendingRestore || !UserModule.requirePermission('data.restore')) return;
+        const mode = getRestoreMode();
+        if (mode === 'replace' && !confirm('Restore data akan menimpa data saat ini. Lanjutkan?')) return;
+        const { backup } = pendingRestore; pendingRestore = null; UIService.hideModal('restorePreviewModal');
+        applyRestore(backup, mode);
+    }
+
+    /**
+     * Replacing data first takes a "pre-restore" snapshot so the restore itself can be
+     * undone from the snapshot list.
+     */
+    function applyRestore(backup, mode) {
+        const restoresUsers = mode === 'replace' && !!backup.datasets.users;
+        const snapshot = mode === 'replace' ? SnapshotService.takeSnapshot('pre-restore') : Promise.resolve(null);
+        if (mode === 'replace') SyncService.pause();
+        return snapshot.then(() => BackupService.applyBackup(backup, mode)).then(saved => {
+            StockService.ensureOpeningBalances(); ShiftModule.updateShiftIndicator();
+            if (mode === 'replace') SyncService.reset();
+            UIService.hideModal('storageModal');
+            if (saved) UIService.showToast(mode === 'merge' ? 'Data berhasil digabungkan' : 'Data berhasil di-restore', 'success');
+            // Akun pengguna ikut diganti, jadi login ulang dengan akun dari backup
+            if (restoresUsers) UserModule.lock();
+        });
+    }
+
+    // ==========================================================
+    // SNAPSHOT OTOMATIS
+    // ==========================================================
+    function renderSnapshots() {
+        StorageService.listSnapshots().then(snapshots => {
+            document.getElementById('snapshotTableBody').innerHTML = snapshots.length === 0 ? '<tr><td colspan="5" style="text-align:center;">Belum ada snapshot.</td></tr>' : snapshots.map(snapshot => `
+                <tr>
+                    <td>${new Date(snapshot.createdAt).toLocaleString('id-ID')}</td>
+                    <td>${SnapshotService.getReasonLabel(snapshot.reason)}</td>
+                    <td>${snapshot.counts.products} item, ${snapshot.counts.orders} transaksi</td>
+                    <td>${formatBytes(snapshot.bytes)}</td>
+                    <td class="actions">
+                        <button class="btn-success" onclick="StorageModule.restoreSnapshot('${snapshot.id}')">Restore</button>
+                        <button class="btn-edit" onclick="StorageModule.downloadSnapshot('${snapshot.id}')">Unduh</button>
+                        <button class="btn-delete" onclick="StorageModule.deleteSnapshot('${snapshot.id}')">Hapus</button>
+                    </td>
+                </tr>
+            `).join('');
+        });
+    }
+
+    function takeSnapshotNow() {
+        SnapshotService.takeSnapshot('manual').then(meta => {
+            if (meta) UIService.showToast('Snapshot berhasil dibuat', 'success');
+            renderSnapshots(); updateStorageInfo();
+        });
+    }
+
+    function loadSnapshot(id) {
+        return StorageService.getSnapshot(id).then(snapshot => {
+            if (!snapshot) throw new Error('Snapshot tidak ditemukan.');
+            return BackupService.validateBackup(snapshot);
+        });
+    }
+
+    function restoreSnapshot(id) {
+        if (!UserModule.requirePermission('data.restore')) return;
+        loadSnapshot(id).then(({ backup, issues }) => {
+            const skipped = issues.length > 0 ? ` ${issues.length} record tidak valid akan dilewati.` : '';
+            if (!confirm(`Kembalikan semua data ke snapshot ${new Date(backup.createdAt).toLocaleString('id-ID')}? Data saat ini akan diganti.${skipped}`)) return;
+            return applyRestore(backup, 'replace');
+        }).catch(error => { console.error('Snapshot restore error:', error); UIService.showToast(`Gagal restore snapshot. ${error.message}`, 'error'); });
+    }
+
+    function downloadSnapshot(id) {
+        if (!UserModule.requirePermission('data.backup')) return;
+        StorageService.getSnapshot(id).then(snapshot => {
+            if (!snapshot) return;
+            downloadJson(snapshot, `GreatTech_Snapshot_${snapshot.createdAt.replace(/[:.]/g, '-')}.json`);
+        });
+    }
+
+    function deleteSnapshot(id) {
+        if (!UserModule.requirePermission('data.clear')) return;
+        if (!confirm('Hapus snapshot ini?')) return;
+        StorageService.deleteSnapshots([id]).then(() => { renderSnapshots(); updateStorageInfo(); });
+    }
+
     function clearAllData() {
-        if (!confirm('Apakah Anda yakin ingin menghapus SEMUA data? Tindakan ini tidak dapat dibatalkan.')) return;
-        if (confirm('PERINGATAN: Semua data akan PERMANEN dihapus. Yakin ingin melanjutkan?')) {
-            localStorage.clear(); AppState.setState({ products: StorageService.loadInitialData().products, orders: [], cart: [] });
-            UIService.showToast('Semua data berhasil dihapus', 'success'); UIService.hideModal('storageModal');
+        if (!UserModule.requirePermission('data.clear')) return;
+        if (!confirm('Apakah Anda yakin ingin menghapus SEMUA data? Snapshot terakhir tetap disimpan agar data dapat dipulihkan.')) return;
+        if (confirm('PERINGATAN: Semua data akan dihapus dari aplikasi. Yakin ingin melanjutkan?')) {
+            // Snapshot terakhir disimpan dulu; jika gagal, penghapusan dibatalkan kecuali pengguna memaksa
+            SnapshotService.takeSnapshot('pre-clear').then(snapshot => {
+                if (!snapshot && !confirm('Snapshot sebelum hapus gagal dibuat. Tetap hapus semua data?')) return;
+                SyncService.pause();
+                return StorageService.clearAll().then(StorageService.loadInitialData).then(() => {
+                    StockService.ensureOpeningBalances(); SyncService.reset();
+                    UIService.showToast('Semua data berhasil dihapus. Snapshot terakhir tersedia di menu Penyimpanan.', 'success'); UIService.hideModal('storageModal');
+                    UserModule.lock();
+                });
+            }).catch(error => { console.error('Clear error:', error); UIService.showToast('Gagal menghapus data.', 'error'); });
         }
     }
-    return { showStorage, updateStorageInfo, backupData, restoreData, clearAllData };
+    return { showStorage, updateStorageInfo, archiveOldOrders, optimizeImages, backupData, restoreData, renderRestorePreview, confirmRestore, takeSnapshotNow, restoreSnapshot, downloadSnapshot, deleteSnapshot, clearAllData };
 })();
 
 /**
- * Update Module - Handles data update simulation
+ * Update Module - Signed catalog updates from a feed URL or an imported file
+ *
+ * Feed format (JSON):
+ *   { format: 'greattech-catalog-update', version: '2024.06.1', baseVersion?, date, changelog: [..],
+ *     added: [{ sku, name, type, price, costPrice?, warrantyDays?, duration?, image? }],
+ *     changed: [{ sku, ...field yang berubah }], priceChanges: [{ sku, price, costPrice? }], removed: ['SKU'],
+ *     signature: { algorithm: 'ECDSA-P256-SHA256', value: base64 } }
+ * The signature covers the file without `signature`, serialised with sorted keys and no
+ * whitespace (e.g. `jq -cjS 'del(.signature)'`), and is checked against the public key
+ * in Settings. Both raw (r||s) and DER (openssl) signatures are accepted.
  */
 const UpdateModule = (function() {
+    const FORMAT = 'greattech-catalog-update';
+    // Field katalog yang boleh diubah feed; stok lokal tidak pernah disentuh
+    const CHANGE_FIELDS = ['name', 'type', 'price', 'costPrice', 'warrantyDays', 'duration', 'image'];
+    const FIELD_LABELS = { name: 'Nama', type: 'Tipe', price: 'Harga', costPrice: 'HPP', warrantyDays: 'Garansi (hari)', duration: 'Durasi (menit)', image: 'Gambar' };
     let pendingUpdate = null;
+
+    function normalizeSku(sku) { return String(sku || '').trim().toUpperCase(); }
+    function formatValue(field, value) {
+        if (value === undefined || value === null || value === '') return '-';
+        if (field === 'price' || field === 'costPrice') return `Rp ${value.toLocaleString('id-ID')}`;
+        if (field === 'image') return 'diganti';
+        return value;
+    }
+
+    // ==========================================================
+    // VERIFIKASI & VALIDASI FILE PEMBARUAN
+    // ==========================================================
+    function canonicalJson(value) {
+        if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+        if (value && typeof value === 'object') return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+        return JSON.stringify(value);
+    }
+    function base64ToBytes(base64) { const binary = atob(base64.replace(/\s+/g, '')); return Uint8Array.from(binary, char => char.charCodeAt(0)); }
+
+    // Tanda tangan DER (SEQUENCE { INTEGER r, INTEGER s }) diubah ke format r||s yang dipakai WebCrypto
+    function toRawSignature(bytes) {
+        if (bytes.length === 64) return bytes;
+        if (bytes[0] !== 0x30) throw new Error('Format tanda tangan tidak dikenali.');
+        let offset = bytes[1] & 0x80 ? 2 + (bytes[1] & 0x7f) : 2;
+        const raw = new Uint8Array(64);
+        for (let part = 0; part < 2; part++) {
+            const length = bytes[offset + 1]; let value = bytes.slice(offset + 2, offset + 2 + length);
+            while (value.length > 32 && value[0] === 0) value = value.slice(1);
+            raw.set(value, part * 32 + 32 - value.length);
+            offset += 2 + length;
+        }
+        return raw;
+    }
+
+    function verifySignature(raw) {
+        const pem = AppState.getState().settings.catalogPublicKey;
+        if (!pem) return Promise.reject(new Error('Kunci publik penerbit katalog belum diatur di Pengaturan.'));
+        if (!crypto.subtle) return Promise.reject(new Error('Browser tidak mendukung verifikasi tanda tangan.'));
+        const { signature, ...payload } = raw;
+        return Promise.resolve().then(() => {
+            const keyData = base64ToBytes(pem.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, ''));
+            return crypto.subtle.importKey('spki', keyData, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+        }).catch(() => { throw new Error('Kunci publik di Pengaturan tidak valid.'); })
+            .then(key => crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, toRawSignature(base64ToBytes(signature.value)), new TextEncoder().encode(canonicalJson(payload))))
+            .then(valid => { if (!valid) throw new Error('Tanda tangan tidak valid. File mungkin telah diubah atau bukan dari penerbit resmi.'); });
+    }
+
+    function compareVersions(a, b) {
+        const partsA = String(a).split('.').map(part => parseInt(part) || 0); const partsB = String(b).split('.').map(part => parseInt(part) || 0);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return Math.sign(diff);
+        }
+        return 0;
+    }
+
+    function checkFields(entry, label) {
+        const isAmount = (value) => Number.isFinite(value) && value >= 0;
+        if (!entry || typeof entry !== 'object' || !normalizeSku(entry.sku)) throw new Error(`${label}: SKU wajib diisi.`);
+        if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name.trim())) throw new Error(`${label} (${entry.sku}): nama tidak valid.`);
+        if (entry.type !== undefined && !['product', 'service'].includes(entry.type)) throw new Error(`${label} (${entry.sku}): tipe harus product atau service.`);
+        ['price', 'costPrice', 'warrantyDays', 'duration'].forEach(field => { if (entry[field] !== undefined && !isAmount(entry[field])) throw new Error(`${label} (${entry.sku}): ${FIELD_LABELS[field].toLowerCase()} tidak valid.`); });
+        if (entry.image !== undefined && typeof entry.image !== 'string') throw new Error(`${label} (${entry.sku}): gambar tidak valid.`);
+    }
+
+    /**
+     * Checks the structure of an update and that it follows the installed catalog version.
+     * Throws with a message for the first problem, so nothing is applied from a bad file.
+     */
+    function validateUpdate(raw) {
+        if (!raw || raw.format !== FORMAT) throw new Error('Bukan file pembaruan katalog GreatTech.');
+        if (typeof raw.version !== 'string' || !raw.version.trim()) throw new Error('Versi pembaruan tidak ada.');
+        if (!raw.signature || typeof raw.signature.value !== 'string') throw new Error('Pembaruan tidak ditandatangani.');
+        const update = { ...raw, changelog: raw.changelog || [], added: raw.added || [], changed: raw.changed || [], priceChanges: raw.priceChanges || [], removed: raw.removed || [] };
+        if (!['changelog', 'added', 'changed', 'priceChanges', 'removed'].every(key => Array.isArray(update[key]))) throw new Error('Struktur pembaruan tidak valid.');
+        update.added.forEach((item, index) => {
+            checkFields(item, `Item baru #${index + 1}`);
+            if (!item.name || !item.type || item.price === undefined) throw new Error(`Item baru #${index + 1} (${item.sku}): nama, tipe dan harga wajib diisi.`);
+        });
+        update.changed.forEach((item, index) => checkFields(item, `Perubahan #${index + 1}`));
+        update.priceChanges.forEach((item, index) => {
+            checkFields(item, `Perubahan harga #${index + 1}`);
+            if (item.price === undefined) throw new Error(`Perubahan harga #${index + 1} (${item.sku}): harga wajib diisi.`);
+        });
+        if (!update.removed.every(sku => typeof sku === 'string' && normalizeSku(sku))) throw new Error('Daftar SKU yang dihapus tidak valid.');
+        const installed = AppState.getState().catalog.version;
+        if (installed && compareVersions(update.version, installed) <= 0) throw new Error(`Versi ${update.version} tidak lebih baru dari katalog terpasang (${installed}).`);
+        if (update.baseVersion && update.baseVersion !== installed) throw new Error(`Pembaruan ini untuk katalog versi ${update.baseVersion}, sedangkan yang terpasang ${installed || 'belum ada'}.`);
+        return update;
+    }
+
+    /**
+     * Matches every entry to the local catalogue by SKU. Entries that cannot be applied
+     * (unknown SKU, SKU already present, product still in a cart) are listed as skipped.
+     */
+    function planUpdate(update) {
+        const { products, cart, parkedCarts } = AppState.getState();
+        const bySku = new Map(products.map(product => [normalizeSku(product.sku), product]));
+        const inCart = new Set([...cart, ...parkedCarts.flatMap(parked => parked.items)].map(item => item.id));
+        const plan = { added: [], changed: [], removed: [], skipped: [] };
+        let nextId = Math.max(0, ...products.map(product => product.id)) + 1;
+        update.added.forEach(item => {
+            if (bySku.has(normalizeSku(item.sku))) { plan.skipped.push(`${item.sku}: sudah ada di katalog, tidak ditambahkan`); return; }
+            const product = { id: nextId++, sku: item.sku.trim(), name: item.name.trim(), type: item.type, price: item.price, costPrice: item.costPrice || 0, warrantyDays: item.warrantyDays || 0, image: item.image || `https://via.placeholder.com/80x80/cccccc/FFFFFF?text=${encodeURIComponent(item.name.substring(0, 5))}` };
+            if (item.type === 'product') product.stock = 0; else product.duration = item.duration || 0;
+            bySku.set(normalizeSku(item.sku), product); plan.added.push(product);
+        });
+        const changes = new Map();
+        const queueChange = (entry, fields) => {
+            const product = bySku.get(normalizeSku(entry.sku));
+            if (!product || plan.added.includes(product)) { plan.skipped.push(`${entry.sku}: tidak ditemukan, perubahan dilewati`); return; }
+            const change = changes.get(product.id) || { product, before: {}, after: {} };
+            fields.forEach(field => {
+                if (entry[field] === undefined || entry[field] === product[field]) return;
+                if (!(field in change.before)) change.before[field] = product[field];
+                change.after[field] = entry[field];
+            });
+            changes.set(product.id, change);
+        };
+        update.changed.forEach(entry => queueChange(entry, CHANGE_FIELDS));
+        update.priceChanges.forEach(entry => queueChange(entry, ['price', 'costPrice']));
+        update.removed.forEach(sku => {
+            const product = bySku.get(normalizeSku(sku));
+            if (!product || plan.added.includes(product)) { plan.skipped.push(`${sku}: tidak ditemukan, tidak dihapus`); return; }
+            if (inCart.has(product.id)) { plan.skipped.push(`${sku}: masih ada di keranjang, tidak dihapus`); return; }
+            plan.removed.push(product); changes.delete(product.id);
+        });
+        plan.changed = [...changes.values()].filter(change => Object.keys(change.after).length > 0);
+        return plan;
+    }
+
+    // ==========================================================
+    // MEMUAT PEMBARUAN (URL / FILE)
+    // ==========================================================
+    function loadUpdate(raw) {
+        // Tanda tangan dicek pada file asli; hasil validateUpdate sudah menambah bagian kosong yang tidak ikut ditandatangani
+        return Promise.resolve().then(() => validateUpdate(raw)).then(update => verifySignature(raw).then(() => {
+            pendingUpdate = { update, plan: planUpdate(update) };
+            showUpdateModal();
+        }));
+    }
+
     function checkForUpdates() {
+        const url = AppState.getState().settings.catalogUpdateUrl;
+        if (!url) { UIService.showToast('URL feed pembaruan belum diatur di Pengaturan. Gunakan "Impor File Pembaruan" untuk file lokal.', 'warning'); return; }
         UIService.showLoading();
-        setTimeout(() => {
-            const currentVersion = '1.0';
-            const latestVersion = '1.1';
-            if (currentVersion === latestVersion) {
+        fetch(url, { cache: 'no-store' })
+            .then(response => { if (!response.ok) throw new Error(`Server membalas ${response.status}.`); return response.json(); })
+            .then(raw => {
                 UIService.hideLoading();
-                UIService.showToast('Anda menggunakan versi terbaru.', 'success');
-                return;
-            }
-            const newProduct = { id: Date.now(), sku: 'UPD001', name: 'Charger Laptop 65W (UPDATE)', type: 'product', price: 250000, stock: 20, image: 'https://via.placeholder.com/80x80/FF5722/FFFFFF?text=UPDATE' };
-            pendingUpdate = { 
-                version: latestVersion, 
-                date: new Date().toISOString(), 
-                items: [newProduct],
-                changelog: ['Ditambahkan: Produk baru "Charger Laptop 65W"', 'Perbaikan: Penanganan stok yang lebih aman', 'Peningkatan: Stabilitas umum aplikasi']
-            };
-            UIService.hideLoading(); 
-            showUpdateModal();
-        }, 1500);
+                const installed = AppState.getState().catalog.version;
+                if (raw && raw.format === FORMAT && installed && compareVersions(raw.version, installed) <= 0) { UIService.showToast(`Katalog sudah versi terbaru (${installed}).`, 'success'); return; }
+                return loadUpdate(raw);
+            })
+            .catch(error => { UIService.hideLoading(); console.error('Update check error:', error); UIService.showToast(`Gagal memeriksa pembaruan. ${error.message}`, 'error'); });
+    }
+
+    function importUpdateFile(event) {
+        const file = event.target.files[0]; if (!file) return;
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            let raw;
+            try { raw = JSON.parse(e.target.result); } catch (error) { UIService.showToast('File pembaruan bukan JSON yang valid.', 'error'); return; }
+            loadUpdate(raw).catch(error => { console.error('Update import error:', error); UIService.showToast(`Pembaruan ditolak. ${error.message}`, 'error'); });
+        };
+        reader.readAsText(file); event.target.value = '';
+    }
+
+    // ==========================================================
+    // TAMPILAN, PENERAPAN & PEMBATALAN
+    // ==========================================================
+    function renderPlan(plan) {
+        const section = (title, rows) => rows.length === 0 ? '' : `<h3>${title} (${rows.length})</h3><ul>${rows.join('')}</ul>`;
+        return section('Item Baru', plan.added.map(item => `<li>${item.sku} - ${item.name} - Rp ${item.price.toLocaleString('id-ID')}</li>`))
+            + section('Diubah', plan.changed.map(({ product, before, after }) => `<li>${product.sku} - ${product.name}: ${Object.keys(after).map(field => `${FIELD_LABELS[field]} ${formatValue(field, before[field])} &rarr; ${formatValue(field, after[field])}`).join(', ')}</li>`))
+            + section('Dihapus', plan.removed.map(item => `<li>${item.sku} - ${item.name}</li>`))
+            + section('Dilewati', plan.skipped.map(message => `<li>${message}</li>`))
+            || '<p>Tidak ada perubahan pada katalog.</p>';
     }
+
     function showUpdateModal() {
         if (!pendingUpdate) return;
-        const detailsText = document.getElementById('updateDetailsText');
-        detailsText.innerHTML = `<strong>Version:</strong> ${pendingUpdate.version}<br><strong>Tanggal Rilis:</strong> ${new Date(pendingUpdate.date).toLocaleString('id-ID')}<br><h3>Item Baru:</h3><ul>${pendingUpdate.items.map(item => `<li>${item.name} - Rp ${item.price.toLocaleString('id-ID')}</li>`).join('')}</ul>`;
-        const changelogContainer = document.getElementById('updateChangelogContainer');
-        changelogContainer.innerHTML = `
+        const { update, plan } = pendingUpdate; const installed = AppState.getState().catalog.version;
+        document.getElementById('updateDetailsText').innerHTML = `<strong>Versi:</strong> ${installed || '-'} &rarr; ${update.version}<br><strong>Tanggal Rilis:</strong> ${update.date ? new Date(update.date).toLocaleString('id-ID') : '-'}<br><strong>Tanda Tangan:</strong> Valid${renderPlan(plan)}`;
+        document.getElementById('updateChangelogContainer').innerHTML = update.changelog.length === 0 ? '' : `
             <div class="update-changelog">
                 <h4>Catatan Pembaruan (Changelog):</h4>
                 <ul>
-                    ${pendingUpdate.changelog.map(change => `<li>${change}</li>`).join('')}
+                    ${update.changelog.map(change => `<li>${change}</li>`).join('')}
                 </ul>
             </div>
         `;
+        document.getElementById('applyUpdateBtn').style.display = '';
         UIService.showModal('updateModal');
     }
+
+    /**
+     * Applies the pending update in a single products write. If that write fails the
+     * previous catalogue is put back, so an update is either fully applied or not at all.
+     * What changed is kept as `catalog.lastUpdate` for revertLastUpdate.
+     */
     function applyUpdate() {
         if (!pendingUpdate) return;
-        const state = AppState.getState(); let { products } = state;
-        pendingUpdate.items.forEach(newItem => {
-            if (!products.find(p => p.sku === newItem.sku)) { products.push(newItem); }
+        if (!UserModule.requirePermission('product.edit')) return;
+        const { update, plan } = pendingUpdate; const state = AppState.getState(); const previousProducts = state.products;
+        const removedIds = new Set(plan.removed.map(product => product.id));
+        const changesById = new Map(plan.changed.map(change => [change.product.id, change.after]));
+        const products = [...previousProducts.filter(product => !removedIds.has(product.id)).map(product => changesById.has(product.id) ? { ...product, ...changesById.get(product.id) } : product), ...plan.added];
+        // Gambar produk yang dihapus disematkan agar bisa dipulihkan setelah Blob-nya terhapus
+        StorageService.withEmbeddedImages(plan.removed).then(removed => {
+            AppState.updateState({ products });
+            return StorageService.saveProducts(products).then(saved => {
+                if (!saved) {
+                    AppState.updateState({ products: previousProducts });
+                    return StorageService.saveProducts(previousProducts).then(() => UIService.showToast('Pembaruan katalog dibatalkan karena gagal disimpan.', 'error'));
+                }
+                const catalog = {
+                    version: update.version,
+                    installedAt: new Date().toISOString(),
+                    lastUpdate: { version: update.version, previousVersion: state.catalog.version, previousInstalledAt: state.catalog.installedAt, appliedAt: new Date().toISOString(), user: UserModule.getCurrentUserName(), addedIds: plan.added.map(product => product.id), changed: plan.changed.map(({ product, before, after }) => ({ id: product.id, sku: product.sku, before, after })), removed }
+                };
+                AppState.updateState({ catalog }); StorageService.saveCatalog(catalog); StockService.ensureOpeningBalances();
+                pendingUpdate = null;
+                document.getElementById('updateDetailsText').innerHTML = `<strong>Katalog diperbarui ke versi ${update.version}.</strong>${renderPlan(plan)}`;
+                document.getElementById('applyUpdateBtn').style.display = 'none';
+                renderCatalogInfo();
+                UIService.showToast(`Pembaruan ${update.version} diterapkan: ${plan.added.length} baru, ${plan.changed.length} diubah, ${plan.removed.length} dihapus`, 'success');
+            });
+        }).catch(error => { console.error('Update apply error:', error); UIService.showToast('Gagal menerapkan pembaruan.', 'error'); });
+    }
+
+    /**
+     * Undoes the last applied update: removes the items it added, restores removed items
+     * and puts back old values for fields it changed. Fields edited by hand since the
+     * update are left alone.
+     */
+    function revertLastUpdate() {
+        if (!UserModule.requirePermission('product.edit')) return;
+        const state = AppState.getState(); const last = state.catalog.lastUpdate;
+        if (!last) { UIService.showToast('Tidak ada pembaruan katalog yang bisa dibatalkan.', 'warning'); return; }
+        if (!confirm(`Batalkan pembaruan katalog ${last.version} dan kembali ke ${last.previousVersion ? `versi ${last.previousVersion}` : 'katalog sebelumnya'}?`)) return;
+        const addedIds = new Set(last.addedIds); const changes = new Map(last.changed.map(change => [change.id, change]));
+        const inCart = new Set([...state.cart, ...state.parkedCarts.flatMap(parked => parked.items)].map(item => item.id));
+        const kept = [];
+        const products = state.products.filter(product => {
+            if (!addedIds.has(product.id)) return true;
+            if (inCart.has(product.id)) { kept.push(product.name); return true; }
+            return false;
+        }).map(product => {
+            const change = changes.get(product.id); if (!change) return product;
+            const restored = { ...product };
+            Object.entries(change.after).forEach(([field, value]) => {
+                if (restored[field] !== value) return;
+                if (change.before[field] === undefined) delete restored[field]; else restored[field] = change.before[field];
+            });
+            return restored;
+        });
+        const skus = new Set(products.map(product => normalizeSku(product.sku)));
+        last.removed.forEach(product => { if (!skus.has(normalizeSku(product.sku)) && !products.some(p => p.id === product.id)) products.push(product); });
+        AppState.updateState({ products });
+        StorageService.saveProducts(products).then(saved => {
+            if (!saved) return;
+            const catalog = { version: last.previousVersion, installedAt: last.previousInstalledAt, lastUpdate: null };
+            AppState.updateState({ catalog }); StorageService.saveCatalog(catalog); StockService.ensureOpeningBalances();
+            renderCatalogInfo();
+            UIService.showToast(`Pembaruan ${last.version} dibatalkan${kept.length > 0 ? `. Masih di keranjang, tidak dihapus: ${kept.join(', ')}` : ''}`, kept.length > 0 ? 'warning' : 'success');
         });
-        AppState.updateState({ products }); StorageService.saveProducts(products);
-        UIService.showToast('Pembaruan data berhasil diterapkan!', 'success');
-        UIService.hideModal('updateModal'); pendingUpdate = null;
     }
-    return { checkForUpdates, applyUpdate };
+
+    function renderCatalogInfo() {
+        const { catalog } = AppState.getState();
+        document.getElementById('catalogVersionInfo').textContent = catalog.version ? `Versi katalog: ${catalog.version} (dipasang ${new Date(catalog.installedAt).toLocaleString('id-ID')})` : 'Versi katalog: belum ada pembaruan terpasang';
+        document.getElementById('revertCatalogBtn').disabled = !catalog.lastUpdate;
+    }
+
+    return { checkForUpdates, importUpdateFile, applyUpdate, revertLastUpdate, renderCatalogInfo };
 })();
 
 /**
@@ -901,17 +5430,36 @@ const UpdateModule = (function() {
  */
 const App = (function() {
     let selectedPaymentMethod = null;
+    let tenders = [];
     function init() {
-        StorageService.loadInitialData();
-        setupEventListeners();
-        renderInitialUI();
-        setupGlobalModalListeners();
+        registerServiceWorker();
+        UIService.showLoading();
+        StorageService.loadInitialData().then(() => {
+            UIService.hideLoading();
+            StockService.ensureOpeningBalances();
+            ProductService.validateRestoredCart();
+            ParkedCartModule.releaseExpiredCarts();
+            setInterval(ParkedCartModule.releaseExpiredCarts, 60000);
+            SnapshotService.start();
+            SyncService.start();
+            setupEventListeners();
+            setupOfflineIndicator();
+            renderInitialUI();
+            setupGlobalModalListeners();
+            UserModule.lock();
+        });
     }
     function setupEventListeners() {
         document.getElementById('dashboardBtn').onclick = DashboardModule.showDashboard;
         document.getElementById('settingsBtn').onclick = SettingsModule.showSettings;
         document.getElementById('storageBtn').onclick = StorageModule.showStorage;
         document.getElementById('historyBtn').onclick = HistoryModule.showHistory;
+        document.getElementById('ticketsBtn').onclick = TicketModule.showTickets;
+        document.getElementById('customersBtn').onclick = CustomerModule.showCustomers;
+        document.getElementById('purchasesBtn').onclick = PurchaseModule.showPurchases;
+        document.getElementById('shiftBtn').onclick = ShiftModule.showShifts;
+        document.getElementById('syncBtn').onclick = SyncService.handleIndicatorClick;
+        document.getElementById('cartCustomerSelect').onchange = (e) => CustomerModule.selectCartCustomer(e.target.value);
         document.getElementById('searchBar').oninput = (e) => AppState.updateState({ ui: { ...AppState.getState().ui, searchTerm: e.target.value, currentPage: 1 } });
         document.querySelectorAll('.filter-tab').forEach(tab => {
             tab.onclick = () => {
@@ -921,12 +5469,24 @@ const App = (function() {
             };
         });
         document.getElementById('clearCartBtn').onclick = ProductService.clearCart;
-        document.getElementById('payButton').onclick = () => UIService.showModal('paymentModal');
+        document.getElementById('parkCartBtn').onclick = () => ParkedCartModule.parkCurrentCart();
+        document.getElementById('parkedCartsBtn').onclick = ParkedCartModule.showParkedCarts;
+        document.getElementById('cartDiscountBtn').onclick = ProductService.setCartDiscount;
+        document.getElementById('applyVoucherBtn').onclick = () => ProductService.applyVoucher(document.getElementById('voucherCodeInput').value);
+        document.getElementById('payButton').onclick = () => { if (UserModule.requirePermission('sale')) UIService.showModal('paymentModal'); };
         
         // Event Listener untuk form yang dipisah
         document.getElementById('productForm').onsubmit = SettingsModule.handleProductFormSubmit;
         document.getElementById('serviceForm').onsubmit = SettingsModule.handleServiceFormSubmit;
         document.getElementById('appSettingsForm').onsubmit = SettingsModule.handleAppSettingsFormSubmit;
+        document.getElementById('receiptTemplateForm').onsubmit = SettingsModule.handleReceiptTemplateFormSubmit;
+        document.getElementById('receiptTemplateForm').oninput = SettingsModule.updateReceiptPreview;
+        document.getElementById('promoForm').onsubmit = SettingsModule.handlePromoFormSubmit;
+        document.getElementById('userForm').onsubmit = UserModule.handleUserFormSubmit;
+        document.getElementById('switchUserBtn').onclick = UserModule.lock;
+        document.getElementById('supplierForm').onsubmit = PurchaseModule.handleSupplierFormSubmit;
+        document.getElementById('ticketForm').onsubmit = TicketModule.handleTicketFormSubmit;
+        document.getElementById('customerForm').onsubmit = CustomerModule.handleCustomerFormSubmit;
         
         document.getElementById('productImage').onchange = (e) => {
             const file = e.target.files[0];
@@ -938,6 +5498,16 @@ const App = (function() {
                 reader.readAsDataURL(file);
             }
         };
+        document.getElementById('printerLogo').onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    SettingsModule.updatePrinterLogoPreview(event.target.result);
+                };
+                reader.readAsDataURL(file);
+            }
+        };
         document.getElementById('serviceImage').onchange = (e) => {
             const file = e.target.files[0];
             if (file) {
@@ -949,13 +5519,19 @@ const App = (function() {
             }
         };
         document.getElementById('applyUpdateBtn').onclick = UpdateModule.applyUpdate;
+        document.getElementById('confirmRefundBtn').onclick = RefundModule.confirmRefund;
+        document.getElementById('confirmSettleBtn').onclick = HistoryModule.confirmSettle;
+        document.getElementById('saveTicketBtn').onclick = TicketModule.saveTicketDetail;
+        document.getElementById('convertTicketBtn').onclick = TicketModule.convertToCart;
         
         // Event Listener untuk modal Stok
         document.getElementById('confirmAddStockBtn').onclick = SettingsModule.confirmStockAdjustment;
         document.getElementById('cancelAddStock').onclick = () => UIService.hideModal('addStockModal');
 
         EventBus.on('stateUpdated', renderApp);
+        EventBus.on('stateUpdated', (updates) => { if (['cart', 'cartCustomerId', 'cartDiscount', 'cartVoucherCode'].some(key => key in updates)) StorageService.saveCart(AppState.getState()); });
         EventBus.on('stateChanged', renderApp);
+        EventBus.on('userChanged', () => UIService.updateUserInfo(AppState.getState().settings));
     }
     function setupGlobalModalListeners() {
         // Listener untuk tombol close (x) dan backdrop modal
@@ -963,18 +5539,38 @@ const App = (function() {
             if (e.target.classList.contains('close-btn')) {
                 e.target.closest('.modal').style.display = 'none';
             }
-            if (e.target.classList.contains('modal')) {
+            // Modal login tidak boleh ditutup tanpa masuk
+            if (e.target.classList.contains('modal') && !e.target.dataset.locked) {
                 e.target.style.display = 'none';
             }
         });
     }
-    function renderInitialUI() { const state = AppState.getState(); UIService.updateUserInfo(state.settings); renderApp(); }
+    // ==========================================================
+    // OFFLINE (PWA)
+    // ==========================================================
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
+    function updateOfflineIndicator(notify) {
+        document.getElementById('offlineIndicator').style.display = navigator.onLine ? 'none' : 'flex';
+        if (notify) UIService.showToast(navigator.onLine ? 'Koneksi internet kembali.' : 'Koneksi terputus. Penjualan, struk dan laporan tetap berjalan offline.', navigator.onLine ? 'success' : 'warning');
+    }
+    function setupOfflineIndicator() {
+        updateOfflineIndicator(false);
+        window.addEventListener('online', () => updateOfflineIndicator(true));
+        window.addEventListener('offline', () => updateOfflineIndicator(true));
+    }
+    function renderInitialUI() { const state = AppState.getState(); UIService.updateUserInfo(state.settings); ShiftModule.updateShiftIndicator(); renderApp(); }
     function renderApp() {
         const state = AppState.getState(); const { cart, ui } = state;
+        document.getElementById('parkCartBtn').style.display = cart.length > 0 ? 'flex' : 'none';
+        document.getElementById('parkedCartsCount').textContent = state.parkedCarts.length;
         const { products, totalItems } = ProductService.getPaginatedProducts();
         UIService.renderProductGrid(products); UIService.renderPagination(totalItems, ui.currentPage, ui.itemsPerPage);
-        UIService.renderCart(cart);
+        UIService.renderCart(cart); UIService.renderCustomerPicker(state.customers, state.cartCustomerId);
         document.querySelectorAll('.product-card:not(.out-of-stock)').forEach(card => { card.onclick = () => ProductService.addProductToCart(parseInt(card.dataset.productId)); });
+        document.querySelectorAll('.line-discount').forEach(btn => { btn.onclick = () => { const itemId = parseInt(btn.closest('.cart-item').dataset.cartItemId); ProductService.setCartItemDiscount(itemId); }; });
         document.querySelectorAll('.quantity-decrease').forEach(btn => { btn.onclick = () => { const itemId = parseInt(btn.closest('.cart-item').dataset.cartItemId); ProductService.updateCartItemQuantity(itemId, -1); }; });
         document.querySelectorAll('.quantity-increase').forEach(btn => { btn.onclick = () => { const itemId = parseInt(btn.closest('.cart-item').dataset.cartItemId); ProductService.updateCartItemQuantity(itemId, 1); }; });
     }
@@ -985,60 +5581,86 @@ const App = (function() {
                 this.classList.add('selected'); selectedPaymentMethod = this.dataset.method; showPaymentDetails();
             });
         });
+        document.getElementById('payButton').addEventListener('click', renderPaymentSummary);
+        document.getElementById('paymentDownPayment').onchange = renderPaymentSummary;
         document.getElementById('cancelPayment').onclick = () => { UIService.hideModal('paymentModal'); resetPaymentModal(); };
         document.getElementById('confirmPayment').onclick = finalizeTransaction;
     }
+    function getPaymentTotal() { return PricingService.calculateCart(AppState.getState().cart).total; }
+    function renderPaymentSummary() {
+        const total = getPaymentTotal(); const summary = PaymentService.summarizeTenders(tenders, total);
+        const isDownPayment = document.getElementById('paymentDownPayment').checked;
+        const tendersHTML = tenders.length === 0 ? '' : `<ul class="tender-list">${tenders.map((tender, index) => `<li><span>${PaymentService.formatTender(tender)}</span><span>Rp ${tender.amount.toLocaleString('id-ID')} <button class="tender-remove" title="Hapus" onclick="App.removeTender(${index})"><i class="fas fa-times"></i></button></span></li>`).join('')}</ul>`;
+        document.getElementById('paymentSummary').innerHTML = `
+            <div class="summary-row"><strong>Total Tagihan</strong><strong>Rp ${total.toLocaleString('id-ID')}</strong></div>
+            ${tendersHTML}
+            <div class="summary-row"><span>Dibayar</span><span>Rp ${summary.paid.toLocaleString('id-ID')}</span></div>
+            ${summary.remaining > 0 ? `<div class="summary-row"><span>Sisa${isDownPayment ? ' Tagihan (DP)' : ''}</span><span>Rp ${summary.remaining.toLocaleString('id-ID')}</span></div>` : `<div class="summary-row"><span>Kembalian</span><span>Rp ${summary.change.toLocaleString('id-ID')}</span></div>`}
+        `;
+        document.getElementById('confirmPayment').style.display = tenders.length > 0 && (summary.remaining === 0 || isDownPayment) ? 'block' : 'none';
+    }
     function showPaymentDetails() {
-        const state = AppState.getState(); const { cart, settings } = state;
-        const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const tax = settings.taxEnabled ? subtotal * (settings.taxRate / 100) : 0; const total = subtotal + tax;
-        let detailsHTML = '';
-        if (selectedPaymentMethod === 'cash') {
-            detailsHTML = `<div class="payment-details"><h3>Pembayaran Tunai</h3><label for="cashReceived">Uang Diterima:</label><input type="number" id="cashReceived" placeholder="Masukkan nominal" style="width: 100%;"><div id="changeAmount" style="margin-top: 1rem; font-weight: bold;">Kembalian: Rp 0</div></div>`;
-        } else {
-            detailsHTML = `<div class="payment-details"><h3>Pembayaran dengan ${selectedPaymentMethod === 'ewallet' ? 'E-Wallet' : 'Transfer Bank'}</h3><p>Silakan selesaikan pembayaran.</p><p><strong>Total: Rp ${total.toLocaleString('id-ID')}</strong></p></div>`;
-        }
-        document.getElementById('paymentDetailsContainer').innerHTML = detailsHTML; document.getElementById('paymentDetailsContainer').style.display = 'block'; document.getElementById('confirmPayment').style.display = 'block';
-        if (selectedPaymentMethod === 'cash') {
-            document.getElementById('cashReceived').addEventListener('input', () => {
-                const received = parseFloat(document.getElementById('cashReceived').value) || 0; const change = received - total;
-                document.getElementById('changeAmount').textContent = `Kembalian: Rp ${change.toLocaleString('id-ID')}`;
-            });
-        }
+        const { remaining } = PaymentService.summarizeTenders(tenders, getPaymentTotal());
+        const needsReference = selectedPaymentMethod !== 'cash';
+        const detailsHTML = `<div class="payment-details"><h3>Pembayaran ${PaymentService.getMethodLabel(selectedPaymentMethod)}</h3><label for="tenderAmount">${selectedPaymentMethod === 'cash' ? 'Uang Diterima:' : 'Nominal:'}</label><input type="number" id="tenderAmount" placeholder="Masukkan nominal" value="${remaining || ''}" style="width: 100%;">${needsReference ? `<label for="tenderReference" style="display:block; margin-top: 0.5rem;">No. Referensi:</label><input type="text" id="tenderReference" placeholder="Contoh: no. transaksi / 4 digit terakhir" style="width: 100%;">` : ''}<button type="button" id="addTenderBtn" style="margin-top: 1rem;">Tambah Pembayaran</button></div>`;
+        document.getElementById('paymentDetailsContainer').innerHTML = detailsHTML; document.getElementById('paymentDetailsContainer').style.display = 'block';
+        document.getElementById('addTenderBtn').onclick = addTender;
     }
-    function resetPaymentModal() { selectedPaymentMethod = null; document.querySelectorAll('.payment-option').forEach(o => o.classList.remove('selected')); document.getElementById('paymentDetailsContainer').style.display = 'none'; document.getElementById('paymentDetailsContainer').innerHTML = ''; document.getElementById('confirmPayment').style.display = 'none'; }
+    function addTender() {
+        const amount = parseFloat(document.getElementById('tenderAmount').value);
+        const referenceInput = document.getElementById('tenderReference');
+        const { remaining } = PaymentService.summarizeTenders(tenders, getPaymentTotal());
+        if (isNaN(amount) || amount <= 0) { UIService.showToast('Nominal pembayaran tidak valid.', 'error'); return; }
+        if (remaining === 0) { UIService.showToast('Tagihan sudah terbayar penuh.', 'warning'); return; }
+        if (selectedPaymentMethod !== 'cash' && amount > remaining) { UIService.showToast('Pembayaran non-tunai tidak boleh melebihi sisa tagihan.', 'error'); return; }
+        tenders.push({ method: selectedPaymentMethod, amount, reference: referenceInput ? referenceInput.value.trim() : '' });
+        selectedPaymentMethod = null; document.querySelectorAll('.payment-option').forEach(o => o.classList.remove('selected'));
+        document.getElementById('paymentDetailsContainer').style.display = 'none'; document.getElementById('paymentDetailsContainer').innerHTML = '';
+        renderPaymentSummary();
+    }
+    function removeTender(index) { tenders.splice(index, 1); renderPaymentSummary(); }
+    function resetPaymentModal() { selectedPaymentMethod = null; tenders = []; document.getElementById('paymentDownPayment').checked = false; document.querySelectorAll('.payment-option').forEach(o => o.classList.remove('selected')); document.getElementById('paymentDetailsContainer').style.display = 'none'; document.getElementById('paymentDetailsContainer').innerHTML = ''; document.getElementById('confirmPayment').style.display = 'none'; }
     function finalizeTransaction() {
-        const state = AppState.getState(); const { cart, settings, orders } = state;
-        const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const tax = settings.taxEnabled ? subtotal * (settings.taxRate / 100) : 0; const total = subtotal + tax;
-        if (selectedPaymentMethod === 'cash') { const received = parseFloat(document.getElementById('cashReceived').value) || 0; if (received < total) { UIService.showToast('Uang yang diterima kurang!', 'error'); return; } }
-        const order = { orderNumber: `POS-${Date.now()}`, timestamp: new Date().toISOString(), items: JSON.parse(JSON.stringify(cart)), subtotal, taxAmount: tax, totalAmount: total, paymentMethod: selectedPaymentMethod };
-        orders.push(order); StorageService.saveOrders(orders);
-        HistoryModule.viewOrderReceipt(order.orderNumber);
-        UIService.hideModal('paymentModal'); AppState.updateState({ cart: [] }); resetPaymentModal(); UIService.showToast('Pembayaran berhasil!', 'success');
+        if (!UserModule.requirePermission('sale')) return;
+        const state = AppState.getState(); const { cart, orders, products, cartCustomerId, cartDiscount, cartVoucherCode } = state;
+        const pricing = PricingService.calculateCart(cart);
+        const { subtotal, tax, total } = pricing;
+        const payment = PaymentService.summarizeTenders(tenders, total);
+        const isDownPayment = document.getElementById('paymentDownPayment').checked;
+        if (tenders.length === 0) { UIService.showToast('Tambahkan pembayaran terlebih dahulu.', 'error'); return; }
+        if (payment.remaining > 0 && !isDownPayment) { UIService.showToast('Uang yang diterima kurang!', 'error'); return; }
+        if (payment.remaining > 0 && !cartCustomerId) { UIService.showToast('Pilih pelanggan untuk transaksi DP.', 'error'); return; }
+        // Validasi seluruh stok dulu; stok baru dipotong jika semua item tersedia
+        const shortItem = cart.find(item => { const product = products.find(p => p.id === item.id); return !product || (product.type === 'product' && ProductService.getReservedQuantity(product.id, cart) > product.stock - ProductService.getParkedReservedQuantity(product.id)); });
+        if (shortItem) { UIService.showToast(`Stok ${shortItem.name} tidak mencukupi! Transaksi dibatalkan.`, 'error'); return; }
+        const timestamp = new Date().toISOString();
+        // Gambar produk tidak ikut disalin ke transaksi
+        const items = JSON.parse(JSON.stringify(cart)).map(({ image, ...item }, index) => {
+            const line = pricing.lines[index];
+            const product = state.products.find(p => p.id === item.id);
+            item = { ...item, discountAmount: line.discountAmount, netAmount: line.netAmount, unitCost: product ? (product.costPrice || 0) : (item.costPrice || 0) };
+            const warrantyDays = item.warrantyDays || 0;
+            if (!warrantyDays) return { ...item, warrantyDays: 0, warrantyUntil: null };
+            const warrantyUntil = new Date(timestamp); warrantyUntil.setDate(warrantyUntil.getDate() + warrantyDays);
+            return { ...item, warrantyDays, warrantyUntil: warrantyUntil.toISOString() };
+        });
+        const orderNumber = `POS-${Date.now()}`; const shiftId = (ShiftModule.getOpenShift() || {}).id || null;
+        cart.forEach(item => StockService.adjustStock(products.find(p => p.id === item.id), -item.quantity, 'sale', orderNumber));
+        AppState.updateState({ products }); const productsSaved = StorageService.saveProducts(products);
+        const order = { orderNumber, timestamp, stockCommitted: true, items, subtotal, discountAmount: pricing.discountTotal, discounts: { lines: pricing.lineDiscountTotal, promos: pricing.appliedPromos, cart: cartDiscount ? { ...cartDiscount, amount: pricing.cartDiscountAmount } : null, voucherCode: pricing.voucherError ? '' : cartVoucherCode }, taxAmount: tax, totalAmount: total, paymentMethod: tenders.length === 1 ? tenders[0].method : 'split', tenders: tenders.map(tender => ({ ...tender, timestamp, shiftId })), changeAmount: payment.change, balanceDue: payment.remaining, shiftId, cashier: UserModule.getCurrentUserSnapshot(), customer: CustomerModule.getCustomerSnapshot(cartCustomerId), receiptDetails: HistoryModule.snapshotReceiptDetails(state.settings) };
+        orders.push(order); const orderSaved = StorageService.saveOrders(orders); EventBus.emit('orderCreated', order);
+        UIService.hideModal('paymentModal'); AppState.updateState({ cart: [], cartCustomerId: null, cartDiscount: null, cartVoucherCode: '' }); resetPaymentModal();
+        // Struk dan notifikasi sukses hanya setelah transaksi benar-benar tersimpan; kegagalan sudah dilaporkan StorageService
+        Promise.all([orderSaved, productsSaved]).then(([ordersOk, productsOk]) => {
+            if (!ordersOk || !productsOk) return;
+            HistoryModule.viewOrderReceipt(order.orderNumber); UIService.showToast('Pembayaran berhasil!', 'success');
+        });
     }
     function setupReceiptDownload() {
-        document.getElementById('downloadPdfBtn').onclick = () => {
-            if (typeof window.jspdf === 'undefined' || typeof window.html2canvas === 'undefined') {
-                UIService.showToast('Library PDF tidak dimuat. Tidak dapat mengunduh.', 'error');
-                return;
-            }
-            UIService.showLoading();
-            const receiptContent = document.getElementById('receiptContent');
-            window.html2canvas(receiptContent).then(canvas => {
-                const imgData = canvas.toDataURL('image/png');
-                const { jsPDF } = window.jspdf;
-                const pdf = new jsPDF();
-                const imgWidth = 190; const pageHeight = 295;
-                const imgHeight = canvas.height * imgWidth / canvas.width; let heightLeft = imgHeight; let position = 10;
-                pdf.addImage(imgData, 'PNG', 10, position, imgWidth, imgHeight); heightLeft -= pageHeight;
-                while (heightLeft >= 0) { position = heightLeft - imgHeight; pdf.addPage(); pdf.addImage(imgData, 'PNG', 10, position, imgWidth, imgHeight); heightLeft -= pageHeight; }
-                pdf.save(`Struk_${new Date().getTime()}.pdf`);
-                UIService.hideLoading(); UIService.showToast('Struk berhasil diunduh', 'success');
-            });
-        };
+        document.getElementById('downloadPdfBtn').onclick = () => PdfModule.downloadReceipt();
+        document.getElementById('downloadInvoiceBtn').onclick = () => PdfModule.downloadInvoice();
     }
-    return { init, setupPaymentModal, setupReceiptDownload };
+    return { init, setupPaymentModal, setupReceiptDownload, removeTender };
 })();
 
 // =================================================================
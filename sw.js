@@ -0,0 +1,78 @@
+/**
+ * Service Worker - Keeps the POS usable without a network
+ *
+ * The app shell and vendored libraries are precached on install. Shell files are served
+ * network-first (so a new version is picked up when online) and vendored files
+ * cache-first. Product images from other hosts are cached as they are seen. Requests to
+ * other hosts that are not images (sync server, catalog feed) are left alone.
+ */
+const CACHE_VERSION = 'greattech-pos-v2';
+const IMAGE_CACHE = 'greattech-pos-images';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+const VENDOR_FILES = [
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+    'vendor/jspdf/jspdf.umd.min.js',
+    'vendor/chartjs/chart.umd.min.js'
+];
+// Gambar dari host lain dibatasi agar cache tidak tumbuh tanpa batas
+const MAX_CACHED_IMAGES = 300;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll([...APP_SHELL, ...VENDOR_FILES])).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION && key !== IMAGE_CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+function networkFirst(request) {
+    return fetch(request).then(response => {
+        if (response.ok) { const copy = response.clone(); caches.open(CACHE_VERSION).then(cache => cache.put(request, copy)); }
+        return response;
+    }).catch(() => caches.match(request, { ignoreSearch: true }).then(cached => cached || (request.mode === 'navigate' ? caches.match('index.html') : Response.error())));
+}
+
+function cacheFirst(request) {
+    return caches.match(request).then(cached => cached || fetch(request).then(response => {
+        if (response.ok) { const copy = response.clone(); caches.open(CACHE_VERSION).then(cache => cache.put(request, copy)); }
+        return response;
+    }));
+}
+
+function cachedImage(request) {
+    return caches.open(IMAGE_CACHE).then(cache => cache.match(request).then(cached => cached || fetch(request).then(response => {
+        // Respons no-cors (opaque) tetap disimpan agar gambar placeholder tampil saat offline
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+            cache.keys().then(keys => keys.slice(0, Math.max(0, keys.length - MAX_CACHED_IMAGES)).forEach(key => cache.delete(key)));
+        }
+        return response;
+    })));
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        if (request.destination === 'image') event.respondWith(cachedImage(request));
+        return;
+    }
+    if (url.pathname.includes('/vendor/') || url.pathname.includes('/icons/')) event.respondWith(cacheFirst(request));
+    else event.respondWith(networkFirst(request));
+});